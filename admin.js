@@ -0,0 +1,323 @@
+(() => {
+  'use strict';
+
+  const ADMIN_ENDPOINT = '/api/admin-content';
+  const TOKEN_STORAGE_KEY = 'hub-admin-token';
+
+  const FORMS = {
+    articles: { formId: 'article-form', titleId: 'article-form-title', listId: 'article-list', newLabel: 'Nuevo artículo' },
+    podcasts: { formId: 'podcast-form', titleId: 'podcast-form-title', listId: 'podcast-list', newLabel: 'Nuevo episodio' },
+  };
+
+  const state = {
+    token: sessionStorage.getItem(TOKEN_STORAGE_KEY) || '',
+    items: { articles: [], podcasts: [] },
+    // Slug of the item being edited, or null when creating a new one.
+    editing: { articles: null, podcasts: null },
+  };
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replaceAll('&', '&amp;')
+      .replaceAll('<', '&lt;')
+      .replaceAll('>', '&gt;')
+      .replaceAll('"', '&quot;')
+      .replaceAll("'", '&#39;');
+  }
+
+  function slugify(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80);
+  }
+
+  function showStatus(message, isError = false) {
+    const status = $('admin-status');
+    status.textContent = message;
+    status.classList.toggle('is-error', isError);
+    status.classList.remove('hidden');
+  }
+
+  class AdminApiError extends Error {
+    constructor(message, status, details = []) {
+      super(message);
+      this.name = 'AdminApiError';
+      this.status = status;
+      this.details = details;
+    }
+  }
+
+  async function apiRequest(method, params, body) {
+    const response = await fetch(`${ADMIN_ENDPOINT}?${new URLSearchParams(params)}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${state.token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (response.status === 204) return null;
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new AdminApiError(data.error || `HTTP ${response.status}`, response.status, data.details);
+    }
+    return data;
+  }
+
+  function describeError(error) {
+    if (error instanceof AdminApiError && error.details?.length) {
+      return `${error.message} ${error.details.join(' ')}`;
+    }
+    return error.message;
+  }
+
+  function handleApiError(error) {
+    console.error('Content API request failed:', error);
+    if (error instanceof AdminApiError && error.status === 401) {
+      logout();
+      showStatus('El token no es válido. Vuelve a iniciar sesión.', true);
+      return;
+    }
+    showStatus(describeError(error), true);
+  }
+
+  function renderList(type) {
+    const list = $(FORMS[type].listId);
+    const items = state.items[type];
+    if (!items.length) {
+      list.innerHTML = '<li>No hay contenidos todavía.</li>';
+      return;
+    }
+
+    list.innerHTML = items.map(item => {
+      const meta = type === 'articles'
+        ? `${(item.date || '').slice(0, 10)}${item.draft ? ' · Borrador' : ''}`
+        : item.src;
+      return `
+        <li>
+          <span><strong>${escapeHtml(item.title)}</strong> <small>${escapeHtml(meta)}</small></span>
+          <span class="admin-actions">
+            <button type="button" data-edit="${escapeHtml(item.slug)}">Editar</button>
+            <button type="button" data-delete="${escapeHtml(item.slug)}">Eliminar</button>
+          </span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  async function loadItems(type) {
+    const data = await apiRequest('GET', { type });
+    state.items[type] = data.items || [];
+    renderList(type);
+  }
+
+  function openForm(type, item = null) {
+    const { formId, titleId, newLabel } = FORMS[type];
+    const form = $(formId);
+    form.reset();
+    state.editing[type] = item?.slug || null;
+    $(titleId).textContent = item ? `Editar: ${item.title}` : newLabel;
+
+    if (item) {
+      Object.entries(item).forEach(([name, value]) => {
+        const field = form.elements.namedItem(name);
+        if (!field) return;
+        if (name === 'date' || name === 'publishedAt') {
+          field.value = String(value || '').slice(0, 10);
+        } else if (name === 'chapters') {
+          field.value = formatChapters(value || []);
+        } else if (Array.isArray(value)) {
+          field.value = value.join(', ');
+        } else {
+          field.value = value ?? '';
+        }
+      });
+    } else {
+      const dateField = form.elements.namedItem(type === 'articles' ? 'date' : 'publishedAt');
+      dateField.value = new Date().toISOString().slice(0, 10);
+    }
+
+    $('article-preview').classList.add('hidden');
+    form.classList.remove('hidden');
+    form.elements[0].focus();
+  }
+
+  function closeForm(type) {
+    $(FORMS[type].formId).classList.add('hidden');
+    state.editing[type] = null;
+  }
+
+  function formatChapters(chapters) {
+    return chapters.map(({ start, title }) => {
+      const minutes = Math.floor(start / 60);
+      const seconds = String(start % 60).padStart(2, '0');
+      return `${String(minutes).padStart(2, '0')}:${seconds} ${title}`;
+    }).join('\n');
+  }
+
+  // "mm:ss Title" or "h:mm:ss Title" per line; anything else is sent as-is
+  // so the API reports it as a validation error.
+  function parseChapters(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+      const match = /^((?:\d+:)?\d{1,2}:\d{2})\s+(.+)$/.exec(line);
+      if (!match) return { title: line };
+      const start = match[1].split(':').reduce((total, part) => total * 60 + Number(part), 0);
+      return { start, title: match[2] };
+    });
+  }
+
+  function readForm(form) {
+    const values = Object.fromEntries(new FormData(form).entries());
+    if (typeof values.chapters === 'string') values.chapters = parseChapters(values.chapters);
+    return values;
+  }
+
+  async function saveItem(type, payload) {
+    const slug = state.editing[type];
+    const data = slug
+      ? await apiRequest('PUT', { type, slug }, payload)
+      : await apiRequest('POST', { type }, payload);
+    closeForm(type);
+    await loadItems(type);
+    return data.item;
+  }
+
+  async function previewArticle() {
+    const preview = $('article-preview');
+    try {
+      const { html } = await apiRequest('POST', { preview: '1' }, { body: $('article-body').value });
+      // The server escapes raw HTML while rendering the Markdown.
+      preview.innerHTML = html;
+      preview.classList.remove('hidden');
+    } catch (error) {
+      handleApiError(error);
+    }
+  }
+
+  function setupArticleForm() {
+    const form = $('article-form');
+    const titleInput = $('article-title');
+    const slugInput = $('article-slug');
+
+    titleInput.addEventListener('input', () => {
+      if (!state.editing.articles && !slugInput.dataset.touched) {
+        slugInput.value = slugify(titleInput.value);
+      }
+    });
+    slugInput.addEventListener('input', () => {
+      slugInput.dataset.touched = 'true';
+    });
+
+    form.addEventListener('click', event => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'preview') previewArticle();
+      if (action === 'cancel') closeForm('articles');
+    });
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const publish = event.submitter?.dataset.action === 'publish';
+      const payload = { ...readForm(form), draft: !publish };
+      try {
+        const item = await saveItem('articles', payload);
+        delete slugInput.dataset.touched;
+        showStatus(publish ? `Publicado: ${item.title}` : `Borrador guardado: ${item.title}`);
+      } catch (error) {
+        handleApiError(error);
+      }
+    });
+  }
+
+  function setupPodcastForm() {
+    const form = $('podcast-form');
+    form.addEventListener('click', event => {
+      if (event.target.closest('[data-action="cancel"]')) closeForm('podcasts');
+    });
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      try {
+        const item = await saveItem('podcasts', readForm(form));
+        showStatus(`Episodio guardado: ${item.title}`);
+      } catch (error) {
+        handleApiError(error);
+      }
+    });
+  }
+
+  function setupLists() {
+    Object.keys(FORMS).forEach(type => {
+      $(FORMS[type].listId).addEventListener('click', async event => {
+        const editSlug = event.target.closest('[data-edit]')?.dataset.edit;
+        const deleteSlug = event.target.closest('[data-delete]')?.dataset.delete;
+
+        if (editSlug) {
+          openForm(type, state.items[type].find(item => item.slug === editSlug));
+          return;
+        }
+        if (!deleteSlug || !window.confirm(`¿Eliminar "${deleteSlug}"? Se guardará una copia de seguridad.`)) return;
+
+        try {
+          await apiRequest('DELETE', { type, slug: deleteSlug });
+          await loadItems(type);
+          showStatus(`Eliminado: ${deleteSlug}`);
+        } catch (error) {
+          handleApiError(error);
+        }
+      });
+    });
+
+    document.querySelectorAll('[data-new]').forEach(button => {
+      button.addEventListener('click', () => openForm(button.dataset.new));
+    });
+  }
+
+  function setSignedIn(signedIn) {
+    $('admin-login').classList.toggle('hidden', signedIn);
+    $('admin-articles').classList.toggle('hidden', !signedIn);
+    $('admin-podcasts').classList.toggle('hidden', !signedIn);
+  }
+
+  async function login(token) {
+    state.token = token;
+    try {
+      await Promise.all(Object.keys(FORMS).map(loadItems));
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+      setSignedIn(true);
+      $('admin-status').classList.add('hidden');
+    } catch (error) {
+      handleApiError(error);
+    }
+  }
+
+  function logout() {
+    state.token = '';
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    Object.keys(FORMS).forEach(closeForm);
+    setSignedIn(false);
+  }
+
+  function init() {
+    $('login-form').addEventListener('submit', event => {
+      event.preventDefault();
+      login($('admin-token').value.trim());
+    });
+    $('logout-button').addEventListener('click', logout);
+    setupArticleForm();
+    setupPodcastForm();
+    setupLists();
+
+    if (state.token) login(state.token);
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
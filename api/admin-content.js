@@ -0,0 +1,70 @@
+const store = require('./content-store.js');
+const { ContentError } = require('./content-utils.js');
+const { renderMarkdown } = require('./markdown-utils.js');
+const { requireEditor } = require('./auth-utils.js');
+const { sendError, readJsonBody, apiRoute } = require('./http-utils.js');
+
+const COLLECTIONS = {
+  articles: store.articles,
+  podcasts: store.podcasts,
+};
+
+async function handleCollection(req, res, collection, slug) {
+  switch (req.method) {
+    case 'GET':
+      res.status(200).json(slug ? { item: collection.get(slug) } : { items: collection.list() });
+      return;
+    case 'POST':
+      res.status(201).json({ item: await collection.save(readJsonBody(req, ContentError)) });
+      return;
+    case 'PUT':
+      if (!slug) throw new ContentError('Query parameter "slug" is required.', { status: 400 });
+      res.status(200).json({ item: await collection.save(readJsonBody(req, ContentError), slug) });
+      return;
+    case 'DELETE':
+      if (!slug) throw new ContentError('Query parameter "slug" is required.', { status: 400 });
+      await collection.remove(slug);
+      res.status(204).end();
+      return;
+    default:
+      res.setHeader('Allow', 'GET, POST, PUT, DELETE');
+      sendError(res, 405, `Method ${req.method} not allowed.`);
+  }
+}
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireEditor(req, res)) return;
+
+  const { type, slug, preview } = req.query || {};
+
+  try {
+    if (preview !== undefined) {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        sendError(res, 405, `Method ${req.method} not allowed.`);
+        return;
+      }
+      const body = readJsonBody(req, ContentError);
+      res.status(200).json({ html: renderMarkdown(body?.body || '') });
+      return;
+    }
+
+    const collection = COLLECTIONS[type];
+    if (!collection) {
+      sendError(res, 400, `Query parameter "type" must be one of: ${Object.keys(COLLECTIONS).join(', ')}.`, { code: 'invalid_parameter' });
+      return;
+    }
+
+    await handleCollection(req, res, collection, slug ? String(slug) : null);
+  } catch (error) {
+    if (error instanceof ContentError && (error.status < 500 || error.code === 'read_only')) {
+      sendError(res, error.status, error.message, { code: error.code, details: error.details });
+      return;
+    }
+    console.error('Error in content management API:', error);
+    sendError(res, 500, 'Failed to update content.');
+  }
+}
+
+module.exports = apiRoute(handler, { methods: ['GET', 'POST', 'PUT', 'DELETE'], params: ['type', 'slug', 'preview'], cors: 'restricted' });
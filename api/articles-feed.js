@@ -0,0 +1,56 @@
+const { readArticles } = require('./content-utils.js');
+const { renderMarkdown } = require('./markdown-utils.js');
+const { escapeXml, getSiteUrl, toAbsoluteUrl, sendXml } = require('./feed-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const FEED_SIZE = 20;
+const FEED_TITLE = 'Commanders Hub · Artículos';
+
+function renderEntry(article, siteUrl) {
+  const url = `${siteUrl}/#articulo/${article.slug}`;
+  const updated = article.date || new Date(0).toISOString();
+  const hero = toAbsoluteUrl(siteUrl, article.heroImage);
+  const html = `${hero ? `<p><img src="${escapeXml(hero)}" alt=""></p>` : ''}${renderMarkdown(article.body)}`;
+
+  return `  <entry>
+    <id>${escapeXml(url)}</id>
+    <title>${escapeXml(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <published>${updated}</published>
+    <updated>${updated}</updated>
+    ${article.author ? `<author><name>${escapeXml(article.author)}</name></author>` : ''}
+    ${article.tags.map(tag => `<category term="${escapeXml(tag)}"/>`).join('\n    ')}
+    ${article.summary ? `<summary>${escapeXml(article.summary)}</summary>` : ''}
+    <content type="html">${escapeXml(html)}</content>
+  </entry>`;
+}
+
+function buildArticlesFeed(articles, siteUrl) {
+  const entries = articles.slice(0, FEED_SIZE);
+  const updated = entries[0]?.date || new Date().toISOString();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es">
+  <id>${escapeXml(`${siteUrl}/`)}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}/api/articles.atom`)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/#articulos`)}"/>
+  <author><name>Commanders Hub</name></author>
+${entries.map(article => renderEntry(article, siteUrl)).join('\n')}
+</feed>
+`;
+}
+
+function handler(req, res) {
+  try {
+    sendXml(res, buildArticlesFeed(readArticles(), getSiteUrl(req)), 'application/atom+xml');
+  } catch (error) {
+    console.error('Error building articles feed:', error);
+    sendError(res, 500, 'Failed to build articles feed');
+  }
+}
+
+module.exports = apiRoute(handler);
+
+module.exports.buildArticlesFeed = buildArticlesFeed;
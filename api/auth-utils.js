@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { sendError } = require('./http-utils.js');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function readBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Checks the editor bearer token against CONTENT_ADMIN_TOKEN. Sends the error
+ * response itself and returns false when the request is not authorised.
+ */
+function requireEditor(req, res) {
+  const expected = process.env.CONTENT_ADMIN_TOKEN;
+  if (!expected) {
+    console.error('CONTENT_ADMIN_TOKEN is not defined in environment variables. The content API is disabled.');
+    sendError(res, 503, 'Content management is not configured on this server.');
+    return false;
+  }
+
+  const token = readBearerToken(req);
+  // Comparing fixed-length digests keeps the check constant-time.
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="content"');
+    sendError(res, 401, 'A valid editor token is required.');
+    return false;
+  }
+  return true;
+}
+
+module.exports = { readBearerToken, requireEditor };
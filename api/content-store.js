@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const { stringifyFrontMatter, sanitizeUrl } = require('./markdown-utils.js');
+const {
+  SLUG_PATTERN,
+  PLAYER_ID_PATTERN,
+  ContentError,
+  contentPath,
+  articlesDir,
+  readContent,
+  listArticleFiles,
+  normalizeTags,
+  normalizePlayerIds,
+} = require('./content-utils.js');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// What a read-only deployment (Vercel) answers to writes in data/.
+const READ_ONLY_ERRORS = ['EROFS', 'EACCES', 'EPERM'];
+
+// Field rules for editor writes. `type` is checked first, then the optional
+// constraints; unknown fields are dropped.
+const ARTICLE_SCHEMA = {
+  slug: { type: 'string', required: true, pattern: SLUG_PATTERN, maxLength: 80 },
+  title: { type: 'string', required: true, maxLength: 200 },
+  author: { type: 'string', maxLength: 100 },
+  date: { type: 'string', required: true, pattern: DATE_PATTERN },
+  tags: { type: 'array', items: { type: 'string', pattern: SLUG_PATTERN, maxLength: 40 }, maxItems: 10 },
+  players: { type: 'array', items: { type: 'string', pattern: PLAYER_ID_PATTERN }, maxItems: 20 },
+  heroImage: { type: 'string', url: true, maxLength: 500 },
+  summary: { type: 'string', maxLength: 500 },
+  draft: { type: 'boolean' },
+  body: { type: 'string', required: true, maxLength: 100000 },
+};
+
+// Episode fields map onto the RSS enclosure and iTunes tags in api/podcast-feed.js.
+const PODCAST_SCHEMA = {
+  slug: { type: 'string', required: true, pattern: SLUG_PATTERN, maxLength: 80 },
+  title: { type: 'string', required: true, maxLength: 200 },
+  src: { type: 'string', required: true, url: true, maxLength: 500 },
+  description: { type: 'string', maxLength: 4000 },
+  publishedAt: { type: 'string', required: true, pattern: DATE_PATTERN },
+  duration: { type: 'integer', min: 1 },
+  length: { type: 'integer', min: 0 },
+  type: { type: 'string', pattern: /^audio\/[\w.+-]+$/ },
+  episode: { type: 'integer', min: 1 },
+  season: { type: 'integer', min: 1 },
+  image: { type: 'string', url: true, maxLength: 500 },
+  chapters: {
+    type: 'array',
+    maxItems: 50,
+    items: {
+      type: 'object',
+      fields: {
+        start: { type: 'integer', required: true, min: 0 },
+        title: { type: 'string', required: true, maxLength: 200 },
+      },
+    },
+  },
+};
+
+function validateValue(field, rule, value, errors) {
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array.`);
+      return;
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push(`${field} accepts at most ${rule.maxItems} items.`);
+    }
+    value.forEach((item, index) => validateValue(`${field}[${index}]`, rule.items, item, errors));
+    return;
+  }
+
+  if (rule.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${field} must be an object.`);
+      return;
+    }
+    Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        if (fieldRule.required) errors.push(`${field}.${key} is required.`);
+        return;
+      }
+      validateValue(`${field}.${key}`, fieldRule, value[key], errors);
+    });
+    return;
+  }
+
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      errors.push(`${field} must be a whole number.`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${field} must be at least ${rule.min}.`);
+    }
+    return;
+  }
+
+  if (typeof value !== rule.type) {
+    errors.push(`${field} must be a ${rule.type}.`);
+    return;
+  }
+  if (rule.type !== 'string') return;
+
+  if (rule.maxLength && value.length > rule.maxLength) {
+    errors.push(`${field} must be at most ${rule.maxLength} characters.`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${field} has an invalid format.`);
+  }
+  if (rule.url && !sanitizeUrl(value)) {
+    errors.push(`${field} must be a relative path or an http(s) URL.`);
+  }
+}
+
+/**
+ * Validates an editor payload against a schema. Strings are trimmed and empty
+ * optional values removed. Throws a 400 ContentError listing every problem.
+ */
+function validateEntry(schema, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ContentError('Request body must be a JSON object.', { status: 400 });
+  }
+
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    let fieldValue = input[field];
+    if (typeof fieldValue === 'string' && field !== 'body') fieldValue = fieldValue.trim();
+    if (field === 'tags' && fieldValue !== undefined) fieldValue = normalizeTags(fieldValue);
+    if (field === 'players' && fieldValue !== undefined) fieldValue = normalizePlayerIds(fieldValue);
+    // HTML forms post numbers as strings.
+    if (rule.type === 'integer' && typeof fieldValue === 'string' && /^-?\d+$/.test(fieldValue)) {
+      fieldValue = Number(fieldValue);
+    }
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rule.required) errors.push(`${field} is required.`);
+      return;
+    }
+
+    validateValue(field, rule, fieldValue, errors);
+    value[field] = fieldValue;
+  });
+
+  ['date', 'publishedAt'].forEach(field => {
+    const date = value[field] ? new Date(value[field]) : null;
+    // Round-tripping rejects dates such as 2025-02-30 that Date would roll over.
+    if (date && (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value[field])) {
+      errors.push(`${field} is not a valid calendar date.`);
+    }
+  });
+
+  if (errors.length) {
+    throw new ContentError('Validation failed.', { status: 400, details: errors });
+  }
+  return value;
+}
+
+// Turns "cannot write here" into a 503 the editor can show, instead of a
+// generic failure that looks like a bug.
+async function withWritableData(write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (!READ_ONLY_ERRORS.includes(error.code)) throw error;
+    throw new ContentError('The content files are read-only on this deployment. Run the editor locally or on a server with a writable data/ directory and publish the changes from there.', {
+      status: 503,
+      code: 'read_only',
+    });
+  }
+}
+
+/**
+ * Replaces a file atomically: the new contents go to a temp file that is
+ * renamed over the target, after copying the previous version to `.bak`.
+ */
+function writeFileAtomic(filePath, contents) {
+  return withWritableData(() => replaceFile(filePath, contents));
+}
+
+async function replaceFile(filePath, contents) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    await fs.promises.copyFile(filePath, `${filePath}.bak`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  try {
+    await fs.promises.writeFile(tempPath, contents, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function removeFileWithBackup(filePath) {
+  return withWritableData(async () => {
+    await fs.promises.copyFile(filePath, `${filePath}.bak`);
+    await fs.promises.unlink(filePath);
+  });
+}
+
+function findArticleEntry(slug) {
+  return listArticleFiles().find(entry => entry.article.slug === slug) || null;
+}
+
+function toArticleRecord({ article, fileName }) {
+  return { ...article, body: article.body.trim(), fileName };
+}
+
+function listArticlesForEditor() {
+  return listArticleFiles()
+    .map(toArticleRecord)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+function getArticleForEditor(slug) {
+  const entry = findArticleEntry(slug);
+  if (!entry) throw new ContentError(`Article "${slug}" not found.`, { status: 404 });
+  return toArticleRecord(entry);
+}
+
+async function saveArticle(input, existingSlug = null) {
+  const { body, ...attributes } = validateEntry(ARTICLE_SCHEMA, input);
+  const existing = existingSlug ? findArticleEntry(existingSlug) : null;
+  if (existingSlug && !existing) {
+    throw new ContentError(`Article "${existingSlug}" not found.`, { status: 404 });
+  }
+
+  const clash = findArticleEntry(attributes.slug);
+  if (clash && clash.fileName !== existing?.fileName) {
+    throw new ContentError(`An article with slug "${attributes.slug}" already exists.`, { status: 409 });
+  }
+
+  const fileName = `${attributes.slug}.md`;
+  const filePath = path.join(articlesDir, fileName);
+  if (!existing && fs.existsSync(filePath)) {
+    throw new ContentError(`The file ${fileName} already exists.`, { status: 409 });
+  }
+
+  await writeFileAtomic(filePath, stringifyFrontMatter({ ...attributes, draft: attributes.draft || undefined }, body));
+  if (existing && existing.fileName !== fileName) {
+    await removeFileWithBackup(path.join(articlesDir, existing.fileName));
+  }
+  return getArticleForEditor(attributes.slug);
+}
+
+async function deleteArticle(slug) {
+  const entry = findArticleEntry(slug);
+  if (!entry) throw new ContentError(`Article "${slug}" not found.`, { status: 404 });
+  await removeFileWithBackup(path.join(articlesDir, entry.fileName));
+}
+
+function listPodcastsForEditor() {
+  return readContent().podcasts;
+}
+
+function getPodcastForEditor(slug) {
+  const podcast = readContent().podcasts.find(item => item.slug === slug);
+  if (!podcast) throw new ContentError(`Podcast "${slug}" not found.`, { status: 404 });
+  return podcast;
+}
+
+async function writeContent(content) {
+  await writeFileAtomic(contentPath, `${JSON.stringify(content, null, 4)}\n`);
+}
+
+async function savePodcast(input, existingSlug = null) {
+  const podcast = validateEntry(PODCAST_SCHEMA, input);
+  const content = readContent();
+  const index = existingSlug ? content.podcasts.findIndex(item => item.slug === existingSlug) : -1;
+  if (existingSlug && index === -1) {
+    throw new ContentError(`Podcast "${existingSlug}" not found.`, { status: 404 });
+  }
+
+  const clashIndex = content.podcasts.findIndex(item => item.slug === podcast.slug);
+  if (clashIndex !== -1 && clashIndex !== index) {
+    throw new ContentError(`A podcast with slug "${podcast.slug}" already exists.`, { status: 409 });
+  }
+
+  const podcasts = [...content.podcasts];
+  if (index === -1) {
+    podcasts.unshift(podcast);
+  } else {
+    podcasts[index] = podcast;
+  }
+  await writeContent({ ...content, podcasts });
+  return podcast;
+}
+
+async function deletePodcast(slug) {
+  const content = readContent();
+  const podcasts = content.podcasts.filter(item => item.slug !== slug);
+  if (podcasts.length === content.podcasts.length) {
+    throw new ContentError(`Podcast "${slug}" not found.`, { status: 404 });
+  }
+  await writeContent({ ...content, podcasts });
+}
+
+module.exports = {
+  ARTICLE_SCHEMA,
+  PODCAST_SCHEMA,
+  validateEntry,
+  writeFileAtomic,
+  articles: {
+    list: listArticlesForEditor,
+    get: getArticleForEditor,
+    save: saveArticle,
+    remove: deleteArticle,
+  },
+  podcasts: {
+    list: listPodcastsForEditor,
+    get: getPodcastForEditor,
+    save: savePodcast,
+    remove: deletePodcast,
+  },
+};
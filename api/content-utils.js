@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter, renderMarkdown } = require('./markdown-utils.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const contentPath = path.join(DATA_DIR, 'content.json');
+const articlesDir = path.join(DATA_DIR, 'articles');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Players are tagged by ESPN athlete ID, the same ID /api/espn-player takes.
+const PLAYER_ID_PATTERN = /^\d{1,12}$/;
+
+class ContentError extends Error {
+  constructor(message, { status = 500, code, details } = {}) {
+    super(message);
+    this.name = 'ContentError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Reads data/content.json. A missing file is treated as empty, but a corrupt
+ * one throws so callers report an error instead of serving empty lists.
+ */
+function readContent() {
+  let raw;
+  try {
+    raw = fs.readFileSync(contentPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { podcasts: [] };
+    throw new ContentError(`Could not read content.json: ${error.message}`);
+  }
+
+  try {
+    const content = JSON.parse(raw);
+    return { ...content, podcasts: Array.isArray(content.podcasts) ? content.podcasts : [] };
+  } catch (error) {
+    console.error('Error parsing content.json:', error);
+    throw new ContentError('content.json is not valid JSON.');
+  }
+}
+
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+}
+
+// Invalid IDs are kept so the editor API can report them; readers filter them.
+function normalizePlayerIds(players) {
+  if (players === undefined || players === null || players === '') return [];
+  const list = Array.isArray(players) ? players : String(players).split(',');
+  return [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+}
+
+function toIsoDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseArticleFile(fileName) {
+  const raw = fs.readFileSync(path.join(articlesDir, fileName), 'utf8');
+  const { attributes, body } = parseFrontMatter(raw);
+  const slug = String(attributes.slug || path.basename(fileName, '.md'));
+
+  return {
+    slug,
+    title: String(attributes.title || slug),
+    author: attributes.author ? String(attributes.author) : null,
+    date: toIsoDate(attributes.date),
+    tags: normalizeTags(attributes.tags),
+    players: normalizePlayerIds(attributes.players).filter(id => PLAYER_ID_PATTERN.test(id)),
+    heroImage: attributes.heroImage ? String(attributes.heroImage) : null,
+    summary: attributes.summary ? String(attributes.summary) : '',
+    draft: attributes.draft === true,
+    link: `/#articulo/${slug}`,
+    body,
+  };
+}
+
+function listArticleFiles() {
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(articlesDir).filter(name => name.endsWith('.md'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading the articles directory:', error);
+    return [];
+  }
+
+  const entries = [];
+  fileNames.forEach(fileName => {
+    try {
+      const article = parseArticleFile(fileName);
+      if (SLUG_PATTERN.test(article.slug)) {
+        entries.push({ fileName, article });
+      } else {
+        console.warn(`Skipping article ${fileName}: invalid slug "${article.slug}".`);
+      }
+    } catch (error) {
+      console.error(`Error reading article ${fileName}:`, error);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Reads every Markdown article in data/articles, newest first. Files that
+ * cannot be parsed are logged and skipped. Drafts are only included when
+ * `includeDrafts` is set (the admin API).
+ */
+function readArticles({ includeDrafts = false } = {}) {
+  return listArticleFiles()
+    .map(entry => entry.article)
+    .filter(article => includeDrafts || !article.draft)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+function toArticleSummary({ body, ...article }) {
+  return article;
+}
+
+function getArticle(slug, { includeDrafts = false } = {}) {
+  if (!SLUG_PATTERN.test(String(slug || ''))) return null;
+  const article = readArticles({ includeDrafts }).find(item => item.slug === slug);
+  if (!article) return null;
+
+  const { body, ...meta } = article;
+  return { ...meta, html: renderMarkdown(body) };
+}
+
+/**
+ * Editorial choices about ESPN stories in the news timeline, by ESPN story
+ * ID: `news.pinned` (shown first, in that order) and `news.hidden` in
+ * content.json.
+ */
+function readNewsOverrides() {
+  const news = readContent().news || {};
+  const ids = list => (Array.isArray(list) ? [...new Set(list.map(id => String(id).trim()).filter(Boolean))] : []);
+  const hidden = ids(news.hidden);
+  return { pinned: ids(news.pinned).filter(id => !hidden.includes(id)), hidden };
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  PLAYER_ID_PATTERN,
+  DATA_DIR,
+  contentPath,
+  articlesDir,
+  ContentError,
+  readContent,
+  listArticleFiles,
+  readArticles,
+  toArticleSummary,
+  getArticle,
+  normalizeTags,
+  normalizePlayerIds,
+  readNewsOverrides,
+};
@@ -1,23 +1,73 @@
-const fs = require('fs');
-const path = require('path');
+const {
+  PLAYER_ID_PATTERN,
+  readContent,
+  readArticles,
+  toArticleSummary,
+  getArticle,
+  normalizeTags,
+} = require('./content-utils.js');
+const { sendError, readPositiveInt, apiRoute } = require('./http-utils.js');
 
-const contentPath = path.join(__dirname, '..', 'data', 'content.json');
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const CONTENT_TYPES = ['articles', 'podcasts'];
 
-function readContent() {
-  try {
-    const raw = fs.readFileSync(contentPath, 'utf8');
-    return JSON.parse(raw);
-  } catch (error) {
-    console.error('Error reading content.json:', error);
-    return { articles: [], podcasts: [] };
-  }
+function paginateArticles(query) {
+  const page = readPositiveInt(query.page, 1);
+  const pageSize = readPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const [tag] = normalizeTags(query.tag);
+  const player = PLAYER_ID_PATTERN.test(String(query.player || '')) ? String(query.player) : null;
+
+  const allArticles = readArticles();
+  const filtered = allArticles.filter(article => (
+    (!tag || article.tags.includes(tag)) && (!player || article.players.includes(player))
+  ));
+  const total = filtered.length;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const start = (page - 1) * pageSize;
+
+  return {
+    articles: filtered.slice(start, start + pageSize).map(toArticleSummary),
+    tags: [...new Set(allArticles.flatMap(article => article.tags))].sort(),
+    pagination: { page, pageSize, total, totalPages, tag: tag || null, player },
+  };
 }
 
-module.exports = function handler(req, res) {
+function handler(req, res) {
+  const query = req.query || {};
+
   try {
-    res.status(200).json(readContent());
+    if (query.slug !== undefined) {
+      const article = getArticle(String(query.slug));
+      if (!article) {
+        sendError(res, 404, `Article "${query.slug}" not found.`);
+        return;
+      }
+      res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+      res.status(200).json({ article });
+      return;
+    }
+
+    const type = query.type ? String(query.type) : null;
+    if (type && !CONTENT_TYPES.includes(type)) {
+      sendError(res, 400, `Query parameter "type" must be one of: ${CONTENT_TYPES.join(', ')}.`, { code: 'invalid_parameter' });
+      return;
+    }
+
+    const body = {};
+    if (!type || type === 'articles') Object.assign(body, paginateArticles(query));
+    if (!type || type === 'podcasts') {
+      const content = readContent();
+      body.podcast = content.podcast || null;
+      body.podcasts = content.podcasts;
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+    res.status(200).json(body);
   } catch (error) {
     console.error('Error fetching content:', error);
-    res.status(500).json({ error: 'Failed to fetch content' });
+    sendError(res, 500, 'Failed to fetch content');
   }
-};
+}
+
+module.exports = apiRoute(handler, { params: ['type', 'slug', 'page', 'pageSize', 'tag', 'player'] });
@@ -1,20 +1,210 @@
-const ESPN_API_BASE_URL = 'https://site.api.espn.com/apis/site/v2';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 
-async function fetchEspnApi(path, queryParams = {}) {
-  const apiKey = process.env.ESPN_API_KEY;
-  if (!apiKey) {
-    throw new Error('ESPN_API_KEY is not defined in environment variables. This is a server configuration issue.');
+const ESPN_API_BASE_URLS = {
+  site: 'https://site.api.espn.com/apis/site/v2',
+  // Athlete bios and stats are only served by the "common" API.
+  common: 'https://site.web.api.espn.com/apis/common/v3',
+};
+
+const DEFAULT_TTL_MS = readNumberEnv('ESPN_CACHE_TTL_MS', 60 * 1000);
+const DEFAULT_TIMEOUT_MS = readNumberEnv('ESPN_TIMEOUT_MS', 8000);
+const DEFAULT_RETRIES = readNumberEnv('ESPN_RETRIES', 2);
+const RETRY_BASE_DELAY_MS = 300;
+const CACHE_DIR = process.env.ESPN_CACHE_DIR || '';
+const MEMORY_CACHE_MAX_ENTRIES = readNumberEnv('ESPN_CACHE_MAX_ENTRIES', 500);
+// Where ESPN data comes from: `live` (default) calls the API; `fixtures` reads
+// recorded responses from ESPN_FIXTURES_DIR/<ESPN_SCENARIO>/ without a key or
+// network; `record` calls the API and saves each response as a fixture.
+const ESPN_SOURCES = ['live', 'fixtures', 'record'];
+const ESPN_SOURCE = readSourceEnv();
+const FIXTURES_DIR = process.env.ESPN_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'espn');
+const FIXTURE_SCENARIO = process.env.ESPN_SCENARIO || 'default';
+const DEFAULT_SCENARIO = 'default';
+// Query parameters that select a different resource and so appear in fixture
+// file names; the rest (groups, limit) are ignored.
+const FIXTURE_QUERY_KEYS = ['event', 'season', 'seasontype'];
+// Bodies below this size are sent uncompressed; the headers would outweigh the savings.
+const COMPRESSION_MIN_BYTES = 1024;
+
+// Last-known-good responses keyed by path+query. Entries are kept after they
+// expire so they can be served as a stale fallback when ESPN is unavailable,
+// up to MEMORY_CACHE_MAX_ENTRIES: the least recently used are dropped first
+// (a Map keeps insertion order, so reads move an entry to the end).
+const memoryCache = new Map();
+const inflightRequests = new Map();
+
+class EspnApiError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = 'EspnApiError';
+    this.status = status;
+    this.retryable = retryable;
   }
+}
 
-  const queryString = new URLSearchParams({ ...queryParams, apikey: apiKey }).toString();
-  const url = `${ESPN_API_BASE_URL}/${path}?${queryString}`;
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function readSourceEnv() {
+  const source = String(process.env.ESPN_SOURCE || 'live').toLowerCase();
+  if (ESPN_SOURCES.includes(source)) return source;
+  console.warn(`Unknown ESPN_SOURCE "${source}", falling back to live. Use one of: ${ESPN_SOURCES.join(', ')}.`);
+  return 'live';
+}
+
+if (ESPN_SOURCE === 'fixtures' && !fs.existsSync(path.join(FIXTURES_DIR, FIXTURE_SCENARIO))) {
+  console.warn(`ESPN fixture scenario "${FIXTURE_SCENARIO}" not found in ${FIXTURES_DIR}; using "${DEFAULT_SCENARIO}".`);
+}
+
+function buildCacheKey(path, queryParams, api) {
+  const sortedQuery = new URLSearchParams(
+    Object.entries(queryParams).sort(([a], [b]) => a.localeCompare(b)),
+  ).toString();
+  const key = sortedQuery ? `${path}?${sortedQuery}` : path;
+  return api === 'site' ? key : `${api}:${key}`;
+}
+
+function getCacheFilePath(cacheKey) {
+  const hash = crypto.createHash('sha1').update(cacheKey).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+async function readFileCache(cacheKey) {
+  if (!CACHE_DIR) return null;
+  try {
+    const raw = await fs.promises.readFile(getCacheFilePath(cacheKey), 'utf8');
+    const entry = JSON.parse(raw);
+    return entry && entry.key === cacheKey ? entry : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read ESPN file cache for ${cacheKey}:`, error.message);
+    }
+    return null;
+  }
+}
+
+async function writeFileCache(cacheKey, entry) {
+  if (!CACHE_DIR) return;
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    const filePath = getCacheFilePath(cacheKey);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ key: cacheKey, ...entry }));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    console.warn(`Could not write ESPN file cache for ${cacheKey}:`, error.message);
+  }
+}
+
+function rememberEntry(cacheKey, entry) {
+  memoryCache.delete(cacheKey);
+  memoryCache.set(cacheKey, entry);
+  while (memoryCache.size > MEMORY_CACHE_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+async function getCachedEntry(cacheKey) {
+  const entry = memoryCache.get(cacheKey);
+  if (entry) {
+    rememberEntry(cacheKey, entry);
+    return entry;
+  }
+
+  const fileEntry = await readFileCache(cacheKey);
+  if (fileEntry) {
+    const { data, fetchedAt, expiresAt } = fileEntry;
+    const restored = { data, fetchedAt, expiresAt };
+    rememberEntry(cacheKey, restored);
+    return restored;
+  }
+  return null;
+}
+
+/**
+ * Fixture file names for a request, most specific first:
+ * `teams-28-schedule.season-2024.seasontype-2.json`, then `teams-28-schedule.json`.
+ */
+function getFixtureNames(apiPath, queryParams) {
+  const base = apiPath.replace(/^sports\/football\/nfl\//, '').replaceAll('/', '-');
+  const qualifiers = FIXTURE_QUERY_KEYS
+    .filter(key => queryParams[key] !== undefined && queryParams[key] !== '')
+    .map(key => `${key}-${queryParams[key]}`);
+  return qualifiers.length ? [`${[base, ...qualifiers].join('.')}.json`, `${base}.json`] : [`${base}.json`];
+}
+
+// Scenarios only need the files they change; anything else comes from default.
+async function readFixture(apiPath, queryParams) {
+  const names = getFixtureNames(apiPath, queryParams);
+  const scenarios = [...new Set([FIXTURE_SCENARIO, DEFAULT_SCENARIO])];
+
+  for (const scenario of scenarios) {
+    for (const name of names) {
+      let raw;
+      try {
+        raw = await fs.promises.readFile(path.join(FIXTURES_DIR, scenario, name), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (jsonError) {
+        console.error(`Error parsing ESPN fixture ${scenario}/${name}:`, jsonError.message);
+        throw new EspnApiError('Failed to parse a supposedly valid JSON response from the ESPN API.');
+      }
+    }
+  }
+
+  throw new EspnApiError(`No ESPN fixture for ${apiPath} in scenario "${FIXTURE_SCENARIO}" (looked for ${names.join(', ')}).`, {
+    status: 404,
+  });
+}
+
+async function recordFixture(apiPath, queryParams, data) {
+  const filePath = path.join(FIXTURES_DIR, FIXTURE_SCENARIO, getFixtureNames(apiPath, queryParams)[0]);
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+    console.info(`Recorded ESPN fixture ${path.relative(FIXTURES_DIR, filePath)}`);
+  } catch (error) {
+    console.warn(`Could not record ESPN fixture ${filePath}:`, error.message);
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getBackoffDelay(attempt) {
+  // Full jitter: a random delay between 0 and the exponential ceiling.
+  const ceiling = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.round(Math.random() * ceiling);
+}
+
+async function requestEspn(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
 
   let response;
   try {
-    response = await fetch(url);
+    response = await fetch(url, { signal: controller.signal });
   } catch (networkError) {
-    console.error(`Network error while fetching ESPN API at ${url}:`, networkError);
-    throw new Error('A network error occurred while trying to reach the ESPN API. Please check connectivity.');
+    const timedOut = networkError.name === 'AbortError';
+    console.error(`${timedOut ? 'Timeout' : 'Network error'} while fetching ESPN API at ${url}:`, networkError.message);
+    throw new EspnApiError(
+      timedOut
+        ? `The ESPN API did not respond within ${timeoutMs} ms.`
+        : 'A network error occurred while trying to reach the ESPN API. Please check connectivity.',
+      { retryable: true },
+    );
+  } finally {
+    clearTimeout(timer);
   }
 
   if (!response.ok) {
@@ -25,15 +215,160 @@ async function fetchEspnApi(path, queryParams = {}) {
       console.warn(`Failed to read error response body from ${url} (Status: ${response.status}):`, textError.message);
     }
     console.error(`Error fetching from ESPN API at ${url}. Status: ${response.status} ${response.statusText}. Body: ${errorBody}`);
-    throw new Error(`Request to ESPN API failed with status ${response.status} (${response.statusText}).`);
+    throw new EspnApiError(`Request to ESPN API failed with status ${response.status} (${response.statusText}).`, {
+      status: response.status,
+      retryable: response.status >= 500,
+    });
   }
 
   try {
     return await response.json();
   } catch (jsonError) {
     console.error(`Error parsing JSON response from ESPN API at ${url}:`, jsonError);
-    throw new Error('Failed to parse a supposedly valid JSON response from the ESPN API.');
+    throw new EspnApiError('Failed to parse a supposedly valid JSON response from the ESPN API.');
+  }
+}
+
+async function requestEspnWithRetry(url, { timeoutMs, retries }) {
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    try {
+      return await requestEspn(url, timeoutMs);
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable || attempt === retries) break;
+      const delay = getBackoffDelay(attempt);
+      console.warn(`Retrying ESPN request (${attempt + 1}/${retries}) in ${delay} ms: ${error.message}`);
+      await wait(delay);
+    }
+  }
+  throw lastError;
+}
+
+async function refreshEntry(path, queryParams, cacheKey, options) {
+  const apiKey = process.env.ESPN_API_KEY;
+  if (!apiKey) {
+    throw new Error('ESPN_API_KEY is not defined in environment variables. This is a server configuration issue.');
+  }
+
+  const queryString = new URLSearchParams({ ...queryParams, apikey: apiKey }).toString();
+  const url = `${ESPN_API_BASE_URLS[options.api]}/${path}?${queryString}`;
+
+  const data = await requestEspnWithRetry(url, options);
+  if (ESPN_SOURCE === 'record') await recordFixture(path, queryParams, data);
+  const fetchedAt = Date.now();
+  const entry = { data, fetchedAt, expiresAt: fetchedAt + options.ttlMs };
+  rememberEntry(cacheKey, entry);
+  await writeFileCache(cacheKey, entry);
+  return entry;
+}
+
+/**
+ * Fetches an ESPN API resource through the response cache and returns the
+ * payload together with cache metadata.
+ *
+ * @param {string} path ESPN path relative to the base URL of `options.api`.
+ * @param {Record<string, string|number>} [queryParams]
+ * @param {{ ttlMs?: number, timeoutMs?: number, retries?: number, api?: 'site'|'common' }} [options]
+ * @returns {Promise<{ data: any, fetchedAt: number, stale: boolean, cache: 'HIT'|'MISS'|'STALE'|'FIXTURE' }>}
+ */
+async function fetchEspnApiWithMeta(path, queryParams = {}, options = {}) {
+  const resolvedOptions = {
+    ttlMs: options.ttlMs ?? DEFAULT_TTL_MS,
+    timeoutMs: options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    retries: options.retries ?? DEFAULT_RETRIES,
+    api: options.api || 'site',
+  };
+  if (!ESPN_API_BASE_URLS[resolvedOptions.api]) {
+    throw new EspnApiError(`Unknown ESPN API "${resolvedOptions.api}". Use one of: ${Object.keys(ESPN_API_BASE_URLS).join(', ')}.`);
+  }
+  // Fixtures skip the cache so edits on disk show up on the next request.
+  if (ESPN_SOURCE === 'fixtures') {
+    const data = await readFixture(path, queryParams);
+    return { data, fetchedAt: Date.now(), stale: false, cache: 'FIXTURE' };
+  }
+
+  const cacheKey = buildCacheKey(path, queryParams, resolvedOptions.api);
+
+  const cached = await getCachedEntry(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { data: cached.data, fetchedAt: cached.fetchedAt, stale: false, cache: 'HIT' };
+  }
+
+  // Concurrent callers for the same resource share one upstream request.
+  let request = inflightRequests.get(cacheKey);
+  if (!request) {
+    request = refreshEntry(path, queryParams, cacheKey, resolvedOptions)
+      .finally(() => inflightRequests.delete(cacheKey));
+    inflightRequests.set(cacheKey, request);
+  }
+
+  try {
+    const entry = await request;
+    return { data: entry.data, fetchedAt: entry.fetchedAt, stale: false, cache: 'MISS' };
+  } catch (error) {
+    if (cached) {
+      console.warn(`Serving last-known-good ESPN response for ${cacheKey}: ${error.message}`);
+      return { data: cached.data, fetchedAt: cached.fetchedAt, stale: true, cache: 'STALE' };
+    }
+    throw error;
   }
 }
 
-module.exports = { fetchEspnApi };
+async function fetchEspnApi(path, queryParams = {}, options = {}) {
+  const { data } = await fetchEspnApiWithMeta(path, queryParams, options);
+  return data;
+}
+
+// Weak on purpose: the same payload is sent as br, gzip or identity bytes, and
+// a weak validator says they are equivalent without being byte-identical.
+function createEtag(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// Picks brotli or gzip from Accept-Encoding and sets Content-Encoding.
+function compressBody(req, res, body) {
+  const accepted = String(req.headers?.['accept-encoding'] || '');
+  if (Buffer.byteLength(body) < COMPRESSION_MIN_BYTES) return body;
+
+  if (/\bbr\b/.test(accepted)) {
+    res.setHeader('Content-Encoding', 'br');
+    return zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+  }
+  if (/\bgzip\b/.test(accepted)) {
+    res.setHeader('Content-Encoding', 'gzip');
+    return zlib.gzipSync(body);
+  }
+  return body;
+}
+
+/**
+ * Sends an ESPN-backed JSON payload with CDN-friendly caching headers. Stale
+ * fallbacks are marked with `stale: true` in the body and a short shared
+ * max-age so the CDN retries ESPN soon. Large bodies are compressed.
+ */
+function sendCachedJson(req, res, result, { maxAgeSeconds = 60, staleWhileRevalidateSeconds = 300 } = {}) {
+  const payload = result.stale && result.data && typeof result.data === 'object' && !Array.isArray(result.data)
+    ? { ...result.data, stale: true }
+    : result.data;
+  const body = JSON.stringify(payload);
+  const etag = createEtag(body);
+  const sharedMaxAge = result.stale ? Math.min(maxAgeSeconds, 15) : maxAgeSeconds;
+
+  res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${sharedMaxAge}, stale-while-revalidate=${staleWhileRevalidateSeconds}`);
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', new Date(result.fetchedAt).toUTCString());
+  res.setHeader('X-Cache', result.cache);
+  // Before the 304 too, so caches never pair this validator with one encoding.
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  if (req.headers?.['if-none-match'] === etag) {
+    res.status(304).end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.status(200).send(compressBody(req, res, body));
+}
+
+module.exports = { fetchEspnApi, fetchEspnApiWithMeta, sendCachedJson, EspnApiError };
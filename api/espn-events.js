@@ -1,20 +1,51 @@
-const { fetchEspnApi } = require('./espn-api-utils.js');
+const { sendCachedJson } = require('./espn-api-utils.js');
+const { resolveTeamParam } = require('./team-utils.js');
+const {
+  parseScheduleQuery,
+  fetchTeamSchedule,
+  groupGamesByWeek,
+  getCurrentSeason,
+} = require('./schedule-utils.js');
+const { MODEL_VERSION, normalizeGames, buildTeamRecord } = require('./espn-model.js');
+const { sendError, apiRoute } = require('./http-utils.js');
 
-const TEAM_ID = '28';
-const API_PATH = `sports/football/nfl/teams/${TEAM_ID}/schedule`;
+function buildSchedulePayload(data, team, { season, seasonType }) {
+  const games = normalizeGames(data?.events);
+  const resolvedSeason = data?.requestedSeason?.year || data?.season?.year || season || getCurrentSeason();
+  const byeWeek = Number(data?.byeWeek) || null;
 
-module.exports = async function handler(req, res) {
-  try {
-    const queryParams = {
-      seasontype: 2,
-      groups: 'all',
-      limit: 500,
-    };
+  return {
+    version: MODEL_VERSION,
+    team: { id: team.id, abbreviation: team.abbreviation, displayName: team.displayName },
+    season: resolvedSeason,
+    seasonType,
+    byeWeek,
+    record: buildTeamRecord(games, team.id),
+    weeks: groupGamesByWeek(games, { seasonType, byeWeek }),
+  };
+}
+
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
 
-    const data = await fetchEspnApi(API_PATH, queryParams);
-    res.status(200).json(data);
+  const { season, seasonType, error: scheduleError } = parseScheduleQuery(req.query);
+  if (scheduleError) {
+    sendError(res, 400, scheduleError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  try {
+    const result = await fetchTeamSchedule(team, { season, seasonType });
+    const payload = buildSchedulePayload(result.data, team, { season, seasonType });
+    sendCachedJson(req, res, { ...result, data: payload }, { maxAgeSeconds: 60, staleWhileRevalidateSeconds: 300 });
   } catch (error) {
-    console.error(`Error in espn-events handler (fetching team schedule for ID ${TEAM_ID}):`, error.message);
-    res.status(500).json({ error: `Failed to fetch ESPN team events. ${error.message}` });
+    console.error(`Error in espn-events handler (fetching team schedule for ID ${team.id}):`, error.message);
+    sendError(res, 500, `Failed to fetch ESPN team events. ${error.message}`, { code: 'upstream_error' });
   }
-};
+}
+
+module.exports = apiRoute(handler, { params: ['team', 'season', 'seasontype'] });
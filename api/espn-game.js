@@ -0,0 +1,44 @@
+const { fetchEspnApiWithMeta, sendCachedJson } = require('./espn-api-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const LEAGUE = 'nfl';
+const API_PATH = `sports/football/${LEAGUE}/summary`;
+const CACHE_TTL_MS = 30 * 1000;
+const EVENT_ID_PATTERN = /^\d{1,12}$/;
+
+// Only the parts of ESPN's summary payload the game detail view renders.
+const SUMMARY_KEYS = ['header', 'boxscore', 'gameInfo', 'leaders', 'scoringPlays', 'drives'];
+
+function pickSummary(data) {
+  const summary = {};
+  SUMMARY_KEYS.forEach(key => {
+    if (data?.[key] !== undefined) summary[key] = data[key];
+  });
+  return summary;
+}
+
+function getGameState(summary) {
+  return summary.header?.competitions?.[0]?.status?.type?.state || 'pre';
+}
+
+async function handler(req, res) {
+  const eventId = String(req.query?.id || '');
+  if (!EVENT_ID_PATTERN.test(eventId)) {
+    sendError(res, 400, 'Query parameter "id" must be a numeric ESPN event ID.', { code: 'invalid_parameter' });
+    return;
+  }
+
+  try {
+    const result = await fetchEspnApiWithMeta(API_PATH, { event: eventId }, { ttlMs: CACHE_TTL_MS });
+    const summary = pickSummary(result.data);
+    const gameState = getGameState(summary);
+    const maxAgeSeconds = gameState === 'post' ? 3600 : gameState === 'in' ? 15 : 300;
+
+    sendCachedJson(req, res, { ...result, data: summary }, { maxAgeSeconds, staleWhileRevalidateSeconds: 600 });
+  } catch (error) {
+    console.error(`Error in espn-game handler (fetching summary for event ${eventId}):`, error.message);
+    sendError(res, 500, `Failed to fetch ESPN game summary. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['id'] });
@@ -0,0 +1,77 @@
+const { fetchEspnApiWithMeta } = require('./espn-api-utils.js');
+const { resolveTeamParam } = require('./team-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const LEAGUE = 'nfl';
+const API_PATH = `sports/football/${LEAGUE}/scoreboard`;
+const CACHE_TTL_MS = 10 * 1000;
+
+function slimCompetitor(competitor) {
+  const team = competitor?.team || {};
+  return {
+    id: String(team.id ?? ''),
+    abbreviation: team.abbreviation || '',
+    displayName: team.displayName || team.name || '',
+    logo: team.logo || team.logos?.[0]?.href || '',
+    score: Number(competitor?.score) || 0,
+    timeouts: competitor?.timeoutsRemaining ?? null,
+  };
+}
+
+function slimLiveGame(event) {
+  const competition = event.competitions?.[0] || {};
+  const status = competition.status || event.status || {};
+  const competitors = competition.competitors || [];
+  const situation = competition.situation || null;
+
+  return {
+    eventId: String(event.id),
+    name: event.shortName || event.name || '',
+    date: competition.date || event.date || null,
+    state: status.type?.state || 'pre',
+    statusName: status.type?.name || '',
+    detail: status.type?.shortDetail || status.type?.detail || '',
+    period: status.period ?? 0,
+    clock: status.displayClock || '',
+    halftime: status.type?.name === 'STATUS_HALFTIME',
+    home: slimCompetitor(competitors.find(item => item?.homeAway === 'home')),
+    away: slimCompetitor(competitors.find(item => item?.homeAway === 'away')),
+    situation: situation ? {
+      down: situation.down ?? null,
+      distance: situation.distance ?? null,
+      downDistanceText: situation.downDistanceText || situation.shortDownDistanceText || '',
+      possession: situation.possession ? String(situation.possession) : null,
+      possessionText: situation.possessionText || '',
+      isRedZone: Boolean(situation.isRedZone),
+      lastPlay: situation.lastPlay?.text || '',
+    } : null,
+  };
+}
+
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  try {
+    const result = await fetchEspnApiWithMeta(API_PATH, {}, { ttlMs: CACHE_TTL_MS });
+    const events = Array.isArray(result.data?.events) ? result.data.events : [];
+    const event = events.find(item => item?.competitions?.[0]?.competitors?.some(
+      competitor => String(competitor?.team?.id) === team.id,
+    ));
+
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=5, stale-while-revalidate=10');
+    res.status(200).json({
+      game: event ? slimLiveGame(event) : null,
+      stale: result.stale,
+      fetchedAt: result.fetchedAt,
+    });
+  } catch (error) {
+    console.error(`Error in espn-live handler (fetching ${LEAGUE} scoreboard for team ${team.id}):`, error.message);
+    sendError(res, 500, `Failed to fetch live game data. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['team'] });
@@ -0,0 +1,683 @@
+const { findTeam } = require('./team-utils.js');
+
+// Version of the normalized payloads served by /api/espn-events,
+// /api/espn-standings, /api/espn-playoffs, /api/espn-roster,
+// /api/espn-player, /api/espn-team-stats and /api/espn-news. Bump it when a field is renamed or removed so clients
+// drop cached responses in the old shape.
+const MODEL_VERSION = 1;
+
+// ESPN sends numbers as numbers, numeric strings or { value, displayValue }.
+function toNumber(value) {
+  const raw = value && typeof value === 'object' ? value.value ?? value.displayValue : value;
+  if (raw === null || raw === undefined || raw === '') return null;
+  const number = Number(raw);
+  return Number.isFinite(number) ? number : null;
+}
+
+function firstText(...values) {
+  return values.find(value => typeof value === 'string' && value.trim()) || '';
+}
+
+/**
+ * @typedef {{ id: string, abbreviation: string, displayName: string, shortName: string, logo: string }} TeamRef
+ */
+function normalizeTeam(team) {
+  if (!team || team.id === undefined || team.id === null) return null;
+  return {
+    id: String(team.id),
+    abbreviation: firstText(team.abbreviation),
+    displayName: firstText(team.displayName, team.name, team.abbreviation),
+    shortName: firstText(team.shortDisplayName, team.name, team.abbreviation),
+    logo: firstText(team.logo, team.logos?.[0]?.href),
+  };
+}
+
+function normalizeStatus(status) {
+  const type = status?.type || {};
+  return {
+    state: firstText(type.state) || 'pre',
+    completed: Boolean(type.completed),
+    name: firstText(type.name),
+    description: firstText(type.description),
+    detail: firstText(type.shortDetail, type.detail),
+  };
+}
+
+function normalizeCompetitor(competitor) {
+  const team = normalizeTeam(competitor?.team);
+  if (!team) return null;
+  const records = competitor.records || competitor.record;
+  return {
+    team,
+    score: toNumber(competitor.score),
+    winner: typeof competitor.winner === 'boolean' ? competitor.winner : null,
+    record: firstText(Array.isArray(records) ? records[0]?.summary || records[0]?.displayValue : records),
+  };
+}
+
+function normalizeVenue(venue) {
+  if (!venue) return null;
+  const { city, state } = venue.address || {};
+  return { name: firstText(venue.fullName, venue.name), city: firstText(city), state: firstText(state) };
+}
+
+function normalizeBroadcasts(competition) {
+  const names = (competition.broadcasts || [])
+    .map(broadcast => broadcast?.media?.shortName || broadcast?.names?.[0])
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * @typedef {Object} Game
+ * @property {string} id ESPN event ID.
+ * @property {string|null} date Kickoff as an ISO string.
+ * @property {boolean} timeValid False while the kickoff time is still TBD.
+ * @property {{ number: number, label: string }|null} week
+ * @property {number|null} seasonType 1 preseason, 2 regular season, 3 postseason.
+ * @property {{ state: string, completed: boolean, name: string, description: string, detail: string }} status
+ * @property {{ name: string, city: string, state: string }|null} venue
+ * @property {string[]} broadcasts
+ * @property {{ team: TeamRef, score: number|null, winner: boolean|null, record: string }} home
+ * @property {{ team: TeamRef, score: number|null, winner: boolean|null, record: string }} away
+ */
+
+/**
+ * Reduces an ESPN schedule or scoreboard event to a Game. Returns null when
+ * the event has no competition or either side is missing.
+ *
+ * @returns {Game|null}
+ */
+function normalizeGame(event) {
+  const competition = event?.competitions?.[0];
+  const competitors = Array.isArray(competition?.competitors) ? competition.competitors : [];
+  const home = normalizeCompetitor(competitors.find(item => item?.homeAway === 'home'));
+  const away = normalizeCompetitor(competitors.find(item => item?.homeAway === 'away'));
+  if (!event?.id || !home || !away) return null;
+
+  const weekNumber = toNumber(event.week?.number ?? event.week);
+  return {
+    id: String(event.id),
+    date: competition.date || event.date || null,
+    timeValid: competition.timeValid !== false,
+    name: firstText(event.name),
+    shortName: firstText(event.shortName),
+    week: Number.isInteger(weekNumber) ? { number: weekNumber, label: firstText(event.week?.text) } : null,
+    seasonType: toNumber(event.seasonType?.type ?? event.season?.type),
+    status: normalizeStatus(competition.status || event.status),
+    venue: normalizeVenue(competition.venue),
+    broadcasts: normalizeBroadcasts(competition),
+    home,
+    away,
+  };
+}
+
+function normalizeGames(events) {
+  return (Array.isArray(events) ? events : []).map(normalizeGame).filter(Boolean);
+}
+
+/**
+ * The Game of an ESPN game summary: its header has the same shape as a
+ * schedule event, but the venue is only in `gameInfo`.
+ *
+ * @returns {Game|null}
+ */
+function normalizeSummaryGame(data) {
+  const game = normalizeGame(data?.header);
+  if (!game) return null;
+  return { ...game, venue: normalizeVenue(data.gameInfo?.venue) || game.venue };
+}
+
+/**
+ * @typedef {Object} Matchup
+ * @property {string} id
+ * @property {number|null} week
+ * @property {string|null} date
+ * @property {string} home Team ID.
+ * @property {string} away Team ID.
+ * @property {number|null} homeScore
+ * @property {number|null} awayScore
+ * @property {boolean} completed
+ */
+
+/**
+ * Compact form of a Game for payloads that list many of them, such as the
+ * playoff picture; team details live in the accompanying standings rows.
+ *
+ * @returns {Matchup}
+ */
+function toMatchup(game) {
+  return {
+    id: game.id,
+    week: game.week?.number ?? null,
+    date: game.date,
+    home: game.home.team.id,
+    away: game.away.team.id,
+    homeScore: game.home.score,
+    awayScore: game.away.score,
+    completed: game.status.completed,
+  };
+}
+
+/** Returns `{ us, them }` for the given team, or null if it did not play. */
+function getGameSides(game, teamId) {
+  if (game.home.team.id === String(teamId)) return { us: game.home, them: game.away };
+  if (game.away.team.id === String(teamId)) return { us: game.away, them: game.home };
+  return null;
+}
+
+/**
+ * @typedef {{ wins: number, losses: number, ties: number, pointsFor: number, pointsAgainst: number, gamesPlayed: number, summary: string }} TeamRecord
+ */
+
+/**
+ * Builds a team's record from the completed games in a list of Games.
+ *
+ * @returns {TeamRecord}
+ */
+function buildTeamRecord(games, teamId) {
+  const record = { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0, gamesPlayed: 0 };
+
+  games.filter(game => game.status.completed).forEach(game => {
+    const sides = getGameSides(game, teamId);
+    if (!sides || sides.us.score === null || sides.them.score === null) return;
+
+    record.gamesPlayed += 1;
+    record.pointsFor += sides.us.score;
+    record.pointsAgainst += sides.them.score;
+    if (sides.us.score > sides.them.score) record.wins += 1;
+    else if (sides.us.score < sides.them.score) record.losses += 1;
+    else record.ties += 1;
+  });
+
+  const summary = `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+  return { ...record, summary };
+}
+
+function getGameResult(sides) {
+  if (sides.us.score > sides.them.score) return 'W';
+  return sides.us.score < sides.them.score ? 'L' : 'T';
+}
+
+function getCompletedGames(games, teamId) {
+  return games
+    .filter(game => game.status.completed && game.home.score !== null && game.away.score !== null && getGameSides(game, teamId))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+/**
+ * The current run of wins, losses or ties, in the same shape as the standings
+ * streak (`W3` is `{ label: 'W3', value: 3 }`, losses are negative).
+ */
+function buildStreak(games, teamId) {
+  const results = getCompletedGames(games, teamId).map(game => getGameResult(getGameSides(game, teamId)));
+  const last = results[results.length - 1];
+  if (!last) return { label: '', value: 0 };
+  let length = 0;
+  for (let index = results.length - 1; index >= 0 && results[index] === last; index -= 1) length += 1;
+  return { label: `${last}${length}`, value: last === 'W' ? length : last === 'L' ? -length : 0 };
+}
+
+/**
+ * @typedef {Object} HeadToHead
+ * @property {string} opponentId
+ * @property {number} wins From the team's point of view.
+ * @property {number} losses
+ * @property {number} ties
+ * @property {string} summary e.g. "25-19".
+ * @property {number|null} since First season of the games looked at.
+ * @property {{ id: string, date: string|null, season: number|null, seasonType: number|null, home: boolean,
+ *   score: number, opponentScore: number, result: 'W'|'L'|'T' }[]} recent Newest first.
+ */
+
+/**
+ * Series between two teams from the completed games in a list of Games.
+ * `seasons` maps game IDs to their season, which Games do not carry.
+ *
+ * @returns {HeadToHead}
+ */
+function buildHeadToHead(games, teamId, opponentId, { seasons = new Map(), since = null, recentLimit = 5 } = {}) {
+  const meetings = getCompletedGames(games, teamId)
+    .filter(game => getGameSides(game, teamId).them.team.id === String(opponentId))
+    .map(game => {
+      const sides = getGameSides(game, teamId);
+      return {
+        id: game.id,
+        date: game.date,
+        season: seasons.get(game.id) ?? null,
+        seasonType: game.seasonType,
+        home: sides.us === game.home,
+        score: sides.us.score,
+        opponentScore: sides.them.score,
+        result: getGameResult(sides),
+      };
+    });
+
+  const count = result => meetings.filter(meeting => meeting.result === result).length;
+  const [wins, losses, ties] = [count('W'), count('L'), count('T')];
+  return {
+    opponentId: String(opponentId),
+    wins,
+    losses,
+    ties,
+    summary: `${wins}-${losses}${ties ? `-${ties}` : ''}`,
+    since,
+    recent: meetings.slice(-recentLimit).reverse(),
+  };
+}
+
+// Standings stats are matched by name, type or abbreviation; ESPN has used
+// all three across seasons.
+function findStat(stats, names) {
+  if (!Array.isArray(stats)) return null;
+  return stats.find(stat => stat && names.some(name => (
+    stat.name === name || stat.type === name || stat.abbreviation === name
+  ))) || null;
+}
+
+function getStatNumber(stats, names) {
+  return toNumber(findStat(stats, names)) ?? 0;
+}
+
+function getRecordSummary(stats, names) {
+  const stat = findStat(stats, names);
+  return firstText(stat?.summary, stat?.displayValue);
+}
+
+function parseStreak(stat) {
+  if (!stat) return { label: '', value: 0 };
+  const label = firstText(stat.displayValue);
+  const match = /^([WLT])(\d+)$/.exec(label);
+  if (match) {
+    const length = Number(match[2]);
+    return { label, value: match[1] === 'W' ? length : match[1] === 'L' ? -length : 0 };
+  }
+  const value = toNumber(stat.value) ?? 0;
+  return { label: label || (value > 0 ? `W${value}` : value < 0 ? `L${-value}` : ''), value };
+}
+
+function normalizeClincher(stat) {
+  const code = firstText(stat?.displayValue, stat?.summary).trim().toLowerCase();
+  return /^[xyz*e]$/.test(code) ? code : '';
+}
+
+/**
+ * @typedef {Object} StandingsRow
+ * @property {TeamRef} team
+ * @property {string} conference Abbreviation, e.g. "NFC".
+ * @property {string} division e.g. "NFC East".
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties
+ * @property {number} winPercent Between 0 and 1.
+ * @property {number} pointsFor
+ * @property {number} pointsAgainst
+ * @property {number} differential
+ * @property {{ label: string, value: number }} streak Positive for wins, negative for losses.
+ * @property {string} divisionRecord e.g. "4-2".
+ * @property {string} conferenceRecord
+ * @property {number|null} seed Conference playoff seed, when ESPN provides one.
+ * @property {string} clincher ESPN clinch code: x playoff berth, y division, z first-round
+ *   bye, * home-field advantage, e eliminated; empty when undecided.
+ */
+
+/**
+ * @returns {StandingsRow|null}
+ */
+function normalizeStandingsRow(entry, group = {}) {
+  const team = normalizeTeam(entry?.team);
+  if (!team) return null;
+
+  const stats = entry.stats;
+  const wins = getStatNumber(stats, ['wins', 'W']);
+  const losses = getStatNumber(stats, ['losses', 'L']);
+  const ties = getStatNumber(stats, ['ties', 'T']);
+  const games = wins + losses + ties;
+  const pointsFor = getStatNumber(stats, ['pointsFor', 'PF']);
+  const pointsAgainst = getStatNumber(stats, ['pointsAgainst', 'PA']);
+  const winPercentStat = findStat(stats, ['winPercent', 'PCT']);
+  const differentialStat = findStat(stats, ['differential', 'pointDifferential', 'DIFF']);
+  const seed = getStatNumber(stats, ['playoffSeed', 'SEED']);
+  // data/teams.json is authoritative for alignment; the ESPN group is a fallback.
+  const configured = findTeam(team.id);
+
+  return {
+    team,
+    conference: configured?.conference || firstText(group.conference),
+    division: configured?.division || firstText(group.division),
+    wins,
+    losses,
+    ties,
+    winPercent: winPercentStat ? toNumber(winPercentStat) ?? 0 : (games ? (wins + ties / 2) / games : 0),
+    pointsFor,
+    pointsAgainst,
+    differential: differentialStat ? toNumber(differentialStat) ?? 0 : pointsFor - pointsAgainst,
+    streak: parseStreak(findStat(stats, ['streak', 'STRK'])),
+    divisionRecord: getRecordSummary(stats, ['vsdiv', 'divisionRecord', 'DIV']),
+    conferenceRecord: getRecordSummary(stats, ['vsconf', 'conferenceRecord', 'CONF']),
+    seed: seed > 0 ? seed : null,
+    clincher: normalizeClincher(findStat(stats, ['clincher', 'CLINCH'])),
+  };
+}
+
+// Standings come as nested groups (league > conference > division) with
+// entries at any level, depending on the `level` ESPN decides to return.
+function collectStandingsEntries(node, context = {}, entries = []) {
+  if (!node || typeof node !== 'object') return entries;
+  const abbreviation = firstText(node.abbreviation);
+  const group = { ...context };
+  if (/^(AFC|NFC)$/.test(abbreviation)) group.conference = abbreviation;
+  else if (/^(AFC|NFC) /.test(firstText(node.name))) group.division = node.name;
+
+  if (Array.isArray(node.standings?.entries)) {
+    node.standings.entries.forEach(entry => entries.push({ entry, group }));
+  }
+  if (Array.isArray(node.children)) {
+    node.children.forEach(child => collectStandingsEntries(child, group, entries));
+  }
+  return entries;
+}
+
+/**
+ * One StandingsRow per team. A team listed in several groups keeps the first
+ * row, with the seed taken from whichever group reports it.
+ *
+ * @returns {StandingsRow[]}
+ */
+function normalizeStandings(data) {
+  const rows = new Map();
+  collectStandingsEntries(data).forEach(({ entry, group }) => {
+    const row = normalizeStandingsRow(entry, group);
+    if (!row) return;
+    const existing = rows.get(row.team.id);
+    if (!existing) rows.set(row.team.id, row);
+    else if (existing.seed === null && row.seed !== null) existing.seed = row.seed;
+  });
+  return [...rows.values()];
+}
+
+// Roster units in display order, keyed by the group names ESPN uses.
+const ROSTER_UNITS = { offense: 'offense', defense: 'defense', specialTeam: 'specialTeams' };
+const SPECIAL_TEAMS_POSITIONS = ['K', 'P', 'LS', 'PK'];
+const DEFENSE_POSITIONS = ['DE', 'DT', 'NT', 'DL', 'LB', 'ILB', 'OLB', 'MLB', 'CB', 'S', 'FS', 'SS', 'DB', 'EDGE'];
+
+function normalizePosition(position) {
+  return {
+    abbreviation: firstText(position?.abbreviation),
+    name: firstText(position?.displayName, position?.name),
+  };
+}
+
+function getRosterUnit(position) {
+  if (SPECIAL_TEAMS_POSITIONS.includes(position.abbreviation)) return 'specialTeams';
+  return DEFENSE_POSITIONS.includes(position.abbreviation) ? 'defense' : 'offense';
+}
+
+/**
+ * @typedef {Object} RosterEntry
+ * @property {string} id ESPN athlete ID.
+ * @property {string} displayName
+ * @property {string} jersey
+ * @property {{ abbreviation: string, name: string }} position
+ * @property {string} headshot
+ * @property {number|null} age
+ * @property {string} height e.g. 6' 5".
+ * @property {string} weight e.g. 310 lbs.
+ * @property {number|null} experience Seasons in the league; 0 for rookies.
+ * @property {string} college
+ * @property {string} status e.g. "Active", "Injured Reserve".
+ * @property {string} injury Latest injury designation, such as "Questionable".
+ */
+
+/**
+ * @returns {RosterEntry|null}
+ */
+function normalizeRosterEntry(athlete) {
+  if (!athlete || athlete.id === undefined || athlete.id === null) return null;
+  const experience = toNumber(athlete.experience?.years ?? athlete.experience);
+  return {
+    id: String(athlete.id),
+    displayName: firstText(athlete.displayName, athlete.fullName, athlete.shortName),
+    jersey: firstText(athlete.jersey),
+    position: normalizePosition(athlete.position),
+    headshot: firstText(athlete.headshot?.href),
+    age: toNumber(athlete.age),
+    height: firstText(athlete.displayHeight),
+    weight: firstText(athlete.displayWeight),
+    experience,
+    college: firstText(athlete.college?.name, athlete.college?.shortName),
+    status: firstText(athlete.status?.name),
+    injury: firstText(athlete.injuries?.[0]?.status),
+  };
+}
+
+/**
+ * Groups a team roster into offense, defense and special teams, in that
+ * order, sorted by jersey number. ESPN normally sends the athletes already
+ * grouped; a flat list is grouped by position instead.
+ *
+ * @returns {{ unit: string, athletes: RosterEntry[] }[]}
+ */
+function normalizeRoster(data) {
+  const units = new Map(Object.values(ROSTER_UNITS).map(unit => [unit, []]));
+  (Array.isArray(data?.athletes) ? data.athletes : []).forEach(group => {
+    const items = Array.isArray(group?.items) ? group.items : [group];
+    items.map(normalizeRosterEntry).filter(Boolean).forEach(entry => {
+      units.get(ROSTER_UNITS[group?.position] || getRosterUnit(entry.position)).push(entry);
+    });
+  });
+
+  // Players without a number (common in the offseason) go last.
+  const jerseyOf = entry => (/^\d+$/.test(entry.jersey) ? Number(entry.jersey) : 100);
+  const byJersey = (a, b) => jerseyOf(a) - jerseyOf(b) || a.displayName.localeCompare(b.displayName);
+  return [...units.entries()]
+    .filter(([, athletes]) => athletes.length)
+    .map(([unit, athletes]) => ({ unit, athletes: athletes.sort(byJersey) }));
+}
+
+/**
+ * @typedef {Object} Player
+ * @property {string} id
+ * @property {string} displayName
+ * @property {string} jersey
+ * @property {{ abbreviation: string, name: string }} position
+ * @property {TeamRef|null} team
+ * @property {string} headshot
+ * @property {number|null} age
+ * @property {string|null} dateOfBirth ISO date.
+ * @property {string} birthPlace
+ * @property {string} height
+ * @property {string} weight
+ * @property {string} college
+ * @property {string} draft e.g. "2025: Rd 1, Pk 29 (WSH)".
+ * @property {string} experience e.g. "Rookie", "3rd Season".
+ * @property {string} status
+ */
+
+/**
+ * Reduces an ESPN athlete bio (common API) to a Player.
+ *
+ * @returns {Player|null}
+ */
+function normalizePlayer(data) {
+  const athlete = data?.athlete || data;
+  if (!athlete || athlete.id === undefined || athlete.id === null) return null;
+  const { city, state, country } = athlete.birthPlace || {};
+  const experienceYears = toNumber(athlete.experience?.years);
+  return {
+    id: String(athlete.id),
+    displayName: firstText(athlete.displayName, athlete.fullName),
+    jersey: firstText(athlete.jersey),
+    position: normalizePosition(athlete.position),
+    team: normalizeTeam(athlete.team),
+    headshot: firstText(athlete.headshot?.href),
+    age: toNumber(athlete.age),
+    dateOfBirth: firstText(athlete.dateOfBirth).slice(0, 10) || null,
+    birthPlace: firstText(athlete.displayBirthPlace) || [city, state || country].filter(Boolean).join(', '),
+    height: firstText(athlete.displayHeight),
+    weight: firstText(athlete.displayWeight),
+    college: firstText(athlete.college?.name),
+    draft: firstText(athlete.displayDraft, athlete.draft?.displayText),
+    experience: firstText(athlete.displayExperience) || (experienceYears === null ? '' : String(experienceYears)),
+    status: firstText(athlete.status?.name),
+  };
+}
+
+/**
+ * @typedef {Object} StatCategory
+ * @property {string} name e.g. "passing".
+ * @property {string} label e.g. "Passing".
+ * @property {{ name: string, label: string, description: string }[]} columns
+ * @property {{ season: number|null, label: string, teamId: string, values: string[] }[]} seasons Oldest first.
+ * @property {string[]} career Totals, one per column; empty when ESPN has none.
+ */
+
+/**
+ * Reduces ESPN athlete stats (common API) to one StatCategory per stat group,
+ * skipping groups without any season rows.
+ *
+ * @returns {StatCategory[]}
+ */
+function normalizePlayerStats(data) {
+  const categories = Array.isArray(data?.categories) ? data.categories : [];
+  return categories.map(category => {
+    const labels = Array.isArray(category?.labels) ? category.labels : [];
+    const columns = labels.map((label, index) => ({
+      name: firstText(category.names?.[index], label),
+      label: firstText(label),
+      description: firstText(category.displayNames?.[index], category.descriptions?.[index]),
+    }));
+    const seasons = (Array.isArray(category?.statistics) ? category.statistics : [])
+      .filter(row => Array.isArray(row?.stats))
+      .map(row => ({
+        season: toNumber(row.season?.year),
+        label: firstText(row.season?.displayName, String(row.season?.year ?? '')),
+        teamId: firstText(String(row.teamId ?? '')),
+        values: row.stats.map(value => String(value ?? '')),
+      }));
+    return {
+      name: firstText(category?.name),
+      label: firstText(category?.displayName, category?.name),
+      columns,
+      seasons,
+      career: Array.isArray(category?.totals) ? category.totals.map(value => String(value ?? '')) : [],
+    };
+  }).filter(category => category.columns.length && category.seasons.length);
+}
+
+// ESPN team statistics come as categories of named stats; the same name
+// (e.g. "sacks") can appear in several categories with different meanings.
+function findCategoryStat(categories, categoryName, names) {
+  const category = categories.find(item => item?.name === categoryName);
+  return findStat(category?.stats, names);
+}
+
+function getTeamStatCategories(node) {
+  const categories = node?.stats?.categories ?? node?.categories ?? node?.splits?.categories;
+  return Array.isArray(categories) ? categories : [];
+}
+
+/**
+ * @typedef {Object} TeamStats
+ * @property {number|null} gamesPlayed
+ * @property {{ yardsPerGame: number|null, passingYardsPerGame: number|null, rushingYardsPerGame: number|null,
+ *   thirdDownPct: number|null, giveaways: number|null }} offense
+ * @property {{ yardsAllowedPerGame: number|null, sacks: number|null, takeaways: number|null,
+ *   opponentThirdDownPct: number|null }} defense
+ */
+
+/**
+ * Reduces ESPN team statistics to the figures the game preview compares.
+ * Yards allowed and opponent third downs need ESPN's `opponent` block and are
+ * null without it. Percentages are 0-100, as ESPN sends them.
+ *
+ * @returns {TeamStats}
+ */
+function normalizeTeamStats(data) {
+  const results = data?.results || data?.statistics || data;
+  const own = getTeamStatCategories(results);
+  const opponent = getTeamStatCategories(results?.opponent);
+  const stat = (categories, category, names) => toNumber(findCategoryStat(categories, category, names));
+  const gamesPlayed = stat(own, 'general', ['gamesPlayed', 'teamGamesPlayed']);
+  // Per-game values when ESPN has them, otherwise the season total divided out.
+  const perGame = (categories, category, perGameNames, totalNames) => {
+    const value = stat(categories, category, perGameNames);
+    if (value !== null) return value;
+    const total = stat(categories, category, totalNames);
+    return total !== null && gamesPlayed ? total / gamesPlayed : null;
+  };
+
+  return {
+    gamesPlayed,
+    offense: {
+      yardsPerGame: perGame(own, 'passing', ['totalOffensiveYardsPerGame', 'yardsPerGame'], ['totalOffensiveYards', 'totalYards']),
+      passingYardsPerGame: perGame(own, 'passing', ['netPassingYardsPerGame', 'passingYardsPerGame'], ['netPassingYards']),
+      rushingYardsPerGame: perGame(own, 'rushing', ['rushingYardsPerGame'], ['rushingYards']),
+      thirdDownPct: stat(own, 'miscellaneous', ['thirdDownConvPct']),
+      giveaways: stat(own, 'miscellaneous', ['totalGiveaways']),
+    },
+    defense: {
+      yardsAllowedPerGame: perGame(opponent, 'passing', ['totalOffensiveYardsPerGame', 'yardsPerGame'], ['totalOffensiveYards', 'totalYards']),
+      sacks: stat(own, 'defensive', ['sacks']),
+      takeaways: stat(own, 'miscellaneous', ['totalTakeaways']),
+      opponentThirdDownPct: stat(opponent, 'miscellaneous', ['thirdDownConvPct']),
+    },
+  };
+}
+
+/**
+ * @typedef {Object} NewsItem
+ * @property {string} id ESPN story ID.
+ * @property {string} headline
+ * @property {string} description
+ * @property {string|null} published ISO date.
+ * @property {string} url Story page on espn.com.
+ * @property {string|null} image
+ * @property {string} byline
+ * @property {boolean} premium ESPN+ stories.
+ */
+
+/** @returns {NewsItem|null} Stories without an ID, headline or link are dropped. */
+function normalizeNewsItem(article) {
+  const url = firstText(article?.links?.web?.href, article?.links?.mobile?.href);
+  const headline = firstText(article?.headline, article?.title);
+  if (article?.id === undefined || article?.id === null || !headline || !url) return null;
+  const published = new Date(article.published || article.lastModified);
+  const image = (Array.isArray(article.images) ? article.images : []).find(item => firstText(item?.url));
+
+  return {
+    id: String(article.id),
+    headline,
+    description: firstText(article.description),
+    published: Number.isNaN(published.getTime()) ? null : published.toISOString(),
+    url,
+    image: image ? image.url : null,
+    byline: firstText(article.byline),
+    premium: Boolean(article.premium),
+  };
+}
+
+function normalizeNews(data) {
+  return (Array.isArray(data?.articles) ? data.articles : []).map(normalizeNewsItem).filter(Boolean);
+}
+
+module.exports = {
+  MODEL_VERSION,
+  toNumber,
+  normalizeTeam,
+  normalizeGame,
+  normalizeGames,
+  normalizeSummaryGame,
+  toMatchup,
+  getGameSides,
+  buildTeamRecord,
+  buildStreak,
+  buildHeadToHead,
+  normalizeStandingsRow,
+  normalizeStandings,
+  normalizeRoster,
+  normalizePlayer,
+  normalizePlayerStats,
+  normalizeTeamStats,
+  normalizeNews,
+};
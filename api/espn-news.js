@@ -0,0 +1,74 @@
+const { sendCachedJson } = require('./espn-api-utils.js');
+const { readArticles, readNewsOverrides, normalizeTags } = require('./content-utils.js');
+const { MODEL_VERSION, normalizeNews } = require('./espn-model.js');
+const { fetchTeamNews, buildNewsTimeline } = require('./news-utils.js');
+const { resolveTeamParam } = require('./team-utils.js');
+const { sendError, readPositiveInt, apiRoute } = require('./http-utils.js');
+
+const DEFAULT_PAGE_SIZE = 10;
+// "Load more" asks for the first N items again, so pages grow with it. Keep
+// in step with ARTICLES_MAX_ITEMS in scripts.js.
+const MAX_PAGE_SIZE = 100;
+
+function buildNewsPayload(team, news, query) {
+  const page = readPositiveInt(query.page, 1);
+  const pageSize = readPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const [tag] = normalizeTags(query.tag);
+
+  const articles = readArticles();
+  // Only our articles have tags, so a tag filters the ESPN stories out.
+  const timeline = buildNewsTimeline({
+    articles: tag ? articles.filter(article => article.tags.includes(tag)) : articles,
+    news: tag ? [] : news || [],
+    overrides: readNewsOverrides(),
+  });
+  const total = timeline.length;
+  const start = (page - 1) * pageSize;
+
+  return {
+    version: MODEL_VERSION,
+    team: { id: team.id, abbreviation: team.abbreviation, displayName: team.displayName },
+    items: timeline.slice(start, start + pageSize),
+    tags: [...new Set(articles.flatMap(article => article.tags))].sort(),
+    pagination: { page, pageSize, total, totalPages: Math.max(1, Math.ceil(total / pageSize)), tag: tag || null },
+    unavailable: news ? [] : ['espn'],
+  };
+}
+
+/**
+ * The team's ESPN headlines merged with our articles into one timeline. If
+ * ESPN fails, our articles are still served and `unavailable` lists `espn`.
+ */
+async function handler(req, res) {
+  const query = req.query || {};
+  const { team, error: teamError } = resolveTeamParam(query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  let result = null;
+  try {
+    result = await fetchTeamNews(team);
+  } catch (error) {
+    console.warn(`espn-news: No ESPN news for team ${team.id}, serving our articles only.`, error.message);
+  }
+
+  let payload;
+  try {
+    payload = buildNewsPayload(team, result ? normalizeNews(result.data) : null, query);
+  } catch (error) {
+    console.error('Error in espn-news handler (reading content):', error);
+    sendError(res, 500, 'Failed to read the articles.');
+    return;
+  }
+
+  if (result) {
+    sendCachedJson(req, res, { ...result, data: payload }, { maxAgeSeconds: 300, staleWhileRevalidateSeconds: 3600 });
+    return;
+  }
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=30');
+  res.status(200).json(payload);
+}
+
+module.exports = apiRoute(handler, { params: ['team', 'page', 'pageSize', 'tag'] });
@@ -0,0 +1,54 @@
+const { fetchEspnApiWithMeta, sendCachedJson } = require('./espn-api-utils.js');
+const { MODEL_VERSION, normalizePlayer, normalizePlayerStats } = require('./espn-model.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const LEAGUE = 'nfl';
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const ATHLETE_ID_PATTERN = /^\d{1,12}$/;
+
+async function handler(req, res) {
+  const athleteId = String(req.query?.id || '');
+  if (!ATHLETE_ID_PATTERN.test(athleteId)) {
+    sendError(res, 400, 'Query parameter "id" must be a numeric ESPN athlete ID.', { code: 'invalid_parameter' });
+    return;
+  }
+
+  const apiPath = `sports/football/${LEAGUE}/athletes/${athleteId}`;
+  const options = { ttlMs: CACHE_TTL_MS, api: 'common' };
+  const [bio, stats] = await Promise.allSettled([
+    fetchEspnApiWithMeta(apiPath, {}, options),
+    fetchEspnApiWithMeta(`${apiPath}/stats`, {}, options),
+  ]);
+
+  if (bio.status === 'rejected') {
+    const notFound = bio.reason?.status === 404;
+    console.error(`Error in espn-player handler (fetching athlete ${athleteId}):`, bio.reason?.message);
+    if (notFound) sendError(res, 404, `Player ${athleteId} not found.`);
+    else sendError(res, 500, `Failed to fetch ESPN player. ${bio.reason?.message}`, { code: 'upstream_error' });
+    return;
+  }
+  // Linemen and new players have no stats; the bio is still worth showing.
+  if (stats.status === 'rejected') {
+    console.warn(`espn-player: No stats for athlete ${athleteId}: ${stats.reason?.message}`);
+  }
+
+  const player = normalizePlayer(bio.value.data);
+  if (!player) {
+    sendError(res, 404, `Player ${athleteId} not found.`);
+    return;
+  }
+
+  const results = [bio.value, stats.value].filter(Boolean);
+  sendCachedJson(req, res, {
+    data: {
+      version: MODEL_VERSION,
+      player,
+      stats: stats.status === 'fulfilled' ? normalizePlayerStats(stats.value.data) : [],
+    },
+    fetchedAt: Math.min(...results.map(result => result.fetchedAt)),
+    stale: results.some(result => result.stale),
+    cache: bio.value.cache,
+  }, { maxAgeSeconds: 3600, staleWhileRevalidateSeconds: 86400 });
+}
+
+module.exports = apiRoute(handler, { params: ['id'] });
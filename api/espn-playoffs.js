@@ -0,0 +1,72 @@
+const { sendCachedJson } = require('./espn-api-utils.js');
+const { TEAMS, resolveTeamParam } = require('./team-utils.js');
+const { fetchStandings, buildStandingsPayload } = require('./standings-utils.js');
+const { fetchTeamSchedule } = require('./schedule-utils.js');
+const { normalizeGames, toMatchup } = require('./espn-model.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+function compareMatchups(a, b) {
+  return (a.week ?? 0) - (b.week ?? 0) || String(a.date).localeCompare(String(b.date));
+}
+
+/**
+ * Everything the playoff picture needs for one conference: standings for the
+ * whole league (strength of victory looks at opponents from both conferences)
+ * and every regular-season game involving a team from that conference, played
+ * or not. Seeding itself runs in the browser (playoff-utils.mjs) so picks
+ * update it instantly.
+ */
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  const conferenceTeams = TEAMS.filter(item => item.conference === team.conference);
+
+  try {
+    const [standings, ...schedules] = await Promise.allSettled([
+      fetchStandings(),
+      ...conferenceTeams.map(item => fetchTeamSchedule(item)),
+    ]);
+    if (standings.status === 'rejected') throw standings.reason;
+
+    // A missing schedule leaves its games out rather than failing the page;
+    // the client says the projection may be incomplete.
+    const games = new Map();
+    const missingTeams = [];
+    const results = [standings.value];
+    schedules.forEach((schedule, index) => {
+      if (schedule.status === 'rejected') {
+        console.warn(`espn-playoffs: No schedule for team ${conferenceTeams[index].id}:`, schedule.reason?.message);
+        missingTeams.push(conferenceTeams[index].id);
+        return;
+      }
+      results.push(schedule.value);
+      normalizeGames(schedule.value.data?.events).forEach(game => games.set(game.id, toMatchup(game)));
+    });
+
+    const { version, season, rows } = buildStandingsPayload(standings.value.data);
+    const payload = {
+      version,
+      season,
+      conference: team.conference,
+      teams: rows,
+      games: [...games.values()].sort(compareMatchups),
+      missingTeams,
+    };
+
+    sendCachedJson(req, res, {
+      data: payload,
+      fetchedAt: Math.min(...results.map(result => result.fetchedAt)),
+      stale: results.some(result => result.stale),
+      cache: standings.value.cache,
+    }, { maxAgeSeconds: 300, staleWhileRevalidateSeconds: 900 });
+  } catch (error) {
+    console.error(`Error in espn-playoffs handler (conference ${team.conference}):`, error.message);
+    sendError(res, 500, `Failed to build the playoff picture. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['team'] });
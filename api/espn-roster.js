@@ -0,0 +1,40 @@
+const { fetchEspnApiWithMeta, sendCachedJson } = require('./espn-api-utils.js');
+const { resolveTeamParam } = require('./team-utils.js');
+const { MODEL_VERSION, normalizeRoster, toNumber } = require('./espn-model.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const LEAGUE = 'nfl';
+// Rosters change a few times a week at most.
+const CACHE_TTL_MS = 30 * 60 * 1000;
+
+function getHeadCoach(data) {
+  const coach = Array.isArray(data?.coach) ? data.coach[0] : null;
+  if (!coach) return null;
+  const name = [coach.firstName, coach.lastName].filter(Boolean).join(' ');
+  return name ? { name, experience: toNumber(coach.experience) } : null;
+}
+
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  try {
+    const result = await fetchEspnApiWithMeta(`sports/football/${LEAGUE}/teams/${team.id}/roster`, {}, { ttlMs: CACHE_TTL_MS });
+    const payload = {
+      version: MODEL_VERSION,
+      team: { id: team.id, abbreviation: team.abbreviation, displayName: team.displayName },
+      season: toNumber(result.data?.season?.year),
+      coach: getHeadCoach(result.data),
+      groups: normalizeRoster(result.data),
+    };
+    sendCachedJson(req, res, { ...result, data: payload }, { maxAgeSeconds: 3600, staleWhileRevalidateSeconds: 86400 });
+  } catch (error) {
+    console.error(`Error in espn-roster handler (fetching roster for team ${team.id}):`, error.message);
+    sendError(res, 500, `Failed to fetch ESPN team roster. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['team'] });
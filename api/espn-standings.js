@@ -1,19 +1,17 @@
-const { fetchEspnApi } = require('./espn-api-utils.js');
+const { sendCachedJson } = require('./espn-api-utils.js');
+const { fetchStandings, buildStandingsPayload } = require('./standings-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
 
 const LEAGUE = 'nfl';
-const API_PATH = `sports/football/${LEAGUE}/standings`;
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   try {
-    const queryParams = {
-      groups: 'all',
-      limit: 500,
-    };
-
-    const data = await fetchEspnApi(API_PATH, queryParams);
-    res.status(200).json(data);
+    const result = await fetchStandings();
+    sendCachedJson(req, res, { ...result, data: buildStandingsPayload(result.data) }, { maxAgeSeconds: 300, staleWhileRevalidateSeconds: 900 });
   } catch (error) {
     console.error(`Error in espn-standings handler (fetching ${LEAGUE} standings):`, error.message);
-    res.status(500).json({ error: `Failed to fetch ESPN ${LEAGUE} standings. ${error.message}` });
+    sendError(res, 500, `Failed to fetch ESPN ${LEAGUE} standings. ${error.message}`, { code: 'upstream_error' });
   }
-};
+}
+
+module.exports = apiRoute(handler);
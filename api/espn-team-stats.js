@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchEspnApiWithMeta, sendCachedJson } = require('./espn-api-utils.js');
+const { findTeam, resolveTeamParam } = require('./team-utils.js');
+const {
+  SEASON_TYPES,
+  FIRST_SEASON,
+  getCurrentSeason,
+  parseScheduleQuery,
+  fetchTeamSchedule,
+} = require('./schedule-utils.js');
+const {
+  MODEL_VERSION,
+  normalizeGames,
+  buildTeamRecord,
+  buildStreak,
+  buildHeadToHead,
+  normalizeTeamStats,
+} = require('./espn-model.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+// Season totals only move once a week.
+const STATS_TTL_MS = 60 * 60 * 1000;
+// The series is rebuilt from one schedule per season, two ESPN calls each.
+// Meetings from finished seasons never change, so they are kept per team pair,
+// persisted next to the ESPN file cache when ESPN_CACHE_DIR is set. A request
+// fetches at most HISTORY_SEASONS_PER_REQUEST of the missing seasons (newest
+// first) and answers `complete: false` until later ones fill in the rest.
+const HISTORY_BATCH_SIZE = 6;
+const HISTORY_SEASONS_PER_REQUEST = 4;
+const SERIES_DIR = process.env.ESPN_CACHE_DIR ? path.join(process.env.ESPN_CACHE_DIR, 'series') : '';
+const finishedSeries = new Map();
+const pendingSeries = new Map();
+
+function toTeamRef(team) {
+  return { id: team.id, abbreviation: team.abbreviation, displayName: team.displayName, logo: team.logo || '' };
+}
+
+function getScheduleSeason(data) {
+  return Number(data?.requestedSeason?.year || data?.season?.year) || null;
+}
+
+function fetchTeamStatistics(team, season) {
+  const query = season ? { season, seasontype: SEASON_TYPES.regular } : {};
+  return fetchEspnApiWithMeta(`sports/football/nfl/teams/${team.id}/statistics`, query, { ttlMs: STATS_TTL_MS });
+}
+
+/**
+ * Record, streak, points per game and ESPN season stats for one team. Either
+ * source may be missing (its fields are then null); only losing both fails.
+ */
+async function buildTeamComparison(team, season) {
+  const [schedule, statistics] = await Promise.allSettled([
+    fetchTeamSchedule(team, { season }),
+    fetchTeamStatistics(team, season),
+  ]);
+  if (schedule.status === 'rejected' && statistics.status === 'rejected') throw schedule.reason;
+  [['schedule', schedule], ['season stats', statistics]].forEach(([label, result]) => {
+    if (result.status === 'rejected') console.warn(`espn-team-stats: No ${label} for team ${team.id}:`, result.reason?.message);
+  });
+
+  const games = schedule.status === 'fulfilled' ? normalizeGames(schedule.value.data?.events) : null;
+  const record = games ? buildTeamRecord(games, team.id) : null;
+  const perGame = points => (record?.gamesPlayed ? points / record.gamesPlayed : null);
+
+  return {
+    results: [schedule, statistics].filter(result => result.status === 'fulfilled').map(result => result.value),
+    season: schedule.status === 'fulfilled' ? getScheduleSeason(schedule.value.data) : null,
+    comparison: {
+      team: toTeamRef(team),
+      record,
+      streak: games ? buildStreak(games, team.id) : null,
+      pointsPerGame: perGame(record?.pointsFor),
+      pointsAllowedPerGame: perGame(record?.pointsAgainst),
+      stats: statistics.status === 'fulfilled' ? normalizeTeamStats(statistics.value.data) : null,
+    },
+  };
+}
+
+// Regular season and playoffs of each season. A season counts as missing
+// (`games: null`) only when its regular season fails: seasons without playoff
+// games are a 404 or an empty list.
+async function fetchSeasonGames(team, seasons) {
+  const requests = seasons.flatMap(season => [
+    { season, seasonType: SEASON_TYPES.regular },
+    { season, seasonType: SEASON_TYPES.post },
+  ]);
+
+  const settled = [];
+  for (let index = 0; index < requests.length; index += HISTORY_BATCH_SIZE) {
+    const batch = requests.slice(index, index + HISTORY_BATCH_SIZE);
+    settled.push(...await Promise.allSettled(batch.map(request => fetchTeamSchedule(team, request))));
+  }
+
+  const missing = seasons.filter((season, index) => settled[index * 2].status === 'rejected');
+  if (missing.length) console.warn(`espn-team-stats: No schedule for team ${team.id} in ${missing.join(', ')}.`);
+
+  return seasons.map((season, index) => {
+    const [regular, post] = settled.slice(index * 2, index * 2 + 2);
+    if (regular.status === 'rejected') return { season, games: null, results: [] };
+    const results = [regular, post].filter(result => result.status === 'fulfilled').map(result => result.value);
+    const games = new Map();
+    results.forEach(result => normalizeGames(result.data?.events).forEach(game => {
+      if (!games.has(game.id)) games.set(game.id, game);
+    }));
+    return { season, games: [...games.values()], results };
+  });
+}
+
+function isMeeting(game, teamIds) {
+  return teamIds.includes(game.home.team.id) && teamIds.includes(game.away.team.id);
+}
+
+// Games carry both sides, so one store serves the pair from either team's
+// point of view: season -> meetings.
+function loadFinishedSeries(pairKey) {
+  if (finishedSeries.has(pairKey)) return finishedSeries.get(pairKey);
+  const load = (async () => {
+    const meetings = new Map();
+    if (!SERIES_DIR) return meetings;
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(path.join(SERIES_DIR, `${pairKey}.json`), 'utf8'));
+      Object.entries(saved).forEach(([season, games]) => meetings.set(Number(season), games));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Could not read series store ${pairKey}:`, error.message);
+    }
+    return meetings;
+  })();
+  finishedSeries.set(pairKey, load);
+  return load;
+}
+
+async function saveFinishedSeries(pairKey, meetings) {
+  if (!SERIES_DIR) return;
+  const filePath = path.join(SERIES_DIR, `${pairKey}.json`);
+  try {
+    await fs.promises.mkdir(SERIES_DIR, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(meetings)));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    console.warn(`Could not write series store ${pairKey}:`, error.message);
+  }
+}
+
+// Stored meetings up to `lastSeason`, after fetching a few of the seasons
+// still missing. Failed or stale seasons are not stored and come up again.
+function fetchFinishedMeetings(team, opponent, lastSeason) {
+  const teamIds = [team.id, opponent.id];
+  const pairKey = [...teamIds].sort().join('-');
+  const key = `${pairKey}:${lastSeason}`;
+  if (pendingSeries.has(key)) return pendingSeries.get(key);
+
+  const promise = loadFinishedSeries(pairKey).then(async meetings => {
+    const missing = [];
+    for (let season = lastSeason; season >= FIRST_SEASON && missing.length < HISTORY_SEASONS_PER_REQUEST; season -= 1) {
+      if (!meetings.has(season)) missing.push(season);
+    }
+
+    const results = [];
+    const fetched = missing.length ? await fetchSeasonGames(team, missing) : [];
+    fetched.forEach(({ season, games, results: seasonResults }) => {
+      results.push(...seasonResults);
+      if (games && !seasonResults.some(result => result.stale)) meetings.set(season, games.filter(game => isMeeting(game, teamIds)));
+    });
+    if (fetched.some(({ season }) => meetings.has(season))) await saveFinishedSeries(pairKey, meetings);
+
+    return {
+      meetings: new Map([...meetings].filter(([season]) => season <= lastSeason)),
+      results,
+    };
+  });
+  pendingSeries.set(key, promise);
+  // Only clear our own entry: a later request may already have replaced it.
+  const clear = () => {
+    if (pendingSeries.get(key) === promise) pendingSeries.delete(key);
+  };
+  promise.then(clear, clear);
+  return promise;
+}
+
+async function fetchSeriesHistory(team, opponent, lastSeason) {
+  const teamIds = [team.id, opponent.id];
+  const [finished, [latest]] = await Promise.all([
+    lastSeason > FIRST_SEASON ? fetchFinishedMeetings(team, opponent, lastSeason - 1) : null,
+    fetchSeasonGames(team, [lastSeason]),
+  ]);
+
+  const bySeason = new Map(finished?.meetings || []);
+  if (latest.games) bySeason.set(lastSeason, latest.games.filter(game => isMeeting(game, teamIds)));
+
+  const games = [];
+  const seasons = new Map();
+  bySeason.forEach((meetings, season) => meetings.forEach(game => {
+    if (seasons.has(game.id)) return;
+    games.push(game);
+    seasons.set(game.id, season);
+  }));
+
+  return {
+    games,
+    seasons,
+    results: [...(finished?.results || []), ...latest.results],
+    complete: bySeason.size === lastSeason - FIRST_SEASON + 1,
+  };
+}
+
+/**
+ * Season comparison for a team and, with `opponent`, the same figures for the
+ * opponent plus the head-to-head series since FIRST_SEASON. The game preview
+ * picks the opponent from /api/espn-events.
+ */
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  let opponent = null;
+  if (req.query?.opponent !== undefined && req.query.opponent !== '') {
+    opponent = findTeam(req.query.opponent);
+    if (!opponent || opponent.id === team.id) {
+      sendError(res, 400, `Query parameter "opponent" must be another team's ESPN ID or abbreviation.`, { code: 'invalid_parameter' });
+      return;
+    }
+  }
+
+  const { season, error: seasonError } = parseScheduleQuery({ season: req.query?.season });
+  if (seasonError) {
+    sendError(res, 400, seasonError, { code: 'invalid_parameter' });
+    return;
+  }
+  const lastSeason = season || getCurrentSeason();
+
+  try {
+    const [own, other, history] = await Promise.all([
+      buildTeamComparison(team, season),
+      opponent ? buildTeamComparison(opponent, season) : null,
+      opponent ? fetchSeriesHistory(team, opponent, lastSeason) : null,
+    ]);
+
+    const headToHead = history
+      ? { ...buildHeadToHead(history.games, team.id, opponent.id, { seasons: history.seasons, since: FIRST_SEASON }), complete: history.complete }
+      : null;
+    const results = [...own.results, ...(other?.results || []), ...(history?.results || [])];
+    // An incomplete series fills in over the next requests.
+    const maxAgeSeconds = headToHead?.complete === false ? 60 : 600;
+    const payload = {
+      version: MODEL_VERSION,
+      season: season || own.season || lastSeason,
+      team: own.comparison,
+      opponent: other?.comparison || null,
+      headToHead,
+    };
+
+    sendCachedJson(req, res, {
+      data: payload,
+      fetchedAt: Math.min(...results.map(result => result.fetchedAt)),
+      stale: results.some(result => result.stale),
+      cache: own.results[0].cache,
+    }, { maxAgeSeconds, staleWhileRevalidateSeconds: 3600 });
+  } catch (error) {
+    console.error(`Error in espn-team-stats handler (team ${team.id}, opponent ${opponent?.id || 'none'}):`, error.message);
+    sendError(res, 500, `Failed to fetch ESPN team stats. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['team', 'opponent', 'season'] });
@@ -0,0 +1,41 @@
+const { escapeHtml } = require('./markdown-utils.js');
+
+// escapeHtml covers the five XML special characters as well.
+const escapeXml = escapeHtml;
+
+/**
+ * Absolute origin used for links inside feeds. SITE_URL wins; otherwise it is
+ * derived from the forwarded host headers Vercel sets on every request.
+ */
+function getSiteUrl(req) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+  const headers = req.headers || {};
+  const host = headers['x-forwarded-host'] || headers.host || 'localhost:3000';
+  const protocol = headers['x-forwarded-proto'] || (/^localhost|^127\./.test(host) ? 'http' : 'https');
+  return `${protocol}://${host}`;
+}
+
+function toAbsoluteUrl(siteUrl, url) {
+  if (!url) return '';
+  try {
+    return new URL(url, `${siteUrl}/`).toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(Number(totalSeconds) || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}`;
+}
+
+function sendXml(res, body, contentType) {
+  res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'public, max-age=900, s-maxage=3600');
+  res.status(200).send(body);
+}
+
+module.exports = { escapeXml, getSiteUrl, toAbsoluteUrl, formatDuration, sendXml };
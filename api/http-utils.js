@@ -0,0 +1,135 @@
+// Codes for error responses that do not pass a more specific one. Clients can
+// rely on `code`; `error` is a readable message that may change.
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  500: 'internal_error',
+  503: 'not_configured',
+};
+const CORS_ALLOWED_HEADERS = 'Authorization, Content-Type, If-None-Match';
+// Response headers the frontend may read on cross-origin requests.
+const CORS_EXPOSED_HEADERS = 'ETag, X-Cache';
+const CORS_MAX_AGE_SECONDS = 86400;
+
+/**
+ * Sends `{ error, code, details? }`. Errors are never cached, so a retry after
+ * a failed ESPN call or a fixed typo reaches the function again.
+ */
+function sendError(res, status, message, { code, details } = {}) {
+  const body = { error: message, code: code || ERROR_CODES[status] || ERROR_CODES[500] };
+  if (details !== undefined) body.details = details;
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).json(body);
+}
+
+function readAllowedOrigins() {
+  return String(process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+// Public data is readable from any origin. Routes that take tokens or write
+// data only answer origins listed in CORS_ALLOWED_ORIGINS (none by default, so
+// only the site itself can call them).
+function setCorsHeaders(req, res, cors) {
+  if (cors === 'public') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    const origin = req.headers?.origin;
+    if (!origin || !readAllowedOrigins().includes(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS);
+}
+
+/**
+ * Checks that every query parameter is one the route reads and appears once.
+ * Values are validated by the handler itself. Returns an error or null.
+ */
+function validateQuery(query = {}, params) {
+  for (const [name, value] of Object.entries(query)) {
+    if (!params.includes(name)) {
+      const allowed = params.length ? `Allowed: ${params.join(', ')}.` : 'This route takes no parameters.';
+      return { message: `Unknown query parameter "${name}". ${allowed}`, code: 'unknown_parameter' };
+    }
+    if (Array.isArray(value)) {
+      return { message: `Query parameter "${name}" must be given once.`, code: 'invalid_parameter' };
+    }
+  }
+  return null;
+}
+
+// Paging parameters: anything but a positive integer falls back to the default.
+function readPositiveInt(value, fallback, max = Number.MAX_SAFE_INTEGER) {
+  const number = Number.parseInt(value, 10);
+  if (!Number.isFinite(number) || number < 1) return fallback;
+  return Math.min(number, max);
+}
+
+/**
+ * The JSON body of a write request. The dev server and Vercel usually parse
+ * it already; a raw string is parsed here. Invalid JSON throws the route's own
+ * error class with status 400, so its handler reports it like any other.
+ *
+ * @param {{ body?: any }} req
+ * @param {new (message: string, options: { status: number, code: string }) => Error} ErrorClass
+ */
+function readJsonBody(req, ErrorClass) {
+  if (typeof req.body !== 'string') return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch (error) {
+    throw new ErrorClass('Request body is not valid JSON.', { status: 400, code: 'invalid_request' });
+  }
+}
+
+/**
+ * Wraps an `api/` handler with what every route shares: CORS headers and
+ * preflight, the allowed methods (GET routes also answer HEAD), query
+ * parameter checks and a JSON 500 for anything the handler did not catch.
+ *
+ * @param {Function} handler
+ * @param {{ methods?: string[], params?: string[], cors?: 'public'|'restricted' }} [options]
+ */
+function apiRoute(handler, { methods = ['GET'], params = [], cors = 'public' } = {}) {
+  const allowed = methods.includes('GET') ? [...methods, 'HEAD'] : [...methods];
+  const allowHeader = [...allowed, 'OPTIONS'].join(', ');
+
+  return async function route(req, res) {
+    setCorsHeaders(req, res, cors);
+
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Allow', allowHeader);
+      res.setHeader('Access-Control-Allow-Methods', allowHeader);
+      res.setHeader('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS);
+      res.setHeader('Access-Control-Max-Age', String(CORS_MAX_AGE_SECONDS));
+      res.status(204).end();
+      return;
+    }
+    if (!allowed.includes(req.method)) {
+      res.setHeader('Allow', allowHeader);
+      sendError(res, 405, `Method ${req.method} not allowed.`);
+      return;
+    }
+
+    const queryError = validateQuery(req.query, params);
+    if (queryError) {
+      sendError(res, 400, queryError.message, { code: queryError.code });
+      return;
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Unhandled error in ${req.url}:`, error);
+      if (!res.headersSent) sendError(res, 500, 'Unexpected server error.');
+    }
+  };
+}
+
+module.exports = { ERROR_CODES, sendError, readPositiveInt, readJsonBody, apiRoute };
@@ -0,0 +1,59 @@
+// RFC 5545 helpers: text escaping, UTC timestamps and 75-octet line folding.
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatIcsDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatIcsDate(date) {
+  return formatIcsDateTime(date).slice(0, 8);
+}
+
+// Folds at 75 octets without splitting multi-byte UTF-8 characters.
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  const limit = () => (chunks.length ? 74 : 75);
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > limit()) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Serialises a calendar. `properties` and each event are arrays of
+ * [name, value] pairs; values are written verbatim, so escape text first.
+ */
+function buildCalendar(properties, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    ...properties.map(([name, value]) => `${name}:${value}`),
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      ...event.filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => `${name}:${value}`),
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { escapeIcsText, formatIcsDateTime, formatIcsDate, buildCalendar };
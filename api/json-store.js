@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A JSON file read and written as a whole, for the small stores of the push
+ * alerts and the pick'em. Writes go through a temporary file and a rename, and
+ * read-modify-write cycles run one at a time so concurrent requests on the
+ * same instance do not overwrite each other's changes.
+ *
+ * @param {{ filePath: string, empty: () => Object, label: string }} options
+ */
+function createJsonStore({ filePath, empty, label }) {
+  async function read() {
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return { ...empty(), ...saved };
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty();
+      throw new Error(`${label} ${filePath} could not be read: ${error.message}`);
+    }
+  }
+
+  async function write(data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(data), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  let queue = Promise.resolve();
+
+  function update(mutate) {
+    const run = queue.then(async () => {
+      const data = await read();
+      const result = await mutate(data);
+      await write(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { filePath, read, update };
+}
+
+module.exports = { createJsonStore };
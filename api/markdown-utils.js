@@ -0,0 +1,227 @@
+// Minimal front matter + Markdown renderer for editorial content. Every piece
+// of text is HTML-escaped and only a fixed set of tags is emitted, so the
+// output is safe to insert with innerHTML without a separate sanitiser.
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|\/(?!\/)|#|\.{0,2}\/?[\w-])/i;
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function sanitizeUrl(url) {
+  const trimmed = String(url || '').trim();
+  if (!trimmed || /^(javascript|data|vbscript):/i.test(trimmed.replace(/\s/g, ''))) return '';
+  return SAFE_URL_PATTERN.test(trimmed) ? trimmed : '';
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (!value) return '';
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1);
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== '');
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Splits a Markdown document into its front matter attributes and body.
+ * Supports `key: value`, inline lists (`[a, b]`) and block lists (`- a`).
+ */
+function parseFrontMatter(source) {
+  const match = FRONT_MATTER_PATTERN.exec(String(source || ''));
+  if (!match) return { attributes: {}, body: String(source || '') };
+
+  const attributes = {};
+  let currentListKey = null;
+
+  match[1].split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const listItem = /^\s+-\s+(.*)$/.exec(line) || (currentListKey && /^-\s+(.*)$/.exec(line));
+    if (listItem && currentListKey) {
+      attributes[currentListKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!pair) return;
+    const [, key, rawValue] = pair;
+    if (rawValue.trim() === '') {
+      attributes[key] = [];
+      currentListKey = key;
+    } else {
+      attributes[key] = parseScalar(rawValue);
+      currentListKey = null;
+    }
+  });
+
+  return { attributes, body: match[2] };
+}
+
+function stringifyScalar(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const text = String(value ?? '');
+  const isPlain = /^[\w./@-][\w .,/@()-]*$/.test(text) && text.trim() === text;
+  const looksTyped = /^(true|false|-?\d+(\.\d+)?)$/.test(text);
+  return isPlain && !looksTyped ? text : JSON.stringify(text);
+}
+
+/**
+ * Serialises attributes back into a front matter block followed by the body.
+ * Output round-trips through parseFrontMatter; undefined and null values are
+ * left out.
+ */
+function stringifyFrontMatter(attributes, body = '') {
+  const lines = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => (Array.isArray(value)
+      ? `${key}: [${value.map(stringifyScalar).join(', ')}]`
+      : `${key}: ${stringifyScalar(value)}`));
+
+  return `---\n${lines.join('\n')}\n---\n\n${String(body).trim()}\n`;
+}
+
+function renderInline(text) {
+  const tokens = [];
+  const stash = html => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+
+  let output = String(text)
+    .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, url, title) => {
+      const src = sanitizeUrl(url);
+      if (!src) return stash(escapeHtml(alt));
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return stash(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${titleAttr} loading="lazy">`);
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, label, url, title) => {
+      const href = sanitizeUrl(url);
+      if (!href) return stash(escapeHtml(label));
+      const external = /^https?:\/\//i.test(href);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      const rel = external ? ' rel="noopener noreferrer" target="_blank"' : '';
+      return stash(`<a href="${escapeHtml(href)}"${titleAttr}${rel}>${renderInline(label)}</a>`);
+    });
+
+  output = escapeHtml(output)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_]+)_(?=[^\w]|$)/g, '$1<em>$2</em>')
+    .replace(/ {2,}\n/g, '<br>\n');
+
+  return output.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+/**
+ * Renders a Markdown body to HTML. Supports headings, paragraphs, emphasis,
+ * inline code, fenced code blocks, links, images, block quotes, ordered and
+ * unordered lists and horizontal rules. Raw HTML is escaped, not passed through.
+ */
+function renderMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let index = 0;
+
+  const isBlockStart = line => /^(#{1,6}\s|>|```|\s*[-*+]\s|\s*\d+[.)]\s|(-{3,}|\*{3,}|_{3,})\s*$)/.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = /^```\s*([\w-]*)\s*$/.exec(line);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !/^```\s*$/.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      const languageClass = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : '';
+      html.push(`<pre><code${languageClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      // Article pages already use h1/h2, so body headings start at h3.
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      index += 1;
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      html.push('<hr>');
+      index += 1;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quote = [];
+      while (index < lines.length && lines[index].startsWith('>')) {
+        quote.push(lines[index].replace(/^>\s?/, ''));
+        index += 1;
+      }
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    const listMatch = /^\s*([-*+]|\d+[.)])\s+/.exec(line);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1]);
+      const itemPattern = ordered ? /^\s*\d+[.)]\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+      const items = [];
+      while (index < lines.length) {
+        const item = itemPattern.exec(lines[index]);
+        if (item) {
+          items.push(item[1]);
+        } else if (lines[index].trim() && /^\s{2,}/.test(lines[index]) && items.length) {
+          items[items.length - 1] += ` ${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index += 1;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !isBlockStart(lines[index]))) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+module.exports = { parseFrontMatter, stringifyFrontMatter, renderMarkdown, sanitizeUrl, escapeHtml };
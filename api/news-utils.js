@@ -0,0 +1,113 @@
+const { fetchEspnApiWithMeta } = require('./espn-api-utils.js');
+
+const NEWS_PATH = 'sports/football/nfl/news';
+const NEWS_TTL_MS = 5 * 60 * 1000;
+// ESPN returns at most this many stories per team.
+const NEWS_LIMIT = 50;
+const SOURCES = { hub: 'hub', espn: 'espn' };
+
+function fetchTeamNews(team) {
+  return fetchEspnApiWithMeta(NEWS_PATH, { team: team.id, limit: NEWS_LIMIT }, { ttlMs: NEWS_TTL_MS });
+}
+
+// ESPN republishes the same story under new IDs and URLs (wire copies,
+// video versions), so titles are compared without case, accents or punctuation.
+function titleKey(title) {
+  return String(title).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function urlKey(url) {
+  try {
+    // The hash stays: our articles are all `/#articulo/<slug>`.
+    const { host, pathname, hash } = new URL(url, 'https://hub.invalid');
+    return `${host.replace(/^www\./, '')}${pathname.replace(/\/+$/, '')}${hash}`.toLowerCase();
+  } catch (error) {
+    return String(url);
+  }
+}
+
+/**
+ * @typedef {Object} TimelineItem
+ * @property {string} id `hub:<slug>` or `espn:<story id>`.
+ * @property {'hub'|'espn'} source
+ * @property {string} title
+ * @property {string} summary
+ * @property {string|null} date
+ * @property {string|null} image
+ * @property {string} url In-app route for our articles, espn.com for stories.
+ * @property {string|null} author
+ * @property {string[]} tags Only our articles have tags.
+ * @property {boolean} pinned
+ * @property {string} [storyId] ESPN items: the ID content.json pins or hides.
+ * @property {boolean} [premium] ESPN items: ESPN+ stories.
+ */
+
+function fromArticle(article) {
+  return {
+    id: `${SOURCES.hub}:${article.slug}`,
+    source: SOURCES.hub,
+    title: article.title,
+    summary: article.summary,
+    date: article.date,
+    image: article.heroImage,
+    url: article.link,
+    author: article.author,
+    tags: article.tags,
+    pinned: false,
+  };
+}
+
+function fromNewsItem(story, pinned) {
+  return {
+    id: `${SOURCES.espn}:${story.id}`,
+    source: SOURCES.espn,
+    storyId: story.id,
+    title: story.headline,
+    summary: story.description,
+    date: story.published,
+    image: story.image,
+    url: story.url,
+    author: story.byline || null,
+    tags: [],
+    premium: story.premium,
+    pinned,
+  };
+}
+
+/**
+ * Merges our articles and the ESPN stories into one list: pinned stories
+ * first in the order editors gave, then everything newest first. Hidden
+ * stories are dropped, and an ESPN story is left out when an earlier item has
+ * the same ID, link or title (our articles win).
+ *
+ * @param {{ articles: Object[], news: NewsItem[], overrides: { pinned: string[], hidden: string[] } }} sources
+ * @returns {TimelineItem[]}
+ */
+function buildNewsTimeline({ articles, news, overrides }) {
+  const seen = new Set();
+  const isDuplicate = item => {
+    // A title with nothing left to compare (emoji, other scripts) is no key.
+    const title = titleKey(item.title);
+    const keys = [item.id, `url:${urlKey(item.url)}`, ...(title ? [`title:${title}`] : [])];
+    const duplicate = keys.some(key => seen.has(key));
+    keys.forEach(key => seen.add(key));
+    return duplicate;
+  };
+
+  const items = [
+    ...articles.map(fromArticle),
+    ...news
+      .filter(story => !overrides.hidden.includes(story.id))
+      .map(story => fromNewsItem(story, overrides.pinned.includes(story.id))),
+  ].filter(item => !isDuplicate(item));
+
+  const pinned = items
+    .filter(item => item.pinned)
+    .sort((a, b) => overrides.pinned.indexOf(a.storyId) - overrides.pinned.indexOf(b.storyId));
+  const rest = items
+    .filter(item => !item.pinned)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  return [...pinned, ...rest];
+}
+
+module.exports = { SOURCES, fetchTeamNews, buildNewsTimeline };
@@ -0,0 +1,131 @@
+const { Resvg } = require('@resvg/resvg-js');
+const { findTeam } = require('./team-utils.js');
+const { escapeXml } = require('./feed-utils.js');
+const { SITE_NAME, fetchGameSummary, formatKickoff, formatGameStage } = require('./seo-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const EVENT_ID_PATTERN = /^\d{1,12}$/;
+const WIDTH = 1200;
+const HEIGHT = 630;
+const LOGO_SIZE = 220;
+const LOGO_TIMEOUT_MS = 3000;
+// The serverless runtime has no system fonts, so the card ships its own.
+const FONT_FILES = [
+  require.resolve('@expo-google-fonts/roboto/400Regular/Roboto_400Regular.ttf'),
+  require.resolve('@expo-google-fonts/roboto/700Bold/Roboto_700Bold.ttf'),
+];
+const FALLBACK_COLOR = '#333333';
+
+// resvg cannot load remote images, so logos are embedded as data URLs. They
+// never change, so they are kept for the life of the instance.
+const logoCache = new Map();
+
+async function loadLogo(url) {
+  if (!url) return null;
+  if (logoCache.has(url)) return logoCache.get(url);
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const type = response.headers.get('content-type') || 'image/png';
+    const dataUrl = `data:${type};base64,${Buffer.from(await response.arrayBuffer()).toString('base64')}`;
+    logoCache.set(url, dataUrl);
+    return dataUrl;
+  } catch (error) {
+    console.warn(`og: Could not load logo ${url}:`, error.message);
+    return null;
+  }
+}
+
+function getTeamColor(side) {
+  return findTeam(side.team.id)?.colors?.primary || FALLBACK_COLOR;
+}
+
+function text(content, x, y, { size, weight = 700, anchor = 'middle', opacity = 1 }) {
+  return `<text x="${x}" y="${y}" font-family="Roboto" font-size="${size}" font-weight="${weight}" fill="#ffffff" fill-opacity="${opacity}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+// Without a logo the abbreviation takes its place in the middle of the side.
+function renderSide(side, logo, centerX) {
+  if (!logo) return text(side.team.abbreviation, centerX, 310, { size: 96 });
+  const image = `<image href="${logo}" x="${centerX - LOGO_SIZE / 2}" y="130" width="${LOGO_SIZE}" height="${LOGO_SIZE}"/>`;
+  return `${image}${text(side.team.abbreviation, centerX, 420, { size: 56 })}`;
+}
+
+function renderCenter(game) {
+  if (game.status.state === 'pre') {
+    return [
+      text('@', WIDTH / 2, 290, { size: 110 }),
+      text(formatKickoff(game), WIDTH / 2, 490, { size: 32, weight: 400 }),
+    ].join('');
+  }
+  const dim = side => (game.status.completed && side.winner === false ? 0.6 : 1);
+  const status = game.status.completed ? 'Final' : game.status.detail || game.status.description;
+  return [
+    text(String(game.away.score ?? 0), WIDTH / 2 - 40, 300, { size: 130, anchor: 'end', opacity: dim(game.away) }),
+    text('-', WIDTH / 2, 290, { size: 90 }),
+    text(String(game.home.score ?? 0), WIDTH / 2 + 40, 300, { size: 130, anchor: 'start', opacity: dim(game.home) }),
+    text(status, WIDTH / 2, 370, { size: 36, weight: 400 }),
+  ].join('');
+}
+
+/** 1200×630 card with both teams, the score or kickoff, and the venue. */
+function renderGameCard(game, logos) {
+  const venue = game.venue ? [game.venue.name, game.venue.city].filter(Boolean).join(', ') : '';
+  const stage = [formatGameStage(game), 'NFL'].filter(Boolean).join(' · ');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${getTeamColor(game.home)}"/>
+  <polygon points="0,0 ${WIDTH / 2 + 80},0 ${WIDTH / 2 - 80},${HEIGHT} 0,${HEIGHT}" fill="${getTeamColor(game.away)}"/>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="#000000" fill-opacity="0.35"/>
+  ${text(stage.toUpperCase(), WIDTH / 2, 80, { size: 32, opacity: 0.85 })}
+  ${renderSide(game.away, logos.away, 250)}
+  ${renderSide(game.home, logos.home, WIDTH - 250)}
+  ${renderCenter(game)}
+  <rect y="540" width="${WIDTH}" height="90" fill="#000000" fill-opacity="0.55"/>
+  ${text(SITE_NAME, 40, 597, { size: 32, anchor: 'start' })}
+  ${venue ? text(venue, WIDTH - 40, 597, { size: 28, weight: 400, anchor: 'end', opacity: 0.85 }) : ''}
+</svg>`;
+}
+
+function renderPng(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: WIDTH },
+    font: { fontFiles: FONT_FILES, loadSystemFonts: false, defaultFontFamily: 'Roboto' },
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Open Graph / Twitter card image for a game: the matchup before kickoff,
+ * the score once it starts. Linked from the /games/<id> pages.
+ */
+async function handler(req, res) {
+  const eventId = String(req.query?.id || '');
+  if (!EVENT_ID_PATTERN.test(eventId)) {
+    sendError(res, 400, 'Query parameter "id" must be a numeric ESPN event ID.', { code: 'invalid_parameter' });
+    return;
+  }
+
+  let game;
+  try {
+    ({ data: game } = await fetchGameSummary(eventId));
+  } catch (error) {
+    console.error(`Error in og handler (fetching summary for event ${eventId}):`, error.message);
+    if (error.status === 404) sendError(res, 404, `Game ${eventId} not found.`);
+    else sendError(res, 500, `Failed to fetch ESPN game summary. ${error.message}`, { code: 'upstream_error' });
+    return;
+  }
+  if (!game) {
+    sendError(res, 404, `Game ${eventId} not found.`);
+    return;
+  }
+
+  const [away, home] = await Promise.all([loadLogo(game.away.team.logo), loadLogo(game.home.team.logo)]);
+  const png = renderPng(renderGameCard(game, { away, home }));
+  // Final scores do not change; live ones are refreshed by the CDN every minute.
+  const maxAgeSeconds = game.status.completed ? 86400 : game.status.state === 'in' ? 60 : 3600;
+  res.setHeader('Content-Type', 'image/png');
+  res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${maxAgeSeconds}, stale-while-revalidate=${maxAgeSeconds}`);
+  res.status(200).send(png);
+}
+
+module.exports = apiRoute(handler, { params: ['id'] });
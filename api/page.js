@@ -0,0 +1,127 @@
+const { getArticle } = require('./content-utils.js');
+const { toAbsoluteUrl } = require('./feed-utils.js');
+const {
+  SITE_NAME,
+  DEFAULT_IMAGE,
+  gamePath,
+  articlePath,
+  ogImagePath,
+  fetchGameSummary,
+  getGameTitle,
+  describeGame,
+  buildSportsEventLd,
+  buildArticleLd,
+  applyPageMeta,
+  getBuildSiteUrl,
+} = require('./seo-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const EVENT_ID_PATTERN = /^\d{1,12}$/;
+// The built index.html only changes on deploy.
+const SHELL_TTL_MS = 5 * 60 * 1000;
+
+let shellCache = null;
+
+// The page is the app itself (fetched from the static deploy) with the
+// item's meta tags, so crawlers and link previews get a real title and image
+// and visitors land in the app, which turns the path into its hash route.
+// The origin only comes from the environment: a Host header would let anyone
+// point the fetch, and the publicly cached page, at a server of their choice.
+async function loadAppShell(siteUrl) {
+  if (!siteUrl) throw new Error('SITE_URL is not set');
+  if (shellCache && shellCache.siteUrl === siteUrl && Date.now() - shellCache.fetchedAt < SHELL_TTL_MS) {
+    return shellCache.html;
+  }
+  const response = await fetch(`${siteUrl}/index.html`, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) throw new Error(`index.html answered HTTP ${response.status}`);
+  const html = await response.text();
+  shellCache = { siteUrl, html, fetchedAt: Date.now() };
+  return html;
+}
+
+async function getGameMeta(eventId, siteUrl) {
+  const { data: game } = await fetchGameSummary(eventId);
+  if (!game) return null;
+  const description = describeGame(game);
+  return {
+    meta: {
+      title: `${getGameTitle(game)} | ${SITE_NAME}`,
+      description,
+      url: toAbsoluteUrl(siteUrl, gamePath(eventId)),
+      image: toAbsoluteUrl(siteUrl, ogImagePath(eventId)),
+      imageAlt: `${getGameTitle(game)}. ${description}`,
+      jsonLd: [buildSportsEventLd(game, siteUrl)],
+    },
+    hash: `#partido/${eventId}`,
+    // Scores change during the game; the CDN keeps finished games longer.
+    maxAgeSeconds: game.status.completed ? 3600 : 60,
+  };
+}
+
+function getArticleMeta(slug, siteUrl) {
+  const article = getArticle(slug);
+  if (!article) return null;
+  return {
+    meta: {
+      title: `${article.title} | ${SITE_NAME}`,
+      description: article.summary || article.title,
+      url: toAbsoluteUrl(siteUrl, articlePath(slug)),
+      image: toAbsoluteUrl(siteUrl, article.heroImage || DEFAULT_IMAGE),
+      type: 'article',
+      jsonLd: [buildArticleLd(article, siteUrl)],
+    },
+    hash: `#articulo/${slug}`,
+    maxAgeSeconds: 3600,
+  };
+}
+
+/**
+ * Shareable pages for a game (`/games/<id>`) or an article
+ * (`/articles/<slug>`): the app with that item's title, description,
+ * Open Graph image and JSON-LD.
+ */
+async function handler(req, res) {
+  const { game: eventId, article: slug } = req.query || {};
+  if (Boolean(eventId) === Boolean(slug)) {
+    sendError(res, 400, 'Pass exactly one of the query parameters "game" or "article".', { code: 'invalid_parameter' });
+    return;
+  }
+  if (eventId && !EVENT_ID_PATTERN.test(eventId)) {
+    sendError(res, 400, 'Query parameter "game" must be a numeric ESPN event ID.', { code: 'invalid_parameter' });
+    return;
+  }
+
+  const siteUrl = getBuildSiteUrl();
+  let page;
+  try {
+    page = eventId ? await getGameMeta(eventId, siteUrl) : getArticleMeta(String(slug), siteUrl);
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Error in page handler (game ${eventId || '-'}, article ${slug || '-'}):`, error.message);
+      sendError(res, 500, `Failed to load the page data. ${error.message}`, { code: 'upstream_error' });
+      return;
+    }
+  }
+  if (!page) {
+    sendError(res, 404, eventId ? `Game ${eventId} not found.` : `Article "${slug}" not found.`);
+    return;
+  }
+
+  let shell;
+  try {
+    shell = await loadAppShell(siteUrl);
+  } catch (error) {
+    // Without the shell the hash route still opens the item in the app.
+    console.error('Error in page handler (loading index.html):', error.message);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Location', `/${page.hash}`);
+    res.status(302).end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${page.maxAgeSeconds}, stale-while-revalidate=86400`);
+  res.status(200).send(applyPageMeta(shell, page.meta));
+}
+
+module.exports = apiRoute(handler, { params: ['game', 'article'] });
@@ -0,0 +1,38 @@
+const store = require('./pickem-store.js');
+const { PickemError } = require('./pickem-utils.js');
+const { readBearerToken } = require('./auth-utils.js');
+const { sendError, readJsonBody, apiRoute } = require('./http-utils.js');
+
+async function handleRequest(req, res) {
+  if (req.method === 'POST') {
+    const { player, token } = await store.registerPlayer(readJsonBody(req, PickemError));
+    res.status(201).json({ player, token });
+    return;
+  }
+
+  const player = await store.findPlayerByToken(readBearerToken(req));
+  if (!player) throw new PickemError('A valid player token is required.', { status: 401 });
+  res.status(200).json({ player });
+}
+
+/**
+ * Pick'em identity without accounts: `POST { nickname }` creates a player
+ * and returns its token once; `GET` with `Authorization: Bearer <token>`
+ * returns the player the token belongs to.
+ */
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    await handleRequest(req, res);
+  } catch (error) {
+    if (error instanceof PickemError && error.status < 500) {
+      if (error.status === 401) res.setHeader('WWW-Authenticate', 'Bearer realm="pickem"');
+      sendError(res, error.status, error.message, { code: error.code });
+      return;
+    }
+    console.error('Error in pick\'em players API:', error);
+    sendError(res, 500, 'Failed to process the player request.');
+  }
+}
+
+module.exports = apiRoute(handler, { methods: ['GET', 'POST'], cors: 'restricted' });
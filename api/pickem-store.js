@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { PickemError, toFinalScore } = require('./pickem-utils.js');
+const { createJsonStore } = require('./json-store.js');
+
+// Serverless instances do not share /tmp; set PICKEM_STORE_PATH to a persistent
+// volume in production or players and predictions disappear with the instance.
+const STORE_PATH = process.env.PICKEM_STORE_PATH || path.join(os.tmpdir(), 'hub-pickem-store.json');
+const NICKNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._-]{2,19}$/u;
+
+const store = createJsonStore({
+  filePath: STORE_PATH,
+  empty: () => ({ players: {}, predictions: {}, results: {} }),
+  label: 'Pick\'em store',
+});
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function nicknameKey(nickname) {
+  return nickname.normalize('NFKC').toLowerCase();
+}
+
+function toPublicPlayer(id, record) {
+  return { id, nickname: record.nickname, createdAt: record.createdAt };
+}
+
+/**
+ * Creates a player for a nickname that is not taken (case-insensitive).
+ * Resolves to `{ player, token }`; the token is only stored as a hash, so it
+ * cannot be shown again.
+ */
+async function registerPlayer(input) {
+  const nickname = typeof input?.nickname === 'string' ? input.nickname.trim().replace(/\s+/g, ' ') : '';
+  if (!NICKNAME_PATTERN.test(nickname)) {
+    throw new PickemError('nickname must be 3 to 20 letters, digits, spaces, dots, dashes or underscores.', { status: 400, code: 'invalid_nickname' });
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const token = crypto.randomBytes(32).toString('base64url');
+  return store.update(data => {
+    const key = nicknameKey(nickname);
+    if (Object.values(data.players).some(player => nicknameKey(player.nickname) === key)) {
+      throw new PickemError(`The nickname "${nickname}" is already taken.`, { status: 409, code: 'nickname_taken' });
+    }
+    data.players[id] = { nickname, tokenHash: hashToken(token), createdAt: new Date().toISOString() };
+    return { player: toPublicPlayer(id, data.players[id]), token };
+  });
+}
+
+async function findPlayerByToken(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const { players } = await store.read();
+  const entry = Object.entries(players).find(([, player]) => player.tokenHash === tokenHash);
+  return entry ? toPublicPlayer(...entry) : null;
+}
+
+/** Resolves to `{ prediction, created }`. The caller checks the lock. */
+async function savePrediction(playerId, game, season, score) {
+  return store.update(data => {
+    const predictions = data.predictions[game.id] || {};
+    const existing = predictions[playerId];
+    const now = new Date().toISOString();
+    predictions[playerId] = { ...score, season, createdAt: existing?.createdAt || now, updatedAt: now };
+    data.predictions[game.id] = predictions;
+    return { prediction: predictions[playerId], created: !existing };
+  });
+}
+
+async function removePrediction(playerId, eventId) {
+  return store.update(data => {
+    if (!data.predictions[eventId]?.[playerId]) throw new PickemError('Prediction not found.', { status: 404 });
+    delete data.predictions[eventId][playerId];
+    if (!Object.keys(data.predictions[eventId]).length) delete data.predictions[eventId];
+  });
+}
+
+/**
+ * Stores the final score of every completed game, which is what scores the
+ * predictions. Only writes when a result is new or ESPN corrected it.
+ * Resolves to the stored data.
+ */
+async function recordResults(games, season) {
+  const data = await store.read();
+  const changed = games
+    .map(game => ({ id: game.id, score: toFinalScore(game) }))
+    .filter(({ id, score }) => score && (data.results[id]?.home !== score.home || data.results[id]?.away !== score.away));
+  if (!changed.length) return data;
+
+  return store.update(latest => {
+    const now = new Date().toISOString();
+    changed.forEach(({ id, score }) => {
+      latest.results[id] = { ...score, season, recordedAt: now };
+    });
+    return latest;
+  });
+}
+
+module.exports = {
+  STORE_PATH,
+  registerPlayer,
+  findPlayerByToken,
+  savePrediction,
+  removePrediction,
+  recordResults,
+};
@@ -0,0 +1,128 @@
+const { fetchTeamSchedule, getCurrentSeason } = require('./schedule-utils.js');
+const { normalizeGames } = require('./espn-model.js');
+
+// Points for a prediction once the game is final. An exact score is worth
+// `exact` alone; otherwise the right winner (or a tie) earns `winner`, plus
+// `margin` when the point difference also matches.
+const POINTS = { exact: 10, winner: 3, margin: 2 };
+const MAX_SCORE = 99;
+// Pick'em covers the regular season and the playoffs, not the preseason.
+const PICKEM_SEASON_TYPES = [2, 3];
+
+class PickemError extends Error {
+  constructor(message, { status = 500, code, details } = {}) {
+    super(message);
+    this.name = 'PickemError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The team's games of a season that can be predicted, in date order. The
+ * playoff schedule is optional: before January ESPN has none.
+ *
+ * @returns {Promise<Game[]>}
+ */
+async function fetchPickemGames(team, season = getCurrentSeason()) {
+  const [regular, post] = await Promise.allSettled(
+    PICKEM_SEASON_TYPES.map(seasonType => fetchTeamSchedule(team, { season, seasonType })),
+  );
+  if (regular.status === 'rejected') throw regular.reason;
+
+  const games = new Map();
+  [regular, post]
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => normalizeGames(result.value.data?.events))
+    .filter(game => PICKEM_SEASON_TYPES.includes(game.seasonType))
+    .forEach(game => games.set(game.id, game));
+  return [...games.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Predictions close at the event date of the ESPN schedule, or as soon as ESPN
+ * no longer lists the game as scheduled. A game without a usable date is
+ * locked rather than open forever.
+ */
+function isGameLocked(game, now = Date.now()) {
+  const kickoff = Date.parse(game.date);
+  return !Number.isFinite(kickoff) || now >= kickoff || game.status.state !== 'pre';
+}
+
+function toFinalScore(game) {
+  if (!game.status.completed) return null;
+  const home = Number(game.home.score);
+  const away = Number(game.away.score);
+  return Number.isInteger(home) && Number.isInteger(away) ? { home, away } : null;
+}
+
+/** Returns `{ home, away }` or throws a 400 PickemError. */
+function validatePredictionScore(input) {
+  const errors = ['home', 'away']
+    .filter(side => !Number.isInteger(input?.[side]) || input[side] < 0 || input[side] > MAX_SCORE)
+    .map(side => `${side} must be a whole number between 0 and ${MAX_SCORE}.`);
+  if (errors.length) throw new PickemError('Invalid prediction.', { status: 400, code: 'invalid_request', details: errors });
+  return { home: input.home, away: input.away };
+}
+
+/** @returns {{ points: number, exact: boolean, winner: boolean, margin: boolean }} */
+function scorePrediction(prediction, result) {
+  const predictedMargin = prediction.home - prediction.away;
+  const margin = result.home - result.away;
+  const exact = prediction.home === result.home && prediction.away === result.away;
+  const winner = Math.sign(predictedMargin) === Math.sign(margin);
+  const sameMargin = winner && predictedMargin === margin;
+
+  let points = 0;
+  if (exact) points = POINTS.exact;
+  else if (winner) points = POINTS.winner + (sameMargin ? POINTS.margin : 0);
+  return { points, exact, winner, margin: sameMargin };
+}
+
+/**
+ * Season standings from the stored predictions and final scores. Players
+ * with the same points share a rank; exact scores and then right winners
+ * break the order within it.
+ */
+function buildLeaderboard({ players, predictions, results }, season) {
+  const rows = new Map();
+  Object.entries(results)
+    .filter(([, result]) => result.season === season)
+    .forEach(([eventId, result]) => {
+      Object.entries(predictions[eventId] || {}).forEach(([playerId, prediction]) => {
+        const player = players[playerId];
+        if (!player) return;
+        if (!rows.has(playerId)) {
+          rows.set(playerId, { nickname: player.nickname, points: 0, exact: 0, winners: 0, predictions: 0 });
+        }
+        const row = rows.get(playerId);
+        const score = scorePrediction(prediction, result);
+        row.points += score.points;
+        row.exact += Number(score.exact);
+        row.winners += Number(score.winner);
+        row.predictions += 1;
+      });
+    });
+
+  const sorted = [...rows.values()].sort((a, b) => b.points - a.points
+    || b.exact - a.exact
+    || b.winners - a.winners
+    || a.nickname.localeCompare(b.nickname));
+  let rank = 0;
+  return sorted.map((row, index) => {
+    if (index === 0 || sorted[index - 1].points !== row.points) rank = index + 1;
+    return { rank, ...row };
+  });
+}
+
+module.exports = {
+  POINTS,
+  PickemError,
+  fetchPickemGames,
+  isGameLocked,
+  toFinalScore,
+  validatePredictionScore,
+  scorePrediction,
+  buildLeaderboard,
+};
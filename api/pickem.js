@@ -0,0 +1,143 @@
+const store = require('./pickem-store.js');
+const {
+  POINTS,
+  PickemError,
+  fetchPickemGames,
+  isGameLocked,
+  validatePredictionScore,
+  scorePrediction,
+  buildLeaderboard,
+} = require('./pickem-utils.js');
+const { getDefaultTeam } = require('./team-utils.js');
+const { parseScheduleQuery, getCurrentSeason } = require('./schedule-utils.js');
+const { readBearerToken } = require('./auth-utils.js');
+const { sendError, readJsonBody, apiRoute } = require('./http-utils.js');
+
+const EVENT_ID_PATTERN = /^\d{1,12}$/;
+
+// Reading is open to everyone; a token that does not match a player is an
+// error so the page can forget it instead of silently showing no picks.
+async function readPlayer(req, { required }) {
+  const token = readBearerToken(req);
+  if (!token && !required) return null;
+  const player = await store.findPlayerByToken(token);
+  if (!player) throw new PickemError('A valid player token is required.', { status: 401 });
+  return player;
+}
+
+async function fetchGamesAndResults(team, season) {
+  try {
+    const games = await fetchPickemGames(team, season);
+    return { games, data: await store.recordResults(games, season) };
+  } catch (error) {
+    if (error instanceof PickemError) throw error;
+    throw new PickemError(`Failed to fetch ESPN team schedule. ${error.message}`, { status: 500, code: 'upstream_error' });
+  }
+}
+
+function toPickemGame(game, data, player, now) {
+  const predictions = data.predictions[game.id] || {};
+  const own = player ? predictions[player.id] : null;
+  const result = data.results[game.id] || null;
+  return {
+    game,
+    locked: isGameLocked(game, now),
+    predictionCount: Object.keys(predictions).length,
+    prediction: own
+      ? {
+        home: own.home,
+        away: own.away,
+        updatedAt: own.updatedAt,
+        score: result ? scorePrediction(own, result) : null,
+      }
+      : null,
+  };
+}
+
+async function getPickem(req, res, team) {
+  const { season: requestedSeason, error } = parseScheduleQuery({ season: req.query?.season });
+  if (error) throw new PickemError(error, { status: 400, code: 'invalid_parameter' });
+  const season = requestedSeason || getCurrentSeason();
+
+  const player = await readPlayer(req, { required: false });
+  const { games, data } = await fetchGamesAndResults(team, season);
+  const now = Date.now();
+  res.status(200).json({
+    team: { id: team.id, abbreviation: team.abbreviation, displayName: team.displayName },
+    season,
+    scoring: POINTS,
+    player,
+    games: games.map(game => toPickemGame(game, data, player, now)),
+    leaderboard: buildLeaderboard(data, season),
+  });
+}
+
+// Predictions are only taken for games of the current season that have not
+// started, checked against the ESPN schedule on every write.
+async function findOpenGame(req, team) {
+  const eventId = String(req.query?.event || '');
+  if (!EVENT_ID_PATTERN.test(eventId)) {
+    throw new PickemError('Query parameter "event" must be a numeric ESPN event ID.', { status: 400, code: 'invalid_parameter' });
+  }
+  const season = getCurrentSeason();
+  const { games } = await fetchGamesAndResults(team, season);
+  const game = games.find(item => item.id === eventId);
+  if (!game) throw new PickemError(`Game ${eventId} is not a ${team.displayName} game of the ${season} season.`, { status: 404 });
+  if (isGameLocked(game)) {
+    throw new PickemError(`Predictions for game ${eventId} closed at kickoff.`, { status: 409, code: 'prediction_locked' });
+  }
+  return { game, season };
+}
+
+async function handleRequest(req, res) {
+  const team = getDefaultTeam();
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD':
+      await getPickem(req, res, team);
+      return;
+    case 'PUT': {
+      const player = await readPlayer(req, { required: true });
+      const score = validatePredictionScore(readJsonBody(req, PickemError));
+      const { game, season } = await findOpenGame(req, team);
+      const { prediction, created } = await store.savePrediction(player.id, game, season, score);
+      res.status(created ? 201 : 200).json({ prediction: { home: prediction.home, away: prediction.away, updatedAt: prediction.updatedAt } });
+      return;
+    }
+    case 'DELETE': {
+      const player = await readPlayer(req, { required: true });
+      const { game } = await findOpenGame(req, team);
+      await store.removePrediction(player.id, game.id);
+      res.status(204).end();
+      return;
+    }
+    default:
+      res.setHeader('Allow', 'GET, PUT, DELETE');
+      sendError(res, 405, `Method ${req.method} not allowed.`);
+  }
+}
+
+/**
+ * Pick'em of the hub's team (the default team in data/teams.json): its games
+ * of the season with the caller's predictions, and the season leaderboard.
+ * `PUT ?event=` with `{ home, away }` saves a prediction until kickoff and
+ * `DELETE ?event=` withdraws it; both need `Authorization: Bearer <token>`
+ * from /api/pickem-players.
+ */
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    await handleRequest(req, res);
+  } catch (error) {
+    if (error instanceof PickemError) {
+      if (error.status === 401) res.setHeader('WWW-Authenticate', 'Bearer realm="pickem"');
+      if (error.status >= 500) console.error('Error in pick\'em API:', error.message);
+      sendError(res, error.status, error.message, { code: error.code, details: error.details });
+      return;
+    }
+    console.error('Error in pick\'em API:', error);
+    sendError(res, 500, 'Failed to process the prediction.');
+  }
+}
+
+module.exports = apiRoute(handler, { methods: ['GET', 'PUT', 'DELETE'], params: ['season', 'event'], cors: 'restricted' });
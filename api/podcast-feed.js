@@ -0,0 +1,76 @@
+const { readContent } = require('./content-utils.js');
+const { escapeXml, getSiteUrl, toAbsoluteUrl, formatDuration, sendXml } = require('./feed-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const DEFAULT_ENCLOSURE_TYPE = 'audio/mpeg';
+
+function renderEpisode(episode, channel, siteUrl) {
+  const audioUrl = toAbsoluteUrl(siteUrl, episode.src);
+  const image = toAbsoluteUrl(siteUrl, episode.image);
+  const publishedAt = new Date(episode.publishedAt);
+  const tags = [
+    `<title>${escapeXml(episode.title)}</title>`,
+    `<description>${escapeXml(episode.description || episode.title)}</description>`,
+    `<enclosure url="${escapeXml(audioUrl)}" length="${Number(episode.length) || 0}" type="${escapeXml(episode.type || DEFAULT_ENCLOSURE_TYPE)}"/>`,
+    `<guid isPermaLink="false">${escapeXml(episode.slug)}</guid>`,
+    Number.isNaN(publishedAt.getTime()) ? '' : `<pubDate>${publishedAt.toUTCString()}</pubDate>`,
+    `<link>${escapeXml(`${siteUrl}/#podcasts`)}</link>`,
+    episode.duration ? `<itunes:duration>${formatDuration(episode.duration)}</itunes:duration>` : '',
+    episode.episode ? `<itunes:episode>${Number(episode.episode)}</itunes:episode>` : '',
+    episode.season ? `<itunes:season>${Number(episode.season)}</itunes:season>` : '',
+    '<itunes:episodeType>full</itunes:episodeType>',
+    `<itunes:explicit>${channel.explicit ? 'true' : 'false'}</itunes:explicit>`,
+    image ? `<itunes:image href="${escapeXml(image)}"/>` : '',
+  ].filter(Boolean);
+
+  return `    <item>\n      ${tags.join('\n      ')}\n    </item>`;
+}
+
+function buildPodcastFeed(content, siteUrl) {
+  const channel = content.podcast || {};
+  const episodes = content.podcasts
+    .filter(episode => episode.src && episode.publishedAt)
+    .sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)));
+  const image = toAbsoluteUrl(siteUrl, channel.image);
+  const lastBuild = episodes.length ? new Date(episodes[0].publishedAt) : new Date();
+  const category = channel.subcategory
+    ? `<itunes:category text="${escapeXml(channel.category)}"><itunes:category text="${escapeXml(channel.subcategory)}"/></itunes:category>`
+    : `<itunes:category text="${escapeXml(channel.category || 'Sports')}"/>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(channel.title || 'Podcast')}</title>
+    <link>${escapeXml(`${siteUrl}/#podcasts`)}</link>
+    <atom:link href="${escapeXml(`${siteUrl}/api/podcast.xml`)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(channel.description || '')}</description>
+    <language>${escapeXml(channel.language || 'es')}</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <itunes:author>${escapeXml(channel.author || '')}</itunes:author>
+    <itunes:owner>
+      <itunes:name>${escapeXml(channel.ownerName || channel.author || '')}</itunes:name>
+      <itunes:email>${escapeXml(channel.ownerEmail || '')}</itunes:email>
+    </itunes:owner>
+    ${image ? `<itunes:image href="${escapeXml(image)}"/>\n    <image><url>${escapeXml(image)}</url><title>${escapeXml(channel.title || '')}</title><link>${escapeXml(`${siteUrl}/#podcasts`)}</link></image>` : ''}
+    ${category}
+    <itunes:explicit>${channel.explicit ? 'true' : 'false'}</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+${episodes.map(episode => renderEpisode(episode, channel, siteUrl)).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function handler(req, res) {
+  try {
+    const feed = buildPodcastFeed(readContent(), getSiteUrl(req));
+    sendXml(res, feed, 'application/rss+xml');
+  } catch (error) {
+    console.error('Error building podcast feed:', error);
+    sendError(res, 500, 'Failed to build podcast feed');
+  }
+}
+
+module.exports = apiRoute(handler);
+
+module.exports.buildPodcastFeed = buildPodcastFeed;
@@ -0,0 +1,159 @@
+const { getDefaultTeam } = require('./team-utils.js');
+const { fetchTeamSchedule } = require('./schedule-utils.js');
+const { fetchStandings, buildStandingsPayload } = require('./standings-utils.js');
+const { readArticles, readContent } = require('./content-utils.js');
+const { normalizeGames, buildTeamRecord } = require('./espn-model.js');
+const { escapeHtml } = require('./markdown-utils.js');
+const {
+  SITE_NAME,
+  DEFAULT_IMAGE,
+  DISPLAY_TIME_ZONE,
+  gamePath,
+  articlePath,
+  toSiteUrl,
+  formatKickoff,
+  formatGameStage,
+  buildSportsEventLd,
+  buildArticleLd,
+  buildPodcastEpisodeLd,
+  applyPageMeta,
+} = require('./seo-utils.js');
+
+const ARTICLE_COUNT = 10;
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('es-ES', { timeZone: DISPLAY_TIME_ZONE, day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function renderScheduleGame(game) {
+  const result = game.status.completed
+    ? `${game.away.score ?? 0} - ${game.home.score ?? 0}`
+    : game.status.description || formatKickoff(game);
+  return `
+    <h3 class="schedule-week">${escapeHtml(formatGameStage(game))}</h3>
+    <p><a href="${escapeHtml(gamePath(game.id))}">${escapeHtml(game.away.team.displayName)} @ ${escapeHtml(game.home.team.displayName)}</a> | ${escapeHtml(formatKickoff(game))} | ${escapeHtml(result)}</p>
+  `;
+}
+
+function renderSchedule(games, team) {
+  const record = buildTeamRecord(games, team.id);
+  const summary = record.gamesPlayed
+    ? `<p class="schedule-record"><strong>Balance: ${escapeHtml(record.summary)}</strong> · ${record.pointsFor} puntos a favor · ${record.pointsAgainst} en contra</p>`
+    : '';
+  return `${summary}${games.map(renderScheduleGame).join('')}`;
+}
+
+function renderStandings(rows, team) {
+  const division = rows
+    .filter(row => row.division === team.division)
+    .sort((a, b) => b.winPercent - a.winPercent);
+  if (!division.length) return '';
+  const body = division.map(row => `
+    <tr${row.team.id === team.id ? ' class="is-team"' : ''}><th scope="row">${escapeHtml(row.team.displayName)}</th><td>${row.wins}</td><td>${row.losses}</td><td>${row.ties}</td><td>${row.winPercent.toFixed(3)}</td></tr>
+  `).join('');
+  return `
+    <div class="standings-table-wrapper">
+      <table class="standings-table">
+        <caption>${escapeHtml(team.division)}</caption>
+        <thead><tr><th scope="col">Equipo</th><th scope="col">V</th><th scope="col">D</th><th scope="col">E</th><th scope="col">%</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderArticles(articles) {
+  return articles.map(article => {
+    const date = formatDate(article.date);
+    const meta = [date && `<time datetime="${escapeHtml(article.date)}">${escapeHtml(date)}</time>`, article.author && `por ${escapeHtml(article.author)}`]
+      .filter(Boolean)
+      .join(' · ');
+    return `
+      <article>
+        <h3><a href="${escapeHtml(articlePath(article.slug))}">${escapeHtml(article.title)}</a></h3>
+        ${meta ? `<p class="article-meta">${meta}</p>` : ''}
+        <p>${escapeHtml(article.summary)}</p>
+      </article>
+    `;
+  }).join('');
+}
+
+function renderPodcasts(podcasts) {
+  return podcasts.map(podcast => `
+    <div class="podcast-item" id="podcast-${escapeHtml(podcast.slug)}">
+      <h3>${escapeHtml(podcast.title || podcast.slug)}</h3>
+      ${podcast.publishedAt ? `<p class="article-meta">${escapeHtml(formatDate(podcast.publishedAt))}</p>` : ''}
+      ${podcast.description ? `<p>${escapeHtml(podcast.description)}</p>` : ''}
+    </div>
+  `).join('');
+}
+
+// Hides the section's loader and puts the static content after its error
+// message, where ensureSectionShell would otherwise create `.data-content`.
+function injectSection(html, sectionId, content) {
+  const pattern = new RegExp(`(<div id="${sectionId}">\\s*<div class="loader)("[\\s\\S]*?<p class="error-message[^>]*>[\\s\\S]*?</p>)`);
+  if (!pattern.test(html)) {
+    console.warn(`prerender: Section #${sectionId} not found in index.html.`);
+    return html;
+  }
+  return html.replace(pattern, (match, start, rest) => `${start} hidden${rest}\n        <div class="data-content">${content}</div>`);
+}
+
+async function loadSources(team) {
+  const [schedule, standings] = await Promise.allSettled([fetchTeamSchedule(team), fetchStandings()]);
+  [['schedule', schedule], ['standings', standings]].forEach(([label, result]) => {
+    if (result.status === 'rejected') console.warn(`prerender: No ${label} for team ${team.id}, the section keeps its loader.`, result.reason?.message);
+  });
+  const content = readContent();
+  return {
+    games: schedule.status === 'fulfilled' ? normalizeGames(schedule.value.data?.events) : null,
+    rows: standings.status === 'fulfilled' ? buildStandingsPayload(standings.value.data).rows : null,
+    articles: readArticles(),
+    podcasts: content.podcasts.filter(podcast => podcast.slug && podcast.src),
+    channel: content.podcast || {},
+  };
+}
+
+/**
+ * Prerenders the home page for the default team: static schedule, standings,
+ * articles and podcasts inside their sections, page meta, JSON-LD for every
+ * game, article and episode, and the sitemap entries. The page script
+ * replaces the sections with the live, personalised versions on load.
+ *
+ * @returns {Promise<{ html: string, sitemap: { loc: string, lastmod?: string|null }[] }>}
+ */
+async function prerenderHome(html, { siteUrl = '' } = {}) {
+  const team = getDefaultTeam();
+  const { games, rows, articles, podcasts, channel } = await loadSources(team);
+
+  let page = html;
+  if (games?.length) page = injectSection(page, 'teams-data', renderSchedule(games, team));
+  if (rows?.length) page = injectSection(page, 'temporada-data', renderStandings(rows, team));
+  if (articles.length) page = injectSection(page, 'articles-list', renderArticles(articles.slice(0, ARTICLE_COUNT)));
+  if (podcasts.length) page = injectSection(page, 'podcast-list', renderPodcasts(podcasts));
+
+  const title = `${team.displayName} Hub`;
+  page = applyPageMeta(page, {
+    title,
+    description: `Todo sobre los ${team.displayName}: partidos, clasificaciones, artículos y podcasts. Mantente al día con tu equipo favorito de la NFL.`,
+    url: toSiteUrl(siteUrl, '/'),
+    image: toSiteUrl(siteUrl, DEFAULT_IMAGE),
+    jsonLd: [
+      { '@type': 'WebSite', name: SITE_NAME, alternateName: title, url: toSiteUrl(siteUrl, '/'), inLanguage: 'es' },
+      ...(games || []).map(game => buildSportsEventLd(game, siteUrl)),
+      ...articles.map(article => buildArticleLd(article, siteUrl)),
+      ...podcasts.map(podcast => buildPodcastEpisodeLd(podcast, channel, siteUrl)),
+    ],
+  });
+
+  const sitemap = [
+    { loc: toSiteUrl(siteUrl, '/'), lastmod: new Date().toISOString() },
+    ...articles.map(article => ({ loc: toSiteUrl(siteUrl, articlePath(article.slug)), lastmod: article.date })),
+    ...(games || []).map(game => ({ loc: toSiteUrl(siteUrl, gamePath(game.id)) })),
+  ];
+  return { html: page, sitemap };
+}
+
+module.exports = { prerenderHome };
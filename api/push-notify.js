@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { fetchEspnApi } = require('./espn-api-utils.js');
+const { normalizeGames } = require('./espn-model.js');
+const { getVapidConfig, sendPushNotification } = require('./push-utils.js');
+const store = require('./push-store.js');
+const { format } = require('./text-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const SCOREBOARD_PATH = 'sports/football/nfl/scoreboard';
+// Short enough that consecutive runs see each score change separately.
+const CACHE_TTL_MS = 15 * 1000;
+const KICKOFF_REMINDER_MS = 60 * 60 * 1000;
+const SNAPSHOT_RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+const SEND_CONCURRENCY = 10;
+
+const MESSAGES = {
+  es: {
+    kickoffTitle: '{away} @ {home}',
+    kickoffBody: 'El partido empieza en {minutes} min.',
+    touchdownTitle: '¡Touchdown de {team}!',
+    halftimeTitle: 'Descanso: {away} @ {home}',
+    finalTitle: 'Final: {away} @ {home}',
+  },
+  en: {
+    kickoffTitle: '{away} @ {home}',
+    kickoffBody: 'Kickoff in {minutes} min.',
+    touchdownTitle: 'Touchdown, {team}!',
+    halftimeTitle: 'Halftime: {away} @ {home}',
+    finalTitle: 'Final: {away} @ {home}',
+  },
+};
+
+// Vercel sends CRON_SECRET as a bearer token on scheduled invocations.
+function isAuthorizedCron(req) {
+  const expected = process.env.CRON_SECRET;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers?.authorization || '');
+  if (!expected || !match) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(expected));
+}
+
+function takeSnapshot(game, previous, now) {
+  return {
+    date: game.date,
+    state: game.status.state,
+    statusName: game.status.name,
+    completed: game.status.completed,
+    homeScore: game.home.score ?? 0,
+    awayScore: game.away.score ?? 0,
+    reminded: Boolean(previous?.reminded),
+    seenAt: now,
+  };
+}
+
+/**
+ * Compares a game with its previous snapshot and returns the notifications it
+ * calls for. A game seen for the first time only gets the kickoff reminder, so
+ * a fresh store does not replay scores that already happened. Touchdowns are
+ * score jumps of 6 to 8 points between two runs.
+ */
+function detectChanges(game, previous, snapshot, now) {
+  const changes = [];
+  const kickoff = Date.parse(game.date);
+  if (game.status.state === 'pre' && !snapshot.reminded && game.timeValid
+    && kickoff > now && kickoff - now <= KICKOFF_REMINDER_MS) {
+    snapshot.reminded = true;
+    changes.push({ category: 'kickoff', minutes: Math.max(1, Math.round((kickoff - now) / 60000)) });
+  }
+  if (!previous) return changes;
+
+  if (game.status.state !== 'pre') {
+    [['home', 'homeScore'], ['away', 'awayScore']].forEach(([side, field]) => {
+      const points = snapshot[field] - previous[field];
+      if (points >= 6 && points <= 8) changes.push({ category: 'touchdown', side });
+    });
+  }
+  if (game.status.name === 'STATUS_HALFTIME' && previous.statusName !== 'STATUS_HALFTIME') {
+    changes.push({ category: 'halftime' });
+  }
+  if (game.status.completed && !previous.completed) {
+    changes.push({ category: 'final' });
+  }
+  return changes;
+}
+
+function buildPayload(game, change, lang) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  const params = {
+    home: game.home.team.abbreviation,
+    away: game.away.team.abbreviation,
+    team: game[change.side]?.team.displayName,
+    minutes: change.minutes,
+  };
+  const score = `${params.away} ${game.away.score ?? 0} - ${game.home.score ?? 0} ${params.home}`;
+  return {
+    title: format(messages[`${change.category}Title`], params),
+    body: change.category === 'kickoff' ? format(messages.kickoffBody, params) : score,
+    tag: `game-${game.id}`,
+    url: `/#partido/${game.id}`,
+    category: change.category,
+  };
+}
+
+async function sendAll(jobs, vapid) {
+  const expired = new Set();
+  let sent = 0;
+  let failed = 0;
+  for (let index = 0; index < jobs.length; index += SEND_CONCURRENCY) {
+    const results = await Promise.allSettled(jobs.slice(index, index + SEND_CONCURRENCY).map(job => (
+      sendPushNotification(job.subscription, job.payload, vapid, {
+        ttlSeconds: job.payload.category === 'kickoff' ? 3600 : 600,
+        urgency: 'high',
+        topic: job.payload.tag,
+      }).then(result => ({ ...result, id: job.subscription.id }))
+    )));
+    results.forEach(result => {
+      if (result.status === 'fulfilled' && result.value.ok) sent += 1;
+      else failed += 1;
+      if (result.status === 'fulfilled' && result.value.gone) expired.add(result.value.id);
+      if (result.status === 'rejected') console.warn('Push delivery failed:', result.reason?.message);
+    });
+  }
+  return { sent, failed, expired: [...expired] };
+}
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isAuthorizedCron(req)) {
+    sendError(res, 401, 'A valid CRON_SECRET bearer token is required.');
+    return;
+  }
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    sendError(res, 503, 'Push notifications are not configured on this server.');
+    return;
+  }
+
+  try {
+    const [data, subscriptions, previousSnapshots] = await Promise.all([
+      fetchEspnApi(SCOREBOARD_PATH, {}, { ttlMs: CACHE_TTL_MS }),
+      store.listSubscriptions(),
+      store.readSnapshots(),
+    ]);
+    const now = Date.now();
+    const games = normalizeGames(data?.events);
+
+    const snapshots = {};
+    const jobs = [];
+    games.forEach(game => {
+      const previous = previousSnapshots[game.id];
+      const snapshot = takeSnapshot(game, previous, now);
+      snapshots[game.id] = snapshot;
+
+      const teamIds = [game.home.team.id, game.away.team.id];
+      detectChanges(game, previous, snapshot, now).forEach(change => {
+        subscriptions
+          .filter(subscription => teamIds.includes(subscription.team) && subscription.categories.includes(change.category))
+          .forEach(subscription => jobs.push({ subscription, payload: buildPayload(game, change, subscription.lang) }));
+      });
+    });
+    // Games that left the scoreboard are kept for a while in case ESPN
+    // briefly drops them, then forgotten.
+    Object.entries(previousSnapshots).forEach(([id, snapshot]) => {
+      if (!snapshots[id] && now - snapshot.seenAt < SNAPSHOT_RETENTION_MS) snapshots[id] = snapshot;
+    });
+
+    const result = await sendAll(jobs, vapid);
+    await store.saveSnapshots(snapshots);
+    await store.removeSubscriptionsById(result.expired);
+
+    res.status(200).json({
+      games: games.length,
+      subscriptions: subscriptions.length,
+      notifications: jobs.length,
+      sent: result.sent,
+      failed: result.failed,
+      removed: result.expired.length,
+    });
+  } catch (error) {
+    console.error('Error in push-notify job:', error);
+    sendError(res, 500, `Failed to send game notifications. ${error.message}`);
+  }
+}
+
+module.exports = apiRoute(handler, { cors: 'restricted' });
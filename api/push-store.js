@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { PUSH_CATEGORIES, PushError } = require('./push-utils.js');
+const { findTeam, getDefaultTeam } = require('./team-utils.js');
+const { createJsonStore } = require('./json-store.js');
+
+// Serverless instances do not share /tmp; set PUSH_STORE_PATH to a persistent
+// volume in production or subscriptions disappear with the instance.
+const STORE_PATH = process.env.PUSH_STORE_PATH || path.join(os.tmpdir(), 'hub-push-store.json');
+const LANGS = ['es', 'en'];
+const MAX_ENDPOINT_LENGTH = 1024;
+
+const store = createJsonStore({
+  filePath: STORE_PATH,
+  empty: () => ({ subscriptions: {}, snapshots: {} }),
+  label: 'Push store',
+});
+const readStore = store.read;
+const updateStore = store.update;
+
+function subscriptionId(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+}
+
+function validateEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || !endpoint || endpoint.length > MAX_ENDPOINT_LENGTH) {
+    throw new PushError('endpoint must be a push service URL.', { status: 400 });
+  }
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    url = null;
+  }
+  if (url?.protocol !== 'https:') {
+    throw new PushError('endpoint must be an https URL.', { status: 400 });
+  }
+  return endpoint;
+}
+
+function decodedLength(value) {
+  return typeof value === 'string' && /^[\w-]+={0,2}$/.test(value) ? Buffer.from(value, 'base64url').length : 0;
+}
+
+/**
+ * Validates preference fields. Missing fields are left out so PUT can update
+ * only what it receives; errors are collected into one 400 PushError.
+ */
+function validatePreferences(input, errors) {
+  const preferences = {};
+  if (input.team !== undefined) {
+    const team = findTeam(input.team);
+    if (team) preferences.team = team.id;
+    else errors.push(`Unknown team "${input.team}".`);
+  }
+  if (input.lang !== undefined) {
+    if (LANGS.includes(input.lang)) preferences.lang = input.lang;
+    else errors.push(`lang must be one of: ${LANGS.join(', ')}.`);
+  }
+  if (input.categories !== undefined) {
+    if (!Array.isArray(input.categories) || input.categories.some(category => !PUSH_CATEGORIES.includes(category))) {
+      errors.push(`categories must be a list of: ${PUSH_CATEGORIES.join(', ')}.`);
+    } else {
+      preferences.categories = PUSH_CATEGORIES.filter(category => input.categories.includes(category));
+    }
+  }
+  return preferences;
+}
+
+function requireObject(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new PushError('Request body must be a JSON object.', { status: 400 });
+  }
+  return input;
+}
+
+function toPublicSubscription(record) {
+  return {
+    endpoint: record.endpoint,
+    team: record.team,
+    lang: record.lang,
+    categories: record.categories,
+    updatedAt: record.updatedAt,
+  };
+}
+
+async function getSubscription(endpoint) {
+  const data = await readStore();
+  const record = data.subscriptions[subscriptionId(validateEndpoint(endpoint))];
+  if (!record) throw new PushError('Subscription not found.', { status: 404 });
+  return toPublicSubscription(record);
+}
+
+/**
+ * Stores a PushSubscription (as sent by `subscription.toJSON()`) with its
+ * preferences. Subscribing again with the same endpoint replaces the keys and
+ * preferences. Resolves to `{ subscription, created }`.
+ */
+async function saveSubscription(input) {
+  const { subscription, ...rest } = requireObject(input);
+  const errors = [];
+  const endpoint = validateEndpoint(subscription?.endpoint);
+  const keys = subscription.keys || {};
+  if (decodedLength(keys.p256dh) !== 65) errors.push('keys.p256dh must be an uncompressed P-256 public key.');
+  if (decodedLength(keys.auth) !== 16) errors.push('keys.auth must be a 16-byte secret.');
+  const preferences = validatePreferences(rest, errors);
+  if (errors.length) throw new PushError('Invalid subscription.', { status: 400, details: errors });
+
+  const id = subscriptionId(endpoint);
+  const now = new Date().toISOString();
+  return updateStore(data => {
+    const existing = data.subscriptions[id];
+    data.subscriptions[id] = {
+      endpoint,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      team: preferences.team || getDefaultTeam().id,
+      lang: preferences.lang || 'es',
+      categories: preferences.categories || [...PUSH_CATEGORIES],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    return { subscription: toPublicSubscription(data.subscriptions[id]), created: !existing };
+  });
+}
+
+async function updatePreferences(input) {
+  const { endpoint, ...rest } = requireObject(input);
+  const id = subscriptionId(validateEndpoint(endpoint));
+  const errors = [];
+  const preferences = validatePreferences(rest, errors);
+  if (errors.length) throw new PushError('Invalid preferences.', { status: 400, details: errors });
+
+  return updateStore(data => {
+    const record = data.subscriptions[id];
+    if (!record) throw new PushError('Subscription not found.', { status: 404 });
+    Object.assign(record, preferences, { updatedAt: new Date().toISOString() });
+    return toPublicSubscription(record);
+  });
+}
+
+async function removeSubscription(endpoint) {
+  const id = subscriptionId(validateEndpoint(endpoint));
+  return updateStore(data => {
+    if (!data.subscriptions[id]) throw new PushError('Subscription not found.', { status: 404 });
+    delete data.subscriptions[id];
+  });
+}
+
+/** Full records, keys included, for the notification job only. */
+async function listSubscriptions() {
+  const data = await readStore();
+  return Object.entries(data.subscriptions).map(([id, record]) => ({ id, ...record }));
+}
+
+async function removeSubscriptionsById(ids) {
+  if (!ids.length) return;
+  await updateStore(data => {
+    ids.forEach(id => delete data.subscriptions[id]);
+  });
+}
+
+async function readSnapshots() {
+  return (await readStore()).snapshots;
+}
+
+async function saveSnapshots(snapshots) {
+  await updateStore(data => {
+    data.snapshots = snapshots;
+  });
+}
+
+module.exports = {
+  STORE_PATH,
+  getSubscription,
+  saveSubscription,
+  updatePreferences,
+  removeSubscription,
+  listSubscriptions,
+  removeSubscriptionsById,
+  readSnapshots,
+  saveSnapshots,
+};
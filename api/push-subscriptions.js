@@ -0,0 +1,56 @@
+const store = require('./push-store.js');
+const { PUSH_CATEGORIES, PushError, getVapidConfig } = require('./push-utils.js');
+const { sendError, readJsonBody, apiRoute } = require('./http-utils.js');
+
+async function handleRequest(req, res, vapid) {
+  const endpoint = req.query?.endpoint;
+  switch (req.method) {
+    case 'GET':
+      // Without an endpoint this is what the page needs to subscribe.
+      if (!endpoint) {
+        res.status(200).json({ publicKey: vapid.publicKey, categories: PUSH_CATEGORIES });
+        return;
+      }
+      res.status(200).json({ subscription: await store.getSubscription(String(endpoint)) });
+      return;
+    case 'POST': {
+      const { subscription, created } = await store.saveSubscription(readJsonBody(req, PushError));
+      res.status(created ? 201 : 200).json({ subscription });
+      return;
+    }
+    case 'PUT':
+      res.status(200).json({ subscription: await store.updatePreferences(readJsonBody(req, PushError)) });
+      return;
+    case 'DELETE':
+      await store.removeSubscription(endpoint ? String(endpoint) : readJsonBody(req, PushError)?.endpoint);
+      res.status(204).end();
+      return;
+    default:
+      res.setHeader('Allow', 'GET, POST, PUT, DELETE');
+      sendError(res, 405, `Method ${req.method} not allowed.`);
+  }
+}
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    console.error('VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY or VAPID_SUBJECT is not defined. Web Push is disabled.');
+    sendError(res, 503, 'Push notifications are not configured on this server.');
+    return;
+  }
+
+  try {
+    await handleRequest(req, res, vapid);
+  } catch (error) {
+    if (error instanceof PushError && error.status < 500) {
+      sendError(res, error.status, error.message, { details: error.details });
+      return;
+    }
+    console.error('Error in push subscription API:', error);
+    sendError(res, 500, 'Failed to update the push subscription.');
+  }
+}
+
+module.exports = apiRoute(handler, { methods: ['GET', 'POST', 'PUT', 'DELETE'], params: ['endpoint'], cors: 'restricted' });
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+const PUSH_TIMEOUT_MS = 10 * 1000;
+const RECORD_SIZE = 4096;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+// Notification categories a subscriber can opt into.
+const PUSH_CATEGORIES = ['kickoff', 'touchdown', 'halftime', 'final'];
+
+class PushError extends Error {
+  constructor(message, { status = 500, details } = {}) {
+    super(message);
+    this.name = 'PushError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * VAPID keys in the base64url format `web-push generate-vapid-keys` prints:
+ * a 65-byte uncompressed P-256 public key and a 32-byte private key. Returns
+ * null when push is not configured.
+ */
+function getVapidConfig() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY || '';
+  const privateKey = process.env.VAPID_PRIVATE_KEY || '';
+  const subject = process.env.VAPID_SUBJECT || '';
+  if (!publicKey || !privateKey || !subject) return null;
+
+  const publicBytes = Buffer.from(publicKey, 'base64url');
+  const privateBytes = Buffer.from(privateKey, 'base64url');
+  if (publicBytes.length !== 65 || publicBytes[0] !== 4 || privateBytes.length !== 32) {
+    console.error('VAPID_PUBLIC_KEY or VAPID_PRIVATE_KEY is malformed. Web Push is disabled.');
+    return null;
+  }
+  if (!/^(mailto:|https:\/\/)/.test(subject)) {
+    console.error('VAPID_SUBJECT must be a mailto: or https:// URL. Web Push is disabled.');
+    return null;
+  }
+
+  const signingKey = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateBytes.toString('base64url'),
+      x: publicBytes.subarray(1, 33).toString('base64url'),
+      y: publicBytes.subarray(33).toString('base64url'),
+    },
+  });
+  return { publicKey, subject, signingKey };
+}
+
+// VAPID (RFC 8292): an ES256 JWT scoped to the push service's origin.
+function createVapidAuthorization(endpoint, vapid) {
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+    sub: vapid.subject,
+  })).toString('base64url');
+  const unsigned = `${header}.${claims}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: vapid.signingKey, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Encrypts a payload for one subscription (RFC 8291, aes128gcm content
+ * coding from RFC 8188) with a fresh sender key and salt. The body is a
+ * single record.
+ */
+function encryptPayload(payload, keys) {
+  const receiverKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+
+  const sender = crypto.createECDH('prime256v1');
+  sender.generateKeys();
+  const senderKey = sender.getPublicKey();
+  const sharedSecret = sender.computeSecret(receiverKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const salt = crypto.randomBytes(16);
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (and only) record.
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE - 86) throw new Error('Push payload is too large.');
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+  return Buffer.concat([header, senderKey, ciphertext]);
+}
+
+/**
+ * Sends one notification. Resolves to `{ ok, status, gone }`; `gone` means
+ * the push service no longer knows the subscription and it should be removed.
+ */
+async function sendPushNotification(subscription, payload, vapid, { ttlSeconds = 3600, urgency = 'normal', topic } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PUSH_TIMEOUT_MS);
+  const headers = {
+    Authorization: createVapidAuthorization(subscription.endpoint, vapid),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    TTL: String(ttlSeconds),
+    Urgency: urgency,
+  };
+  // A newer message with the same topic replaces an undelivered one.
+  if (topic) headers.Topic = topic;
+
+  try {
+    const response = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers,
+      body: encryptPayload(JSON.stringify(payload), subscription.keys),
+      signal: controller.signal,
+    });
+    return { ok: response.ok, status: response.status, gone: response.status === 404 || response.status === 410 };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { PUSH_CATEGORIES, PushError, getVapidConfig, encryptPayload, sendPushNotification };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveTeamParam } = require('./team-utils.js');
+const { fetchTeamSchedule, SEASON_TYPES } = require('./schedule-utils.js');
+const { normalizeGames, getGameSides } = require('./espn-model.js');
+const { getSiteUrl } = require('./feed-utils.js');
+const { escapeIcsText, formatIcsDateTime, formatIcsDate, buildCalendar } = require('./ics-utils.js');
+const { format } = require('./text-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const GAME_DURATION_MS = 3.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEQUENCE_EPOCH_MS = Date.UTC(2000, 0, 1);
+const SEQUENCE_FILE = process.env.ESPN_CACHE_DIR
+  ? path.join(process.env.ESPN_CACHE_DIR, 'ics-sequences.json')
+  : '';
+
+const LABELS = {
+  es: {
+    calendarName: 'Partidos de {team}',
+    home: 'Local',
+    away: 'Visitante',
+    tv: 'TV',
+    timeTbd: 'Hora por confirmar',
+    details: 'Detalles',
+  },
+  en: {
+    calendarName: '{team} games',
+    home: 'Home',
+    away: 'Away',
+    tv: 'TV',
+    timeTbd: 'Kickoff time TBD',
+    details: 'Details',
+  },
+};
+
+// Calendar clients only apply a moved game when its SEQUENCE goes up. The base
+// value comes from the kickoff itself (see kickoffSequence), so it survives cold
+// starts and goes up when a game is flexed to a later slot or gets its time.
+// The last kickoff seen per UID is also kept, persisted next to the ESPN file
+// cache when ESPN_CACHE_DIR is set, so a game moved earlier still gets a higher
+// SEQUENCE while that store lasts.
+const sequences = new Map();
+let sequencesLoaded = false;
+
+async function loadSequences() {
+  if (sequencesLoaded) return;
+  sequencesLoaded = true;
+  if (!SEQUENCE_FILE) return;
+  try {
+    const saved = JSON.parse(await fs.promises.readFile(SEQUENCE_FILE, 'utf8'));
+    Object.entries(saved).forEach(([uid, entry]) => sequences.set(uid, entry));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Could not read ICS sequence store:', error.message);
+  }
+}
+
+async function saveSequences() {
+  if (!SEQUENCE_FILE) return;
+  try {
+    await fs.promises.mkdir(path.dirname(SEQUENCE_FILE), { recursive: true });
+    const tempPath = `${SEQUENCE_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(sequences)));
+    await fs.promises.rename(tempPath, SEQUENCE_FILE);
+  } catch (error) {
+    console.warn('Could not write ICS sequence store:', error.message);
+  }
+}
+
+// Two steps per minute since 2000: the odd one marks a confirmed kickoff time,
+// so a TBD game that gets its time on the same date still goes up. Stays
+// within the 32-bit INTEGER of RFC 5545 for about two thousand years.
+function kickoffSequence(start, timeKnown) {
+  return Math.max(0, Math.floor((start.getTime() - SEQUENCE_EPOCH_MS) / 60000)) * 2 + (timeKnown ? 1 : 0);
+}
+
+// Regular season plus playoffs. Before the playoffs ESPN may have no
+// postseason schedule yet, so only the regular season is required.
+async function fetchSeasonGames(team) {
+  const [regular, post] = await Promise.allSettled(
+    [SEASON_TYPES.regular, SEASON_TYPES.post].map(seasonType => fetchTeamSchedule(team, { seasonType })),
+  );
+  if (regular.status === 'rejected') throw regular.reason;
+
+  const games = new Map();
+  [regular, post]
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => normalizeGames(result.value.data?.events))
+    .forEach(game => games.set(game.id, game));
+  return [...games.values()];
+}
+
+function trackSequence(uid, start, base, now) {
+  const entry = sequences.get(uid);
+  if (entry?.start === start) return { ...entry, sequence: Math.max(entry.sequence, base) };
+
+  const next = entry
+    ? { start, sequence: Math.max(entry.sequence + 1, base), modifiedAt: now }
+    : { start, sequence: base, modifiedAt: now };
+  sequences.set(uid, next);
+  return next;
+}
+
+function formatVenue(venue) {
+  if (!venue) return '';
+  return [venue.name, venue.city, venue.state].filter(Boolean).join(', ');
+}
+
+function buildEvent(game, { team, labels, siteUrl, now }) {
+  const sides = getGameSides(game, team.id);
+  if (!sides || !game.date) return null;
+
+  const isHome = sides.us === game.home;
+  const start = new Date(game.date);
+  if (Number.isNaN(start.getTime())) return null;
+
+  // ESPN marks flexed or unscheduled kickoffs with timeValid: false; those
+  // become all-day events on the scheduled date instead of a fake time.
+  const timeKnown = game.timeValid;
+  const startValue = timeKnown ? formatIcsDateTime(start) : formatIcsDate(start);
+  const uid = `espn-${game.id}-${team.id}@washington-commanders-hub`;
+  const entry = trackSequence(uid, startValue, kickoffSequence(start, timeKnown), now);
+
+  const opponent = sides.them.team;
+  const opponentName = opponent.shortName || opponent.displayName || opponent.abbreviation;
+  const summary = isHome ? `${team.shortName} vs. ${opponentName}` : `${team.shortName} @ ${opponentName}`;
+  const broadcasts = game.broadcasts.join(' / ');
+  const url = `${siteUrl}/#partido/${game.id}`;
+  const description = [
+    isHome ? labels.home : labels.away,
+    timeKnown ? '' : labels.timeTbd,
+    broadcasts ? `${labels.tv}: ${broadcasts}` : '',
+    `${labels.details}: ${url}`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    ['UID', uid],
+    ['DTSTAMP', formatIcsDateTime(now)],
+    ['LAST-MODIFIED', formatIcsDateTime(entry.modifiedAt)],
+    ['SEQUENCE', entry.sequence],
+    timeKnown ? ['DTSTART', startValue] : ['DTSTART;VALUE=DATE', startValue],
+    timeKnown
+      ? ['DTEND', formatIcsDateTime(start.getTime() + GAME_DURATION_MS)]
+      : ['DTEND;VALUE=DATE', formatIcsDate(start.getTime() + DAY_MS)],
+    ['SUMMARY', escapeIcsText(summary)],
+    ['LOCATION', escapeIcsText(formatVenue(game.venue))],
+    ['DESCRIPTION', escapeIcsText(description)],
+    ['URL', url],
+    ['CATEGORIES', 'NFL'],
+    ['STATUS', /CANCELED|POSTPONED/.test(game.status.name) ? 'CANCELLED' : (timeKnown ? 'CONFIRMED' : 'TENTATIVE')],
+    ['TRANSP', 'TRANSPARENT'],
+  ];
+}
+
+async function handler(req, res) {
+  const query = req.query || {};
+  const { team, error: teamError } = resolveTeamParam(query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  const eventId = query.event ? String(query.event) : null;
+  if (eventId && !/^\d{1,12}$/.test(eventId)) {
+    sendError(res, 400, 'Query parameter "event" must be a numeric ESPN event ID.', { code: 'invalid_parameter' });
+    return;
+  }
+
+  const lang = LABELS[query.lang] ? query.lang : 'es';
+  const labels = LABELS[lang];
+
+  try {
+    const [games] = await Promise.all([fetchSeasonGames(team), loadSequences()]);
+    const now = Date.now();
+    const context = { team, labels, siteUrl: getSiteUrl(req), now };
+    const events = games
+      .filter(game => !eventId || game.id === eventId)
+      .map(game => buildEvent(game, context))
+      .filter(Boolean);
+
+    if (eventId && !events.length) {
+      sendError(res, 404, `Game ${eventId} is not on the ${team.displayName} schedule.`);
+      return;
+    }
+    await saveSequences();
+
+    const calendarName = format(labels.calendarName, { team: team.displayName });
+    const calendar = buildCalendar([
+      ['VERSION', '2.0'],
+      ['PRODID', '-//Washington Commanders Hub//Schedule//ES'],
+      ['CALSCALE', 'GREGORIAN'],
+      ['METHOD', 'PUBLISH'],
+      ['X-WR-CALNAME', escapeIcsText(calendarName)],
+      ['X-WR-TIMEZONE', 'UTC'],
+      ['REFRESH-INTERVAL;VALUE=DURATION', 'PT6H'],
+      ['X-PUBLISHED-TTL', 'PT6H'],
+    ], events);
+
+    const fileName = eventId
+      ? `${team.abbreviation.toLowerCase()}-${eventId}.ics`
+      : `${team.abbreviation.toLowerCase()}-schedule.ics`;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `${eventId ? 'attachment' : 'inline'}; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=3600, stale-while-revalidate=86400');
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error(`Error in schedule-ics handler (team ${team.id}):`, error.message);
+    sendError(res, 500, `Failed to build the schedule calendar. ${error.message}`, { code: 'upstream_error' });
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['team', 'event', 'lang'] });
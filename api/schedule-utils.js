@@ -0,0 +1,93 @@
+const { fetchEspnApiWithMeta } = require('./espn-api-utils.js');
+
+const SCHEDULE_TTL_MS = 60 * 1000;
+const PAST_SEASON_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ESPN season type IDs accepted as `seasontype=pre|regular|post` (or 1-3).
+const SEASON_TYPES = { pre: 1, regular: 2, post: 3 };
+const FIRST_SEASON = 2002;
+
+// The NFL season is named after the year it starts; January and February
+// games still belong to the previous season.
+function getCurrentSeason(now = new Date()) {
+  return now.getUTCMonth() < 2 ? now.getUTCFullYear() - 1 : now.getUTCFullYear();
+}
+
+/**
+ * Validates the optional `season` and `seasontype` query parameters. Returns
+ * `{ season, seasonType }` (season is null for "current") or `{ error }`.
+ */
+function parseScheduleQuery(query = {}) {
+  let season = null;
+  if (query.season !== undefined && query.season !== '') {
+    season = Number(query.season);
+    const latest = getCurrentSeason() + 1;
+    if (!Number.isInteger(season) || season < FIRST_SEASON || season > latest) {
+      return { error: `Query parameter "season" must be a year between ${FIRST_SEASON} and ${latest}.` };
+    }
+  }
+
+  const rawType = String(query.seasontype ?? 'regular').toLowerCase();
+  const seasonType = SEASON_TYPES[rawType] || Object.values(SEASON_TYPES).find(id => String(id) === rawType);
+  if (!seasonType) {
+    return { error: 'Query parameter "seasontype" must be one of: pre, regular, post.' };
+  }
+
+  return { season, seasonType };
+}
+
+/**
+ * Fetches a team's schedule from ESPN. Shared by the JSON events endpoint and
+ * the calendar feed so both see the same data. Finished seasons change
+ * rarely, so they are cached for a day.
+ */
+function fetchTeamSchedule(team, { season = null, seasonType = SEASON_TYPES.regular } = {}) {
+  const queryParams = { seasontype: seasonType, groups: 'all', limit: 500 };
+  if (season) queryParams.season = season;
+  const isPastSeason = season && season < getCurrentSeason();
+
+  return fetchEspnApiWithMeta(`sports/football/nfl/teams/${team.id}/schedule`, queryParams, {
+    ttlMs: isPastSeason ? PAST_SEASON_TTL_MS : SCHEDULE_TTL_MS,
+  });
+}
+
+/**
+ * Groups normalized Games by week number. In the regular season every week up
+ * to the team's last game is listed, so the bye shows up as
+ * `{ bye: true, games: [] }`.
+ */
+function groupGamesByWeek(games, { seasonType, byeWeek }) {
+  const weeks = new Map();
+  games.forEach(game => {
+    if (!game.week) return;
+    const { number, label } = game.week;
+    if (!weeks.has(number)) weeks.set(number, { number, label: label || null, bye: false, games: [] });
+    weeks.get(number).games.push(game);
+  });
+
+  if (seasonType === SEASON_TYPES.regular && weeks.size) {
+    const lastWeek = Math.max(...weeks.keys());
+    for (let number = 1; number <= lastWeek; number += 1) {
+      if (!weeks.has(number)) weeks.set(number, { number, label: null, bye: true, games: [] });
+    }
+  }
+  if (byeWeek && weeks.has(byeWeek) && !weeks.get(byeWeek).games.length) {
+    weeks.get(byeWeek).bye = true;
+  }
+
+  return [...weeks.values()]
+    .sort((a, b) => a.number - b.number)
+    .map(week => ({
+      ...week,
+      games: week.games.sort((a, b) => String(a.date).localeCompare(String(b.date))),
+    }));
+}
+
+module.exports = {
+  SEASON_TYPES,
+  FIRST_SEASON,
+  getCurrentSeason,
+  parseScheduleQuery,
+  fetchTeamSchedule,
+  groupGamesByWeek,
+};
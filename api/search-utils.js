@@ -0,0 +1,161 @@
+// Result types, in the order groups are returned.
+const SEARCH_TYPES = ['articles', 'podcasts', 'games', 'players'];
+
+// Field weights: a hit in a title outranks one in tags, which outranks one in
+// the body text.
+const FIELD_WEIGHTS = { title: 3, keywords: 2, text: 1 };
+// How much of the field weight each kind of match keeps.
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+// Ignored in queries with other words, so "draft de los commanders" does not
+// require "de" and "los" to appear.
+const STOPWORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'el', 'en', 'la', 'las', 'lo', 'los', 'para', 'por', 'un', 'una', 'y',
+  'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'vs',
+]);
+
+// Lowercase without diacritics, so "jose" matches "José" and "campeon"
+// matches "campeón".
+function normalizeText(value) {
+  return String(value ?? '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+function tokenize(value) {
+  return normalizeText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), giving
+ * up as soon as it exceeds `max`. Returns `max + 1` in that case.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Typos allowed for a query word: none for short words, where one edit already
+// matches unrelated terms.
+function maxTypos(token) {
+  if (token.length >= 8) return 2;
+  return token.length >= 4 ? 1 : 0;
+}
+
+function matchScore(token, term) {
+  if (term === token) return MATCH_SCORES.exact;
+  if (term.startsWith(token)) return MATCH_SCORES.prefix;
+  const typos = maxTypos(token);
+  if (!typos) return 0;
+  // Compare against the start of longer terms too, so "comand" already finds
+  // "commanders" while it is being typed.
+  for (let length = token.length - typos; length <= Math.min(term.length, token.length + typos); length += 1) {
+    if (editDistance(token, term.slice(0, length), typos) <= typos) return MATCH_SCORES.fuzzy;
+  }
+  return 0;
+}
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} type One of SEARCH_TYPES.
+ * @property {Object} result What the API returns for a hit.
+ * @property {{ title?: string, keywords?: string, text?: string }} fields Searchable text.
+ * @property {string|null} [date] Breaks ties between equal scores, newest first.
+ */
+
+/**
+ * Builds an inverted index from term to the documents (and best field weight)
+ * that contain it.
+ *
+ * @param {SearchDocument[]} documents
+ */
+function buildSearchIndex(documents) {
+  const terms = new Map();
+  documents.forEach((document, docIndex) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(document.fields[field]).forEach(term => {
+        if (!terms.has(term)) terms.set(term, new Map());
+        const postings = terms.get(term);
+        postings.set(docIndex, Math.max(postings.get(docIndex) || 0, weight));
+      });
+    });
+  });
+  return { documents, terms };
+}
+
+function parseQuery(query) {
+  const tokens = [...new Set(tokenize(query))];
+  const meaningful = tokens.filter(token => !STOPWORDS.has(token));
+  return meaningful.length ? meaningful : tokens;
+}
+
+/**
+ * Searches the index. Every query word has to match (exactly, as a prefix or
+ * with a typo) somewhere in a document; scores add up the best hit of each
+ * word. Results are grouped by type with at most `limit` hits per group.
+ *
+ * @returns {{ total: number, groups: { type: string, total: number, results: Object[] }[] }}
+ */
+function searchIndex(index, query, { types = SEARCH_TYPES, limit = 5 } = {}) {
+  const tokens = parseQuery(query);
+  if (!tokens.length) return { total: 0, groups: [] };
+
+  // Best score per query word for each document.
+  const scores = tokens.map(() => new Map());
+  index.terms.forEach((postings, term) => {
+    tokens.forEach((token, tokenIndex) => {
+      const score = matchScore(token, term);
+      if (!score) return;
+      postings.forEach((weight, docIndex) => {
+        const best = scores[tokenIndex].get(docIndex) || 0;
+        if (score * weight > best) scores[tokenIndex].set(docIndex, score * weight);
+      });
+    });
+  });
+
+  const hits = [];
+  scores[0].forEach((firstScore, docIndex) => {
+    let total = firstScore;
+    for (let tokenIndex = 1; tokenIndex < scores.length; tokenIndex += 1) {
+      const score = scores[tokenIndex].get(docIndex);
+      if (!score) return;
+      total += score;
+    }
+    const document = index.documents[docIndex];
+    if (types.includes(document.type)) hits.push({ document, score: total });
+  });
+
+  hits.sort((a, b) => (b.score - a.score)
+    || String(b.document.date || '').localeCompare(String(a.document.date || '')));
+
+  const groups = SEARCH_TYPES
+    .filter(type => types.includes(type))
+    .map(type => {
+      const matches = hits.filter(hit => hit.document.type === type);
+      return {
+        type,
+        total: matches.length,
+        results: matches.slice(0, limit).map(hit => hit.document.result),
+      };
+    })
+    .filter(group => group.total);
+
+  return { total: hits.length, groups };
+}
+
+module.exports = { SEARCH_TYPES, normalizeText, tokenize, editDistance, buildSearchIndex, searchIndex };
@@ -0,0 +1,189 @@
+const { readArticles, readContent } = require('./content-utils.js');
+const { fetchEspnApi } = require('./espn-api-utils.js');
+const { normalizeGames, normalizeRoster } = require('./espn-model.js');
+const { getCurrentSeason, fetchTeamSchedule } = require('./schedule-utils.js');
+const { SEARCH_TYPES, buildSearchIndex, searchIndex } = require('./search-utils.js');
+const { resolveTeamParam } = require('./team-utils.js');
+const { sendError, apiRoute } = require('./http-utils.js');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+// The ESPN calls are cached on their own; this only avoids re-tokenizing the
+// same documents on every keystroke.
+const INDEX_TTL_MS = 60 * 1000;
+const ROSTER_TTL_MS = 30 * 60 * 1000;
+const SEASON_TYPE_NAMES = { 1: 'preseason pretemporada', 2: 'regular season temporada regular', 3: 'playoffs postseason postemporada' };
+
+const indexCache = new Map();
+
+function articleDocuments() {
+  return readArticles().map(article => ({
+    type: 'articles',
+    date: article.date,
+    fields: { title: article.title, keywords: article.tags.join(' '), text: `${article.summary} ${article.author || ''}` },
+    result: { id: article.slug, title: article.title, summary: article.summary, date: article.date, url: article.link },
+  }));
+}
+
+function podcastDocuments() {
+  return readContent().podcasts.filter(podcast => podcast.slug && podcast.src).map(podcast => {
+    const chapters = Array.isArray(podcast.chapters) ? podcast.chapters.map(chapter => chapter?.title).join(' ') : '';
+    return {
+      type: 'podcasts',
+      date: podcast.publishedAt || null,
+      fields: { title: podcast.title, keywords: chapters, text: podcast.description },
+      result: {
+        id: podcast.slug,
+        title: podcast.title || podcast.slug,
+        summary: podcast.description || '',
+        date: podcast.publishedAt || null,
+        url: `/#podcast-${podcast.slug}`,
+      },
+    };
+  });
+}
+
+function gameDocument(game, season) {
+  const sideText = side => [side.team.displayName, side.team.shortName, side.team.abbreviation].join(' ');
+  const week = game.week ? `week semana ${game.week.number} ${game.week.label || ''}` : '';
+  const venue = game.venue ? [game.venue.name, game.venue.city].join(' ') : '';
+  const scored = game.status.state !== 'pre' && game.home.score !== null && game.away.score !== null;
+  return {
+    type: 'games',
+    date: game.date,
+    fields: {
+      title: `${sideText(game.away)} ${sideText(game.home)}`,
+      keywords: `${season} ${SEASON_TYPE_NAMES[game.seasonType] || ''}`,
+      text: `${week} ${venue}`,
+    },
+    result: {
+      id: game.id,
+      title: `${game.away.team.abbreviation} @ ${game.home.team.abbreviation}`,
+      date: game.date,
+      timeValid: game.timeValid,
+      season,
+      seasonType: game.seasonType,
+      week: game.week,
+      score: scored ? { away: game.away.score, home: game.home.score } : null,
+      url: `/#partido/${game.id}`,
+    },
+  };
+}
+
+// The current and the previous season, regular season and playoffs, so
+// "last season's game at Philadelphia" can be found.
+async function gameDocuments(team) {
+  const current = getCurrentSeason();
+  const requests = [current, current - 1].flatMap(season => [2, 3].map(seasonType => ({ season, seasonType })));
+  const results = await Promise.allSettled(requests.map(request => fetchTeamSchedule(team, request)));
+
+  const documents = new Map();
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn(`search: Schedule ${requests[index].season}/${requests[index].seasonType} for team ${team.id} is unavailable.`, result.reason?.message);
+      return;
+    }
+    const season = Number(result.value.data?.requestedSeason?.year || result.value.data?.season?.year) || requests[index].season;
+    normalizeGames(result.value.data?.events).forEach(game => {
+      if (!documents.has(game.id)) documents.set(game.id, gameDocument(game, season));
+    });
+  });
+  if (results.every(result => result.status === 'rejected')) throw new Error('No schedule could be loaded.');
+  return [...documents.values()];
+}
+
+async function playerDocuments(team) {
+  const data = await fetchEspnApi(`sports/football/nfl/teams/${team.id}/roster`, {}, { ttlMs: ROSTER_TTL_MS });
+  return normalizeRoster(data).flatMap(group => group.athletes).map(athlete => ({
+    type: 'players',
+    date: null,
+    fields: {
+      title: athlete.displayName,
+      keywords: `${athlete.jersey} ${athlete.position.abbreviation} ${athlete.position.name}`,
+      text: athlete.college,
+    },
+    result: {
+      id: athlete.id,
+      title: athlete.displayName,
+      jersey: athlete.jersey,
+      position: athlete.position,
+      headshot: athlete.headshot,
+      url: `/#jugador/${athlete.id}`,
+    },
+  }));
+}
+
+/**
+ * Builds (or reuses) the index for a team. Sources that fail are left out and
+ * listed in `unavailable` instead of failing the whole search.
+ */
+async function getSearchIndex(team) {
+  const cached = indexCache.get(team.id);
+  if (cached && Date.now() - cached.builtAt < INDEX_TTL_MS) return cached;
+
+  const sources = {
+    articles: async () => articleDocuments(),
+    podcasts: async () => podcastDocuments(),
+    games: () => gameDocuments(team),
+    players: () => playerDocuments(team),
+  };
+  const results = await Promise.allSettled(SEARCH_TYPES.map(type => sources[type]()));
+  const unavailable = [];
+  const documents = results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.warn(`search: Could not index ${SEARCH_TYPES[index]}.`, result.reason?.message);
+    unavailable.push(SEARCH_TYPES[index]);
+    return [];
+  });
+
+  const entry = { index: buildSearchIndex(documents), unavailable, builtAt: Date.now() };
+  // A partial index is not kept, so the next request retries the missing sources.
+  if (!unavailable.length) indexCache.set(team.id, entry);
+  return entry;
+}
+
+function parseSearchQuery(query = {}) {
+  const q = String(query.q ?? '').trim();
+  if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+    return { error: `Query parameter "q" must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters.` };
+  }
+
+  let types = SEARCH_TYPES;
+  if (query.types !== undefined && query.types !== '') {
+    types = String(query.types).split(',').map(type => type.trim()).filter(Boolean);
+    if (!types.length || types.some(type => !SEARCH_TYPES.includes(type))) {
+      return { error: `Query parameter "types" must be a list of: ${SEARCH_TYPES.join(', ')}.` };
+    }
+  }
+
+  const limit = Number.parseInt(query.limit, 10);
+  return { q, types, limit: Number.isFinite(limit) && limit >= 1 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT };
+}
+
+async function handler(req, res) {
+  const { team, error: teamError } = resolveTeamParam(req.query);
+  if (teamError) {
+    sendError(res, 400, teamError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  const { q, types, limit, error: queryError } = parseSearchQuery(req.query);
+  if (queryError) {
+    sendError(res, 400, queryError, { code: 'invalid_parameter' });
+    return;
+  }
+
+  try {
+    const { index, unavailable } = await getSearchIndex(team);
+    const { total, groups } = searchIndex(index, q, { types, limit });
+    res.setHeader('Cache-Control', unavailable.length ? 'no-store' : 'public, max-age=60, s-maxage=300');
+    res.status(200).json({ query: q, team: team.id, total, groups, unavailable });
+  } catch (error) {
+    console.error('Error in search handler:', error);
+    sendError(res, 500, 'Failed to search the site.');
+  }
+}
+
+module.exports = apiRoute(handler, { params: ['q', 'team', 'types', 'limit'] });
@@ -0,0 +1,247 @@
+const { fetchEspnApiWithMeta } = require('./espn-api-utils.js');
+const { normalizeSummaryGame } = require('./espn-model.js');
+const { escapeHtml } = require('./markdown-utils.js');
+const { escapeXml, toAbsoluteUrl } = require('./feed-utils.js');
+
+const SITE_NAME = 'Commanders Hub';
+const DEFAULT_IMAGE = '/images/commanders-bg.jpg';
+const PUBLISHER_LOGO = '/icons/icon-192.png';
+// The NFL publishes kickoff times in Eastern time; crawlers have no time zone.
+const DISPLAY_TIME_ZONE = 'America/New_York';
+// Same path and TTL as api/espn-game.js, so both share the cached summary.
+const SUMMARY_PATH = 'sports/football/nfl/summary';
+const SUMMARY_TTL_MS = 30 * 1000;
+const SEASON_TYPE_LABELS = { 1: 'Pretemporada', 3: 'Playoffs' };
+const EVENT_STATUSES = {
+  STATUS_POSTPONED: 'EventPostponed',
+  STATUS_CANCELED: 'EventCancelled',
+};
+
+// Shareable paths. vercel.json rewrites them to /api/page, which serves the
+// app with the item's title, image and structured data.
+function gamePath(eventId) {
+  return `/games/${encodeURIComponent(eventId)}`;
+}
+
+function articlePath(slug) {
+  return `/articles/${encodeURIComponent(slug)}`;
+}
+
+function ogImagePath(eventId) {
+  return `/api/og?id=${encodeURIComponent(eventId)}`;
+}
+
+/**
+ * Origin from the environment only: SITE_URL or the production domain Vercel
+ * exposes. Used at build time, when there is no request, and by share pages,
+ * which must not trust the Host header. Empty when unknown.
+ */
+function getBuildSiteUrl() {
+  const url = process.env.SITE_URL
+    || (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`)
+    || '';
+  return url.replace(/\/+$/, '');
+}
+
+// Without a known origin (a local build) URLs stay relative rather than empty.
+function toSiteUrl(siteUrl, url) {
+  if (!url) return undefined;
+  return siteUrl ? toAbsoluteUrl(siteUrl, url) || undefined : url;
+}
+
+async function fetchGameSummary(eventId) {
+  const result = await fetchEspnApiWithMeta(SUMMARY_PATH, { event: eventId }, { ttlMs: SUMMARY_TTL_MS });
+  return { ...result, data: normalizeSummaryGame(result.data) };
+}
+
+function formatKickoff(game) {
+  const date = new Date(game.date);
+  if (Number.isNaN(date.getTime())) return '';
+  const options = { timeZone: DISPLAY_TIME_ZONE, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
+  if (!game.timeValid) return date.toLocaleDateString('es-ES', options);
+  return `${date.toLocaleString('es-ES', { ...options, hour: '2-digit', minute: '2-digit' })} (ET)`;
+}
+
+function formatGameStage(game) {
+  if (SEASON_TYPE_LABELS[game.seasonType]) return SEASON_TYPE_LABELS[game.seasonType];
+  return game.week ? `Semana ${game.week.number}` : '';
+}
+
+function formatGameScore(game) {
+  return `${game.away.team.abbreviation} ${game.away.score ?? 0} - ${game.home.score ?? 0} ${game.home.team.abbreviation}`;
+}
+
+function getGameTitle(game) {
+  return `${game.away.team.displayName} @ ${game.home.team.displayName}`;
+}
+
+/** One-line Spanish summary of a game for meta descriptions and alt texts. */
+function describeGame(game) {
+  let status = formatKickoff(game);
+  if (EVENT_STATUSES[game.status.name]) status = game.status.description;
+  else if (game.status.completed) status = `Final: ${formatGameScore(game)}`;
+  else if (game.status.state === 'in') status = `En juego: ${formatGameScore(game)} (${game.status.detail})`;
+
+  const venue = game.venue ? [game.venue.name, game.venue.city].filter(Boolean).join(', ') : '';
+  return [formatGameStage(game), status, venue, game.broadcasts.join(', ')].filter(Boolean).join(' · ');
+}
+
+function toIsoDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(Number(totalSeconds) || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${rest || !(hours || minutes) ? `${rest}S` : ''}`;
+}
+
+function buildSportsEventLd(game, siteUrl) {
+  const team = side => ({ '@type': 'SportsTeam', name: side.team.displayName, logo: side.team.logo || undefined });
+  const home = team(game.home);
+  const away = team(game.away);
+  const venue = game.venue && game.venue.name
+    ? {
+      '@type': 'Place',
+      name: game.venue.name,
+      address: { '@type': 'PostalAddress', addressLocality: game.venue.city || undefined, addressRegion: game.venue.state || undefined },
+    }
+    : undefined;
+
+  return {
+    '@type': 'SportsEvent',
+    name: getGameTitle(game),
+    description: describeGame(game),
+    url: toSiteUrl(siteUrl, gamePath(game.id)),
+    image: toSiteUrl(siteUrl, ogImagePath(game.id)),
+    sport: 'American football',
+    startDate: game.date || undefined,
+    eventStatus: `https://schema.org/${EVENT_STATUSES[game.status.name] || 'EventScheduled'}`,
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: venue,
+    homeTeam: home,
+    awayTeam: away,
+    competitor: [away, home],
+  };
+}
+
+function buildOrganizationLd(siteUrl) {
+  return {
+    '@type': 'Organization',
+    name: SITE_NAME,
+    url: toSiteUrl(siteUrl, '/'),
+    logo: { '@type': 'ImageObject', url: toSiteUrl(siteUrl, PUBLISHER_LOGO) },
+  };
+}
+
+function buildArticleLd(article, siteUrl) {
+  const url = toSiteUrl(siteUrl, articlePath(article.slug));
+  return {
+    '@type': 'Article',
+    headline: article.title,
+    description: article.summary || undefined,
+    datePublished: article.date || undefined,
+    author: article.author ? { '@type': 'Person', name: article.author } : buildOrganizationLd(siteUrl),
+    publisher: buildOrganizationLd(siteUrl),
+    image: toSiteUrl(siteUrl, article.heroImage || DEFAULT_IMAGE),
+    keywords: article.tags.length ? article.tags.join(', ') : undefined,
+    inLanguage: 'es',
+    url,
+    mainEntityOfPage: url,
+  };
+}
+
+function buildPodcastEpisodeLd(episode, channel, siteUrl) {
+  return {
+    '@type': 'PodcastEpisode',
+    name: episode.title,
+    description: episode.description || undefined,
+    datePublished: episode.publishedAt || undefined,
+    url: toSiteUrl(siteUrl, `/#podcast-${episode.slug}`),
+    episodeNumber: episode.episode || undefined,
+    duration: episode.duration ? toIsoDuration(episode.duration) : undefined,
+    image: toSiteUrl(siteUrl, episode.image || channel.image),
+    associatedMedia: {
+      '@type': 'MediaObject',
+      contentUrl: toSiteUrl(siteUrl, episode.src),
+      encodingFormat: episode.type || 'audio/mpeg',
+    },
+    partOfSeries: {
+      '@type': 'PodcastSeries',
+      name: channel.title || SITE_NAME,
+      url: toSiteUrl(siteUrl, '/#podcasts'),
+      webFeed: toSiteUrl(siteUrl, '/api/podcast.xml'),
+    },
+  };
+}
+
+// `<` is escaped so a title containing "</script>" cannot end the block.
+function renderJsonLd(items) {
+  const data = { '@context': 'https://schema.org', '@graph': items };
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+/**
+ * Replaces the title, description, Open Graph and Twitter tags of an HTML
+ * page and adds a canonical link and JSON-LD. Used for the prerendered home
+ * page and for the shareable game and article pages.
+ */
+function applyPageMeta(html, { title, description, url, image, imageAlt, type = 'website', jsonLd = [] }) {
+  const tags = [
+    url ? `<link rel="canonical" href="${escapeHtml(url)}">` : '',
+    `<meta property="og:type" content="${escapeHtml(type)}">`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">`,
+    '<meta property="og:locale" content="es_ES">',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    url ? `<meta property="og:url" content="${escapeHtml(url)}">` : '',
+    `<meta property="og:image" content="${escapeHtml(image)}">`,
+    imageAlt ? `<meta property="og:image:alt" content="${escapeHtml(imageAlt)}">` : '',
+    '<meta name="twitter:card" content="summary_large_image">',
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}">`,
+    jsonLd.length ? renderJsonLd(jsonLd) : '',
+  ].filter(Boolean);
+
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`)
+    .replace(/(<meta name="description" content=")[^"]*(">)/, `$1${escapeHtml(description)}$2`)
+    .replace(/[ \t]*<meta (?:property="og:|name="twitter:)[^>]*>\n?/g, '')
+    .replace(/[ \t]*<link rel="canonical"[^>]*>\n?/g, '')
+    .replace(/[ \t]*<script type="application\/ld\+json">[\s\S]*?<\/script>\n?/g, '')
+    .replace('</head>', `  ${tags.join('\n  ')}\n</head>`);
+}
+
+/** @param {{ loc: string, lastmod?: string|null }[]} entries */
+function buildSitemap(entries) {
+  const urls = entries.map(({ loc, lastmod }) => {
+    const date = lastmod ? new Date(lastmod) : null;
+    const modified = date && !Number.isNaN(date.getTime()) ? `<lastmod>${date.toISOString().slice(0, 10)}</lastmod>` : '';
+    return `  <url><loc>${escapeXml(loc)}</loc>${modified}</url>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = {
+  SITE_NAME,
+  DEFAULT_IMAGE,
+  DISPLAY_TIME_ZONE,
+  gamePath,
+  articlePath,
+  ogImagePath,
+  getBuildSiteUrl,
+  toSiteUrl,
+  fetchGameSummary,
+  formatKickoff,
+  formatGameStage,
+  getGameTitle,
+  describeGame,
+  buildSportsEventLd,
+  buildArticleLd,
+  buildPodcastEpisodeLd,
+  applyPageMeta,
+  buildSitemap,
+};
@@ -0,0 +1,23 @@
+const { fetchEspnApiWithMeta } = require('./espn-api-utils.js');
+const { MODEL_VERSION, toNumber, normalizeStandings } = require('./espn-model.js');
+
+const API_PATH = 'sports/football/nfl/standings';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Fetches league standings from ESPN. Shared by the standings endpoint and
+ * the playoff picture so both see the same data.
+ */
+function fetchStandings() {
+  return fetchEspnApiWithMeta(API_PATH, { groups: 'all', limit: 500 }, { ttlMs: CACHE_TTL_MS });
+}
+
+function buildStandingsPayload(data) {
+  return {
+    version: MODEL_VERSION,
+    season: toNumber(data?.season?.year ?? data?.children?.[0]?.standings?.season),
+    rows: normalizeStandings(data),
+  };
+}
+
+module.exports = { fetchStandings, buildStandingsPayload };
@@ -0,0 +1,43 @@
+const teamConfig = require('../data/teams.json');
+
+// Each team also carries the IDs of its division rivals so clients can build
+// division tables without grouping the whole league themselves.
+const TEAMS = teamConfig.teams.map(team => ({
+  ...team,
+  divisionTeamIds: teamConfig.teams
+    .filter(other => other.division === team.division)
+    .map(other => other.id),
+}));
+const DEFAULT_TEAM_ID = process.env.DEFAULT_TEAM_ID || teamConfig.defaultTeamId;
+const CONFERENCE_NAMES = teamConfig.conferences;
+
+/**
+ * Resolves a team from an ESPN team ID ("28") or abbreviation ("wsh").
+ * Returns null when the value does not match any configured team.
+ */
+function findTeam(value) {
+  const needle = String(value ?? '').trim().toUpperCase();
+  if (!needle) return null;
+  return TEAMS.find(team => team.id === needle || team.abbreviation === needle) || null;
+}
+
+function getDefaultTeam() {
+  return findTeam(DEFAULT_TEAM_ID) || TEAMS[0];
+}
+
+/**
+ * Reads the optional `team` query parameter. Missing values fall back to the
+ * default team; unknown values return `{ error }` so handlers can answer 400.
+ */
+function resolveTeamParam(query = {}) {
+  const raw = query.team;
+  if (raw === undefined || raw === '') return { team: getDefaultTeam() };
+
+  const team = findTeam(Array.isArray(raw) ? raw[0] : raw);
+  if (!team) {
+    return { error: `Unknown team "${raw}". Use an ESPN team ID or abbreviation (e.g. 28 or WSH).` };
+  }
+  return { team };
+}
+
+module.exports = { TEAMS, CONFERENCE_NAMES, findTeam, getDefaultTeam, resolveTeamParam };
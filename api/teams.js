@@ -0,0 +1,13 @@
+const { TEAMS, CONFERENCE_NAMES, getDefaultTeam } = require('./team-utils.js');
+const { apiRoute } = require('./http-utils.js');
+
+function handler(req, res) {
+  res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=86400');
+  res.status(200).json({
+    defaultTeamId: getDefaultTeam().id,
+    conferences: CONFERENCE_NAMES,
+    teams: TEAMS,
+  });
+}
+
+module.exports = apiRoute(handler);
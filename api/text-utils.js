@@ -0,0 +1,9 @@
+/**
+ * Fills `{name}` placeholders of a localized message; unknown names are left
+ * as they are so a missing parameter shows up instead of vanishing.
+ */
+function format(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (params[key] ?? match));
+}
+
+module.exports = { format };
@@ -0,0 +1,286 @@
+/**
+ * Playoff seeding for one conference from the /api/espn-playoffs payload,
+ * with the user's picks applied: records, NFL tiebreakers and clinch
+ * markers. Shared by the page (scripts.js) and the tests, so it only uses
+ * plain data and no DOM.
+ */
+
+export const PLAYOFF_SEEDS = 7;
+const REGULAR_SEASON_GAMES = 17;
+
+// NFL tiebreaking steps applied, in order, to clubs tied on winning
+// percentage. Later steps of the official list (strength of schedule, points)
+// are left out; a tie that survives them is settled alphabetically in place
+// of the coin toss.
+const TIEBREAK_STEPS = {
+  division: ['headToHead', 'division', 'common', 'conference', 'victory'],
+  wildCard: ['headToHead', 'conference', 'common', 'victory'],
+};
+
+function winPercentOf(results) {
+  if (!results.length) return 0;
+  return results.reduce((total, result) => total + result.score, 0) / results.length;
+}
+
+// Winning side of a Matchup: the final score once played, otherwise the
+// user's pick, or null while undecided.
+function getMatchupOutcome(game, picks) {
+  if (game.completed && game.homeScore !== null && game.awayScore !== null) {
+    if (game.homeScore === game.awayScore) return 'tie';
+    return game.homeScore > game.awayScore ? 'home' : 'away';
+  }
+  return picks.get(game.id) || null;
+}
+
+/**
+ * Records and per-game results for every team, with the picks applied.
+ * Conference teams whose schedule arrived are counted from their games;
+ * everyone else starts from the standings row, which already includes
+ * the games they have played.
+ */
+export function createRecordBook(data, picks) {
+  const rows = new Map(data.teams.filter(row => row?.team?.id).map(row => [row.team.id, row]));
+  const missing = new Set(data.missingTeams || []);
+  const conferenceIds = [...rows.values()]
+    .filter(row => row.conference === data.conference)
+    .map(row => row.team.id);
+  const covered = new Set(conferenceIds.filter(id => !missing.has(id)));
+  const results = new Map([...rows.keys()].map(id => [id, []]));
+  const remaining = new Map();
+
+  data.games.forEach(game => {
+    const outcome = getMatchupOutcome(game, picks);
+    const homeScore = outcome === 'home' ? 1 : outcome === 'tie' ? 0.5 : 0;
+    [[game.home, game.away, homeScore], [game.away, game.home, 1 - homeScore]].forEach(([teamId, opponent, score]) => {
+      if (!results.has(teamId)) results.set(teamId, []);
+      if (outcome) {
+        results.get(teamId).push({ opponent, score, picked: !game.completed });
+      } else {
+        remaining.set(teamId, (remaining.get(teamId) || 0) + 1);
+      }
+    });
+  });
+
+  const records = new Map();
+  const getRecord = teamId => {
+    if (records.has(teamId)) return records.get(teamId);
+    const row = rows.get(teamId);
+    const counted = (results.get(teamId) || []).filter(result => covered.has(teamId) || result.picked);
+    const record = {
+      wins: (covered.has(teamId) ? 0 : row?.wins || 0) + counted.filter(result => result.score === 1).length,
+      losses: (covered.has(teamId) ? 0 : row?.losses || 0) + counted.filter(result => result.score === 0).length,
+      ties: (covered.has(teamId) ? 0 : row?.ties || 0) + counted.filter(result => result.score === 0.5).length,
+    };
+    const played = record.wins + record.losses + record.ties;
+    record.winPercent = played ? (record.wins + record.ties / 2) / played : 0;
+    record.remaining = covered.has(teamId)
+      ? remaining.get(teamId) || 0
+      : Math.max(0, REGULAR_SEASON_GAMES - played);
+    records.set(teamId, record);
+    return record;
+  };
+
+  return {
+    conferenceIds,
+    getRow: teamId => rows.get(teamId),
+    getResults: teamId => results.get(teamId) || [],
+    getRecord,
+  };
+}
+
+// Each tiebreaker scores the tied clubs (higher is better), or returns null
+// when it does not apply to this group.
+export const TIEBREAKERS = {
+  headToHead(group, book, mode) {
+    const members = new Set(group);
+    const games = new Map(group.map(id => [id, book.getResults(id).filter(result => members.has(result.opponent))]));
+    if ([...games.values()].some(results => !results.length)) return null;
+
+    if (mode === 'wildCard' && group.length > 2) {
+      // Among three or more wild-card clubs only a sweep counts: one club
+      // beat each of the others, or lost to each of them.
+      const sweep = (id, score) => group.every(other => other === id || (
+        games.get(id).some(result => result.opponent === other)
+        && games.get(id).filter(result => result.opponent === other).every(result => result.score === score)
+      ));
+      return new Map(group.map(id => [id, sweep(id, 1) ? 1 : sweep(id, 0) ? -1 : 0]));
+    }
+    return new Map(group.map(id => [id, winPercentOf(games.get(id))]));
+  },
+
+  division(group, book) {
+    const division = book.getRow(group[0])?.division;
+    if (!division || group.some(id => book.getRow(id)?.division !== division)) return null;
+    return new Map(group.map(id => [id, winPercentOf(
+      book.getResults(id).filter(result => book.getRow(result.opponent)?.division === division),
+    )]));
+  },
+
+  common(group, book, mode) {
+    const opponentSets = group.map(id => new Set(book.getResults(id).map(result => result.opponent)));
+    const common = [...opponentSets[0]].filter(opponent => opponentSets.every(set => set.has(opponent)));
+    const games = new Map(group.map(id => [id, book.getResults(id).filter(result => common.includes(result.opponent))]));
+    const minimum = mode === 'wildCard' ? 4 : 1;
+    if ([...games.values()].some(results => results.length < minimum)) return null;
+    return new Map(group.map(id => [id, winPercentOf(games.get(id))]));
+  },
+
+  conference(group, book) {
+    return new Map(group.map(id => {
+      const conference = book.getRow(id)?.conference;
+      return [id, winPercentOf(book.getResults(id).filter(result => book.getRow(result.opponent)?.conference === conference))];
+    }));
+  },
+
+  victory(group, book) {
+    return new Map(group.map(id => {
+      const beaten = book.getResults(id).filter(result => result.score === 1).map(result => book.getRecord(result.opponent));
+      const games = beaten.reduce((total, record) => total + record.wins + record.losses + record.ties, 0);
+      const wins = beaten.reduce((total, record) => total + record.wins + record.ties / 2, 0);
+      return [id, games ? wins / games : 0];
+    }));
+  },
+};
+
+function compareTeamNames(book) {
+  return (a, b) => (book.getRow(a)?.team.displayName || a).localeCompare(book.getRow(b)?.team.displayName || b);
+}
+
+/** Picks the club that wins a tie, and the step that decided it. */
+export function pickBest(group, book, mode) {
+  let candidates = [...group];
+  let reason = null;
+
+  if (mode === 'wildCard') {
+    // Before comparing wild-card clubs, only the best of each division stays.
+    const byDivision = new Map();
+    candidates.forEach(id => {
+      const division = book.getRow(id)?.division || id;
+      byDivision.set(division, [...(byDivision.get(division) || []), id]);
+    });
+    const leaders = [...byDivision.values()].map(ids => (ids.length > 1 ? pickBest(ids, book, 'division') : { teamId: ids[0], reason: null }));
+    candidates = leaders.map(leader => leader.teamId);
+    if (candidates.length === 1) return leaders[0];
+  }
+
+  const steps = TIEBREAK_STEPS[mode];
+  let index = 0;
+  while (candidates.length > 1 && index < steps.length) {
+    const scores = TIEBREAKERS[steps[index]](candidates, book, mode);
+    index += 1;
+    if (!scores) continue;
+
+    const best = Math.max(...scores.values());
+    const remaining = candidates.filter(id => scores.get(id) >= best - 1e-9);
+    if (remaining.length < candidates.length) {
+      reason = steps[index - 1];
+      candidates = remaining;
+      // Clubs still tied after one drops out start over from the first step.
+      index = 0;
+    }
+  }
+
+  if (candidates.length > 1) {
+    return { teamId: [...candidates].sort(compareTeamNames(book))[0], reason: 'coinToss' };
+  }
+  return { teamId: candidates[0], reason };
+}
+
+function rankTiedGroup(group, book, mode) {
+  const ranked = [];
+  let remaining = [...group];
+  while (remaining.length > 1) {
+    const best = pickBest(remaining, book, mode);
+    ranked.push(best);
+    remaining = remaining.filter(id => id !== best.teamId);
+  }
+  // The last club lost the final tiebreak rather than winning one.
+  if (remaining.length) ranked.push({ teamId: remaining[0], reason: ranked.at(-1)?.reason || null });
+  return ranked;
+}
+
+function rankByRecord(teamIds, book, mode) {
+  const groups = new Map();
+  teamIds.forEach(id => {
+    const key = book.getRecord(id).winPercent.toFixed(6);
+    groups.set(key, [...(groups.get(key) || []), id]);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => Number(b) - Number(a))
+    .flatMap(([, group]) => rankTiedGroup(group, book, mode));
+}
+
+// Conservative markers from best- and worst-case records: a club clinches
+// or is eliminated only when no combination of the remaining games can
+// change it. Ties between the cases are treated as lost. Only the #1 seed
+// has a bye, so clinching it is home-field advantage (`*`); `z` only comes
+// from ESPN's own clincher.
+export function computeClinchMarker(teamId, book) {
+  const best = id => {
+    const record = book.getRecord(id);
+    return record.wins + record.ties / 2 + record.remaining;
+  };
+  const worst = id => {
+    const record = book.getRecord(id);
+    return record.wins + record.ties / 2;
+  };
+  const division = book.getRow(teamId)?.division;
+  const others = book.conferenceIds.filter(id => id !== teamId);
+  const rivals = others.filter(id => book.getRow(id)?.division === division);
+
+  // Clubs that could finish level with or ahead of us, excluding one per
+  // division that would be its champion rather than a wild card.
+  const wildCardsAhead = ids => {
+    const perDivision = new Map();
+    ids.forEach(id => {
+      const key = book.getRow(id)?.division;
+      perDivision.set(key, (perDivision.get(key) || 0) + 1);
+    });
+    return [...perDivision.values()].reduce((total, count) => total + count - 1, 0);
+  };
+
+  if (others.every(id => best(id) < worst(teamId))) return '*';
+  if (rivals.every(id => best(id) < worst(teamId))) return 'y';
+  if (wildCardsAhead(others.filter(id => best(id) >= worst(teamId))) < PLAYOFF_SEEDS - 4) return 'x';
+  const divisionLost = rivals.some(id => worst(id) > best(teamId));
+  if (divisionLost && wildCardsAhead(others.filter(id => worst(id) > best(teamId))) >= PLAYOFF_SEEDS - 4) return 'e';
+  return '';
+}
+
+/**
+ * Seeds the conference: four division leaders first, then the three best
+ * remaining clubs, followed by everyone else in wild-card order.
+ */
+export function buildPlayoffPicture(data, picks) {
+  const book = createRecordBook(data, picks);
+  const divisions = new Map();
+  book.conferenceIds.forEach(id => {
+    const division = book.getRow(id)?.division;
+    divisions.set(division, [...(divisions.get(division) || []), id]);
+  });
+
+  const leaders = [...divisions.values()].map(ids => rankByRecord(ids, book, 'division')[0]);
+  const leaderIds = new Set(leaders.map(leader => leader.teamId));
+  const divisionReasons = new Map(leaders.map(leader => [leader.teamId, leader.reason]));
+  const order = [
+    ...rankByRecord([...leaderIds], book, 'wildCard'),
+    ...rankByRecord(book.conferenceIds.filter(id => !leaderIds.has(id)), book, 'wildCard'),
+  ];
+
+  return order.map((entry, index) => {
+    const row = book.getRow(entry.teamId);
+    // ESPN markers stay true whatever the picks, since picks only narrow
+    // the outcomes that are still possible.
+    const clincher = row?.clincher || computeClinchMarker(entry.teamId, book);
+    return {
+      position: index + 1,
+      seed: index < PLAYOFF_SEEDS ? index + 1 : null,
+      team: row.team,
+      division: row.division,
+      record: book.getRecord(entry.teamId),
+      divisionLeader: leaderIds.has(entry.teamId),
+      reason: leaderIds.has(entry.teamId) ? divisionReasons.get(entry.teamId) || entry.reason : entry.reason,
+      clincher,
+    };
+  });
+}
@@ -1,3 +1,5 @@
+import { PLAYOFF_SEEDS, buildPlayoffPicture } from './playoff-utils.mjs';
+
 (() => {
   'use strict';
 
@@ -5,24 +7,883 @@
     events: '/api/espn-events',
     standings: '/api/espn-standings',
     content: '/api/content',
+    game: '/api/espn-game',
+    live: '/api/espn-live',
+    teams: '/api/teams',
+    calendar: '/api/schedule.ics',
+    playoffs: '/api/espn-playoffs',
+    roster: '/api/espn-roster',
+    player: '/api/espn-player',
+    teamStats: '/api/espn-team-stats',
+    search: '/api/search',
+    news: '/api/espn-news',
+    push: '/api/push-subscriptions',
+    pickem: '/api/pickem',
+    pickemPlayers: '/api/pickem-players',
   };
 
+  // Bumped to 3 when ESPN sections switched to the normalized model, so cached
+  // raw ESPN payloads are dropped.
+  const CACHE_VERSION = 3;
+  // Must match MODEL_VERSION in api/espn-model.js.
+  const API_MODEL_VERSION = 1;
+  const CACHE_PREFIX = 'hub-cache:';
+  const LEGACY_CACHE_KEYS = ['articles-cache', 'podcasts-cache', 'commanders-events', 'commanders-standings'];
+
   const CACHE_KEYS = {
-    articles: 'articles-cache',
-    podcasts: 'podcasts-cache',
-    events: 'commanders-events',
-    standings: 'commanders-standings',
+    content: 'content',
+    article: 'article',
+    events: 'events',
+    standings: 'standings',
+    playoffs: 'playoffs',
+    roster: 'roster',
+    player: 'player',
+    teamStats: 'teamStats',
+    news: 'news',
+    game: 'game',
+    teams: 'teams',
+  };
+
+  // Per-item entries ('game:<id>', 'player:<id>') kept in localStorage; the
+  // oldest are dropped when a new one is written.
+  const CACHE_ITEM_LIMITS = {
+    [CACHE_KEYS.game]: 20,
+    [CACHE_KEYS.player]: 30,
+  };
+
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const HOUR = 60 * MINUTE;
+
+  // TTLs per cache key: { gameDay, default } in milliseconds.
+  const CACHE_TTLS = {
+    [CACHE_KEYS.events]: { gameDay: 2 * MINUTE, default: HOUR },
+    [CACHE_KEYS.standings]: { gameDay: 5 * MINUTE, default: 6 * HOUR },
+    [CACHE_KEYS.playoffs]: { gameDay: 5 * MINUTE, default: 6 * HOUR },
+    [CACHE_KEYS.content]: { gameDay: 24 * HOUR, default: 24 * HOUR },
+    [CACHE_KEYS.article]: { gameDay: 24 * HOUR, default: 24 * HOUR },
+    [CACHE_KEYS.game]: { gameDay: MINUTE, default: 10 * MINUTE },
+    [CACHE_KEYS.roster]: { gameDay: 6 * HOUR, default: 6 * HOUR },
+    [CACHE_KEYS.player]: { gameDay: 6 * HOUR, default: 6 * HOUR },
+    [CACHE_KEYS.teamStats]: { gameDay: HOUR, default: 6 * HOUR },
+    [CACHE_KEYS.news]: { gameDay: 10 * MINUTE, default: 30 * MINUTE },
+    [CACHE_KEYS.teams]: { gameDay: 24 * HOUR, default: 24 * HOUR },
+  };
+
+  // Live scoreboard polling: fast while the ball is in play, slow at halftime
+  // and before kickoff, and every 30 minutes at most when the next game is far
+  // off or there is none (bye weeks). It stops after the final whistle.
+  const LIVE_POLL_INTERVALS = {
+    play: 10 * SECOND,
+    halftime: MINUTE,
+    pregame: MINUTE,
+    idle: 30 * MINUTE,
+    error: MINUTE,
+  };
+  const SCORE_CHANGE_ANIMATION_MS = 2000;
+  // The header search waits for a pause in typing before calling /api/search.
+  const SEARCH_DEBOUNCE_MS = 200;
+  const SEARCH_MIN_LENGTH = 2;
+  // Timeline items per "load more" step, up to the MAX_PAGE_SIZE of
+  // /api/espn-news: asking for more would bring back the same items.
+  const ARTICLES_PAGE_SIZE = 10;
+  const ARTICLES_MAX_ITEMS = 100;
+
+  // Cache for episodes downloaded for offline listening; must match
+  // AUDIO_CACHE in sw.js, which serves them.
+  const AUDIO_CACHE = 'hub-audio';
+  // Notification categories accepted by api/push-subscriptions.js.
+  const PUSH_CATEGORIES = ['kickoff', 'touchdown', 'halftime', 'final'];
+  const PUSH_CATEGORIES_STORAGE_KEY = 'hub-push-categories';
+  const PICKEM_TOKEN_STORAGE_KEY = 'hub-pickem-token';
+  const PLAYER_STORAGE_KEY = 'hub-podcast-player';
+  const PLAYER_POSITIONS_KEY = 'hub-podcast-positions';
+  const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+  const SKIP_BACK_SECONDS = 15;
+  const SKIP_FORWARD_SECONDS = 30;
+  const POSITION_SAVE_INTERVAL = 5 * SECOND;
+  // Positions this close to the end count as finished and are not resumed.
+  const FINISHED_THRESHOLD_SECONDS = 10;
+
+  // ESPN season type IDs, matching the `seasontype` values api/espn-events accepts.
+  const SEASON_TYPES = { pre: 1, regular: 2, post: 3 };
+  const SCHEDULE_SEASONS_SHOWN = 10;
+
+  // Position filter of the roster: each option covers the ESPN position
+  // abbreviations listed.
+  const ROSTER_POSITIONS = {
+    QB: ['QB'],
+    RB: ['RB', 'FB'],
+    WR: ['WR'],
+    TE: ['TE'],
+    OL: ['OT', 'OG', 'G', 'C', 'T', 'OL'],
+    DL: ['DE', 'DT', 'NT', 'DL', 'EDGE'],
+    LB: ['LB', 'ILB', 'OLB', 'MLB'],
+    DB: ['CB', 'S', 'FS', 'SS', 'DB'],
+    ST: ['K', 'PK', 'P', 'LS'],
+  };
+
+  // Thursday, Saturday, Sunday and Monday, evaluated in US Eastern time.
+  const GAME_DAYS = ['Thu', 'Sat', 'Sun', 'Mon'];
+
+  const LOCALE_STORAGE_KEY = 'hub-locale';
+  const TIME_ZONE_STORAGE_KEY = 'hub-timezone';
+  const AUTO_TIME_ZONE = 'auto';
+  const DEFAULT_LOCALE = 'es';
+
+  // BCP 47 tags used for Intl formatting of each UI language.
+  const LOCALES = {
+    es: { intl: 'es-ES', label: 'Español' },
+    en: { intl: 'en-US', label: 'English' },
+  };
+
+  const TIME_ZONES = [
+    'America/New_York',
+    'America/Chicago',
+    'America/Denver',
+    'America/Los_Angeles',
+    'America/Mexico_City',
+    'America/Bogota',
+    'America/Lima',
+    'America/Santiago',
+    'America/Argentina/Buenos_Aires',
+    'Europe/London',
+    'Europe/Madrid',
+    'UTC',
+  ];
+
+  // Message catalogues. `{name}` placeholders are filled by t(); `{team}` and
+  // `{teamName}` are always available for the selected team.
+  const MESSAGES = {
+    es: {
+      'nav.label': 'Navegación principal',
+      'nav.events': 'Partidos',
+      'nav.events.aria': 'Ir a partidos de los {teamName}',
+      'nav.standings': 'Clasificaciones',
+      'nav.standings.aria': 'Ir a clasificaciones de los {teamName}',
+      'nav.playoffs': 'Playoffs',
+      'nav.playoffs.aria': 'Ir a la carrera por los playoffs de los {teamName}',
+      'nav.roster': 'Plantilla',
+      'nav.roster.aria': 'Ir a la plantilla de los {teamName}',
+      'nav.articles': 'Artículos',
+      'nav.articles.aria': 'Ir a artículos sobre los Washington Commanders',
+      'nav.podcasts': 'Podcasts',
+      'nav.podcasts.aria': 'Ir a podcasts sobre los Washington Commanders',
+      'header.logoAlt': 'Logo de {teamName}',
+      'settings.team': 'Equipo',
+      'settings.team.aria': 'Elegir equipo a seguir',
+      'settings.language': 'Idioma',
+      'settings.timeZone': 'Zona horaria',
+      'settings.timeZone.auto': 'Automática ({zone})',
+      'sections.events.title': 'Partidos de los {team}',
+      'sections.standings.title': 'Clasificaciones de los {team}',
+      'sections.playoffs.title': 'Carrera por los playoffs',
+      'sections.roster.title': 'Plantilla de los {team}',
+      'sections.player.title': 'Perfil del jugador',
+      'sections.player.back': '← Volver a la plantilla',
+      'sections.articles.title': 'Artículos sobre los Commanders',
+      'sections.podcasts.title': 'Podcasts sobre los Commanders',
+      'sections.game.title': 'Detalle del partido',
+      'sections.game.back': '← Volver a partidos',
+      'sections.article.back': '← Volver a artículos',
+      'section.loading': 'Cargando...',
+      'section.loading.aria': 'Cargando datos',
+      'section.error': 'Error al cargar los datos. Inténtalo de nuevo más tarde.',
+      'section.refresh': 'Actualizar',
+      'section.updated': 'Actualizado {ago}',
+      'section.updated.stale': 'Actualizado {ago} · sin conexión con el servidor',
+      'section.empty': 'No hay datos disponibles.',
+      'section.offline': 'Disponible sin conexión',
+      'errors.HttpError': 'No se pudieron cargar los datos: el servidor respondió con el estado {status}.',
+      'errors.JsonParseError': 'El servidor devolvió los datos en un formato inesperado.',
+      'errors.unexpected': 'Ha ocurrido un error inesperado. Inténtalo de nuevo.',
+      'articles.loading.aria': 'Cargando artículos',
+      'articles.error': 'Error al cargar los artículos. Inténtalo de nuevo más tarde.',
+      'articles.untitled': 'Artículo sin título',
+      'articles.noSummary': 'No hay resumen disponible.',
+      'articles.readMore': 'Leer más',
+      'articles.empty': 'No hay artículos disponibles en este momento.',
+      'articles.byline': 'Por {author}',
+      'articles.tags': 'Filtrar por etiqueta',
+      'articles.players': 'Jugadores en este artículo',
+      'articles.player.fallback': 'Jugador {id}',
+      'articles.allTags': 'Todas',
+      'articles.loadMore': 'Cargar más',
+      'news.source.hub': 'Commanders Hub',
+      'news.source.espn': 'ESPN',
+      'news.pinned': 'Destacado',
+      'news.premium': 'ESPN+',
+      'news.readOnEspn': 'Leer en ESPN',
+      'news.unavailable': 'Las noticias de ESPN no están disponibles ahora mismo; se muestran solo nuestros artículos.',
+      'article.loading.aria': 'Cargando artículo',
+      'article.error': 'Error al cargar el artículo. Inténtalo de nuevo más tarde.',
+      'article.empty': 'Este artículo no está disponible.',
+      'podcasts.loading.aria': 'Cargando podcasts',
+      'podcasts.error': 'Error al cargar los podcasts. Inténtalo de nuevo más tarde.',
+      'podcasts.untitled': 'Podcast sin título',
+      'podcasts.play': 'Reproducir {title}',
+      'podcasts.listen': 'Escuchar',
+      'podcasts.resume': 'Reanudar ({time})',
+      'podcasts.enqueue': 'Añadir a la cola',
+      'podcasts.queued': 'En la cola',
+      'podcasts.download': 'Descargar',
+      'podcasts.downloading': 'Descargando...',
+      'podcasts.downloaded': 'Descargado',
+      'podcasts.download.aria': 'Descargar {title} para escucharlo sin conexión',
+      'podcasts.downloaded.aria': 'Quitar la descarga de {title}',
+      'podcasts.chapters': 'Capítulos',
+      'podcasts.duration': '{minutes} min',
+      'player.label': 'Reproductor de podcast',
+      'player.play': 'Reproducir',
+      'player.pause': 'Pausar',
+      'player.back': 'Retroceder 15 segundos',
+      'player.forward': 'Avanzar 30 segundos',
+      'player.seek': 'Posición de reproducción',
+      'player.rate': 'Velocidad de reproducción',
+      'player.chapters': 'Capítulos',
+      'player.next': 'Siguiente episodio de la cola',
+      'player.close': 'Cerrar reproductor',
+      'player.queue': 'Cola ({count})',
+      'player.queueEmpty': 'No hay episodios en la cola.',
+      'player.remove': 'Quitar de la cola',
+      'podcasts.empty': 'No hay podcasts disponibles en este momento.',
+      'events.dateUnavailable': 'Fecha no disponible',
+      'events.unknownTeam': 'Equipo desconocido',
+      'events.date': 'Fecha',
+      'events.status': 'Estado',
+      'events.pending': 'Pendiente',
+      'events.viewGame': 'Ver partido',
+      'events.subscribe': '📅 Suscribirse al calendario',
+      'events.subscribe.aria': 'Suscribirse al calendario de partidos de los {team}',
+      'events.downloadCalendar': 'Descargar .ics',
+      'events.addToCalendar': 'Añadir al calendario',
+      'events.season': 'Temporada',
+      'events.seasonType': 'Fase',
+      'events.seasonType.pre': 'Pretemporada',
+      'events.seasonType.regular': 'Temporada regular',
+      'events.seasonType.post': 'Playoffs',
+      'events.week': 'Semana {number}',
+      'events.preWeek': 'Pretemporada · Semana {number}',
+      'events.postWeek.1': 'Ronda de comodines',
+      'events.postWeek.2': 'Ronda divisional',
+      'events.postWeek.3': 'Final de conferencia',
+      'events.postWeek.4': 'Pro Bowl',
+      'events.postWeek.5': 'Super Bowl',
+      'events.bye': 'Descanso',
+      'events.record': 'Balance {record}',
+      'events.pointsFor': '{points} puntos a favor',
+      'events.pointsAgainst': '{points} en contra',
+      'events.logoAlt': 'Logo de {name}',
+      'events.empty': 'No hay partidos disponibles para los {team} en este momento.',
+      'game.loading.aria': 'Cargando partido',
+      'game.error': 'Error al cargar el partido. Inténtalo de nuevo más tarde.',
+      'game.lineScore': 'Marcador por cuartos',
+      'game.team': 'Equipo',
+      'game.total': 'T',
+      'game.quarter': '{number}C',
+      'game.overtime': 'PR',
+      'game.scoringPlays': 'Jugadas de anotación',
+      'game.teamStats': 'Estadísticas de equipo',
+      'game.leaders': 'Líderes del partido',
+      'game.drives': 'Drives',
+      'game.empty': 'No hay datos disponibles para este partido.',
+      'share.button': 'Compartir',
+      'share.copied': 'Enlace copiado',
+      'share.failed': 'No se pudo copiar el enlace',
+      'preview.title': 'Próximo partido',
+      'preview.countdown': 'Empieza en {time}',
+      'preview.countdown.days': '{days} d {hours} h',
+      'preview.countdown.hours': '{hours} h {minutes} min',
+      'preview.countdown.minutes': '{minutes} min',
+      'preview.soon': 'A punto de empezar',
+      'preview.tbd': 'Hora por confirmar',
+      'preview.compare': 'Comparativa de la temporada',
+      'preview.offense': 'Ataque',
+      'preview.defense': 'Defensa',
+      'preview.stat.record': 'Balance',
+      'preview.stat.streak': 'Racha',
+      'preview.stat.pointsPerGame': 'Puntos por partido',
+      'preview.stat.yardsPerGame': 'Yardas por partido',
+      'preview.stat.passingYardsPerGame': 'Yardas de pase por partido',
+      'preview.stat.rushingYardsPerGame': 'Yardas de carrera por partido',
+      'preview.stat.thirdDownPct': 'Conversión en 3.er down',
+      'preview.stat.giveaways': 'Pérdidas de balón',
+      'preview.stat.pointsAllowedPerGame': 'Puntos permitidos por partido',
+      'preview.stat.yardsAllowedPerGame': 'Yardas permitidas por partido',
+      'preview.stat.opponentThirdDownPct': '3.er down permitido',
+      'preview.stat.sacks': 'Sacks',
+      'preview.stat.takeaways': 'Balones recuperados',
+      'preview.series': 'Historial entre ambos',
+      'preview.series.allTime': 'Desde {since}: {summary} para los {team}',
+      'preview.series.none': 'No se han enfrentado desde {since}.',
+      'preview.series.incomplete': 'Faltan algunas temporadas, el balance puede estar incompleto.',
+      'preview.series.recent': 'Últimos enfrentamientos',
+      'preview.series.home': 'vs {opponent}',
+      'preview.series.away': '@ {opponent}',
+      'preview.result.W': 'V',
+      'preview.result.L': 'D',
+      'preview.result.T': 'E',
+      'preview.empty': 'No hay datos disponibles para la previa del partido.',
+      'live.badge': 'En vivo',
+      'live.final': 'Final',
+      'live.halftime': 'Descanso',
+      'live.possession': 'Posesión',
+      'live.lastPlay': 'Última jugada:',
+      'live.viewGame': 'Ver detalle del partido',
+      'standings.viewLabel': 'Vista de clasificación',
+      'standings.fullConference': '{conference} completa',
+      'standings.summary': '{team}: {wins}V - {losses}D - {ties}E · {position}.º {division}',
+      'standings.summarySeed': 'Semilla {seed}',
+      'standings.empty': 'No hay datos de clasificación disponibles en este momento.',
+      'standings.columns.seed': '#',
+      'standings.columns.seed.title': 'Semilla de playoffs',
+      'standings.columns.team': 'Equipo',
+      'standings.columns.team.title': 'Equipo',
+      'standings.columns.wins': 'V',
+      'standings.columns.wins.title': 'Victorias',
+      'standings.columns.losses': 'D',
+      'standings.columns.losses.title': 'Derrotas',
+      'standings.columns.ties': 'E',
+      'standings.columns.ties.title': 'Empates',
+      'standings.columns.winPercent': '%',
+      'standings.columns.winPercent.title': 'Porcentaje de victorias',
+      'standings.columns.pointsFor': 'PF',
+      'standings.columns.pointsFor.title': 'Puntos a favor',
+      'standings.columns.pointsAgainst': 'PC',
+      'standings.columns.pointsAgainst.title': 'Puntos en contra',
+      'standings.columns.differential': 'DIF',
+      'standings.columns.differential.title': 'Diferencia de puntos',
+      'standings.columns.streak': 'Racha',
+      'standings.columns.streak.title': 'Racha',
+      'standings.columns.divisionRecord': 'Div.',
+      'standings.columns.divisionRecord.title': 'Récord en la división',
+      'standings.columns.conferenceRecord': 'Conf.',
+      'standings.columns.conferenceRecord.title': 'Récord en la conferencia',
+      'playoffs.empty': 'No hay datos de playoffs disponibles en este momento.',
+      'playoffs.caption': 'Semillas de la {conference}',
+      'playoffs.columns.seed': '#',
+      'playoffs.columns.team': 'Equipo',
+      'playoffs.columns.record': 'Balance',
+      'playoffs.columns.note': 'Notas',
+      'playoffs.context.today': 'Si la temporada terminara hoy',
+      'playoffs.context.picks': 'Con tus pronósticos',
+      'playoffs.summary.in': '{context}, los {team} serían la semilla {seed} de la {conference}.',
+      'playoffs.summary.out': '{context}, los {team} se quedarían fuera de los playoffs ({position}.º de la {conference}).',
+      'playoffs.incomplete': 'Faltan los calendarios de {count} equipos, así que la proyección puede no ser exacta.',
+      'playoffs.note.leader': 'Líder de la {division}',
+      'playoffs.note.tiebreak': 'Desempate: {reason}',
+      'playoffs.reason.headToHead': 'enfrentamiento directo',
+      'playoffs.reason.division': 'récord en la división',
+      'playoffs.reason.common': 'partidos comunes',
+      'playoffs.reason.conference': 'récord en la conferencia',
+      'playoffs.reason.victory': 'fortaleza de las victorias',
+      'playoffs.reason.coinToss': 'sorteo',
+      'playoffs.marker.*': 'Ventaja de campo en todos los playoffs',
+      'playoffs.marker.z': 'Ronda de descanso asegurada',
+      'playoffs.marker.y': 'Campeón de división',
+      'playoffs.marker.x': 'Clasificado para los playoffs',
+      'playoffs.marker.e': 'Eliminado',
+      'playoffs.simulator.title': '¿Y si...? Elige los ganadores',
+      'playoffs.simulator.hint': 'Pulsa un equipo para darle la victoria en un partido pendiente; vuelve a pulsarlo para quitar el pronóstico.',
+      'playoffs.pick.tie': 'Empate',
+      'playoffs.pick.aria': '{away} en {home}',
+      'playoffs.reset': 'Borrar pronósticos ({count})',
+      'playoffs.unscheduled': 'Sin fecha',
+      'playoffs.noGamesLeft': 'No quedan partidos de temporada regular por jugar.',
+      'push.title': '🔔 Avisos de partido',
+      'push.title.on': '🔔 Avisos de partido activados',
+      'push.hint': 'Recibe notificaciones en este dispositivo cuando jueguen los {team}.',
+      'push.categories': 'Avisar de',
+      'push.category.kickoff': 'Inicio (una hora antes)',
+      'push.category.touchdown': 'Touchdowns',
+      'push.category.halftime': 'Descanso',
+      'push.category.final': 'Resultado final',
+      'push.enable': 'Activar avisos',
+      'push.disable': 'Desactivar avisos',
+      'push.error.denied': 'El navegador ha bloqueado las notificaciones. Permítelas en los ajustes del sitio para activar los avisos.',
+      'push.error.save': 'No se pudieron guardar los avisos. Inténtalo de nuevo más tarde.',
+      'pickem.title': '🏈 Porra: predice el marcador',
+      'pickem.hint': 'Predice el resultado de cada partido de los {team} hasta el inicio. Marcador exacto: {exact} puntos; ganador acertado: {winner}, y {margin} más si aciertas la diferencia.',
+      'pickem.nickname': 'Apodo',
+      'pickem.join': 'Participar',
+      'pickem.token': 'Token',
+      'pickem.useToken': 'Usar un token',
+      'pickem.identity': 'Juegas como {nickname}.',
+      'pickem.tokenHint': 'Tu token (guárdalo para jugar desde otro dispositivo): {token}',
+      'pickem.signOut': 'Salir',
+      'pickem.upcoming': 'Próximos partidos',
+      'pickem.noUpcoming': 'No hay partidos abiertos para predecir.',
+      'pickem.closes': 'Se cierra al inicio: {date}',
+      'pickem.count': '{count} predicciones',
+      'pickem.score.aria': 'Puntos de los {team}',
+      'pickem.save': 'Guardar',
+      'pickem.saved': 'Predicción guardada',
+      'pickem.results': 'Tus resultados',
+      'pickem.result': 'Final {score} · tu predicción {prediction}',
+      'pickem.points': '{points} pts',
+      'pickem.leaderboard': 'Clasificación de la temporada {season}',
+      'pickem.leaderboard.empty': 'Todavía no hay predicciones puntuadas.',
+      'pickem.col.rank': '#',
+      'pickem.col.player': 'Jugador',
+      'pickem.col.points': 'Pts',
+      'pickem.col.exact': 'Exactos',
+      'pickem.col.winners': 'Ganadores',
+      'pickem.error.nickname_taken': 'Ese apodo ya está en uso.',
+      'pickem.error.invalid_nickname': 'El apodo debe tener de 3 a 20 letras, números, espacios, puntos o guiones.',
+      'pickem.error.unauthorized': 'Ese token no es válido.',
+      'pickem.error.prediction_locked': 'El partido ya ha empezado; las predicciones están cerradas.',
+      'pickem.error.save': 'No se pudo guardar. Inténtalo de nuevo más tarde.',
+      'pickem.error.load': 'No se pudo cargar la porra. Inténtalo de nuevo más tarde.',
+      'search.label': 'Buscar en la web',
+      'search.placeholder': 'Buscar artículos, partidos, jugadores…',
+      'search.results': 'Resultados de búsqueda',
+      'search.group.articles': 'Artículos',
+      'search.group.podcasts': 'Podcasts',
+      'search.group.games': 'Partidos',
+      'search.group.players': 'Jugadores',
+      'search.loading': 'Buscando…',
+      'search.noResults': 'Sin resultados para «{query}».',
+      'search.error': 'No se pudo completar la búsqueda. Inténtalo de nuevo más tarde.',
+      'search.unavailable': 'Algunos resultados no están disponibles ahora mismo.',
+      'search.week': 'Semana {number}',
+      'roster.search': 'Buscar jugador',
+      'roster.search.placeholder': 'Nombre o dorsal',
+      'roster.position': 'Posición',
+      'roster.position.all': 'Todas',
+      'roster.position.QB': 'Quarterbacks',
+      'roster.position.RB': 'Running backs',
+      'roster.position.WR': 'Receptores',
+      'roster.position.TE': 'Tight ends',
+      'roster.position.OL': 'Línea ofensiva',
+      'roster.position.DL': 'Línea defensiva',
+      'roster.position.LB': 'Linebackers',
+      'roster.position.DB': 'Secundaria',
+      'roster.position.ST': 'Especialistas',
+      'roster.unit.offense': 'Ataque',
+      'roster.unit.defense': 'Defensa',
+      'roster.unit.specialTeams': 'Equipos especiales',
+      'roster.columns.jersey': '#',
+      'roster.columns.name': 'Jugador',
+      'roster.columns.position': 'Pos.',
+      'roster.columns.age': 'Edad',
+      'roster.columns.height': 'Altura',
+      'roster.columns.weight': 'Peso',
+      'roster.columns.experience': 'Exp.',
+      'roster.columns.college': 'Universidad',
+      'roster.rookie': 'Novato',
+      'roster.coach': 'Entrenador principal: {name}',
+      'roster.noMatches': 'Ningún jugador coincide con la búsqueda.',
+      'roster.empty': 'No hay datos de plantilla disponibles en este momento.',
+      'player.loading.aria': 'Cargando jugador',
+      'player.error': 'Error al cargar el jugador. Inténtalo de nuevo más tarde.',
+      'player.empty': 'No hay datos disponibles para este jugador.',
+      'player.bio.age': 'Edad',
+      'player.bio.born': 'Fecha de nacimiento',
+      'player.bio.birthPlace': 'Lugar de nacimiento',
+      'player.bio.height': 'Altura',
+      'player.bio.weight': 'Peso',
+      'player.bio.college': 'Universidad',
+      'player.bio.draft': 'Draft',
+      'player.bio.experience': 'Experiencia',
+      'player.bio.status': 'Estado',
+      'player.stats': 'Estadísticas',
+      'player.noStats': 'Este jugador no tiene estadísticas registradas.',
+      'player.season': 'Temporada',
+      'player.career': 'Carrera',
+      'player.articles': 'Artículos sobre {name}',
+      'footer.rights': '© 2025 Washington Commanders Hub. Todos los derechos reservados.',
+      'footer.twitter.aria': 'Twitter de los Washington Commanders',
+      'footer.facebook.aria': 'Facebook de los Washington Commanders',
+      'footer.instagram.aria': 'Instagram de los Washington Commanders',
+    },
+    en: {
+      'nav.label': 'Main navigation',
+      'nav.events': 'Games',
+      'nav.events.aria': 'Go to {teamName} games',
+      'nav.standings': 'Standings',
+      'nav.standings.aria': 'Go to {teamName} standings',
+      'nav.playoffs': 'Playoffs',
+      'nav.playoffs.aria': 'Go to the {teamName} playoff picture',
+      'nav.roster': 'Roster',
+      'nav.roster.aria': 'Go to the {teamName} roster',
+      'nav.articles': 'Articles',
+      'nav.articles.aria': 'Go to articles about the Washington Commanders',
+      'nav.podcasts': 'Podcasts',
+      'nav.podcasts.aria': 'Go to podcasts about the Washington Commanders',
+      'header.logoAlt': '{teamName} logo',
+      'settings.team': 'Team',
+      'settings.team.aria': 'Choose the team to follow',
+      'settings.language': 'Language',
+      'settings.timeZone': 'Time zone',
+      'settings.timeZone.auto': 'Automatic ({zone})',
+      'sections.events.title': '{team} games',
+      'sections.standings.title': '{team} standings',
+      'sections.playoffs.title': 'Playoff picture',
+      'sections.roster.title': '{team} roster',
+      'sections.player.title': 'Player profile',
+      'sections.player.back': '← Back to the roster',
+      'sections.articles.title': 'Articles about the Commanders',
+      'sections.podcasts.title': 'Podcasts about the Commanders',
+      'sections.game.title': 'Game details',
+      'sections.game.back': '← Back to games',
+      'sections.article.back': '← Back to articles',
+      'section.loading': 'Loading...',
+      'section.loading.aria': 'Loading data',
+      'section.error': 'Error loading data. Please try again later.',
+      'section.refresh': 'Refresh',
+      'section.updated': 'Updated {ago}',
+      'section.updated.stale': 'Updated {ago} · server unreachable',
+      'section.empty': 'No data available.',
+      'section.offline': 'Available offline',
+      'errors.HttpError': 'Failed to load data: the server responded with status {status}.',
+      'errors.JsonParseError': 'The server provided data in an unexpected format.',
+      'errors.unexpected': 'An unexpected error occurred. Please try again.',
+      'articles.loading.aria': 'Loading articles',
+      'articles.error': 'Error loading articles. Please try again later.',
+      'articles.untitled': 'Untitled Article',
+      'articles.noSummary': 'No summary available.',
+      'articles.readMore': 'Read more',
+      'articles.empty': 'No articles available right now.',
+      'articles.byline': 'By {author}',
+      'articles.tags': 'Filter by tag',
+      'articles.players': 'Players in this article',
+      'articles.player.fallback': 'Player {id}',
+      'articles.allTags': 'All',
+      'articles.loadMore': 'Load more',
+      'news.source.hub': 'Commanders Hub',
+      'news.source.espn': 'ESPN',
+      'news.pinned': 'Pinned',
+      'news.premium': 'ESPN+',
+      'news.readOnEspn': 'Read on ESPN',
+      'news.unavailable': 'ESPN news is not available right now; only our articles are shown.',
+      'article.loading.aria': 'Loading article',
+      'article.error': 'Error loading the article. Please try again later.',
+      'article.empty': 'This article is not available.',
+      'podcasts.loading.aria': 'Loading podcasts',
+      'podcasts.error': 'Error loading podcasts. Please try again later.',
+      'podcasts.untitled': 'Untitled Podcast',
+      'podcasts.play': 'Play {title}',
+      'podcasts.listen': 'Listen',
+      'podcasts.resume': 'Resume ({time})',
+      'podcasts.enqueue': 'Add to queue',
+      'podcasts.queued': 'Queued',
+      'podcasts.download': 'Download',
+      'podcasts.downloading': 'Downloading...',
+      'podcasts.downloaded': 'Downloaded',
+      'podcasts.download.aria': 'Download {title} to listen offline',
+      'podcasts.downloaded.aria': 'Remove the download of {title}',
+      'podcasts.chapters': 'Chapters',
+      'podcasts.duration': '{minutes} min',
+      'player.label': 'Podcast player',
+      'player.play': 'Play',
+      'player.pause': 'Pause',
+      'player.back': 'Back 15 seconds',
+      'player.forward': 'Forward 30 seconds',
+      'player.seek': 'Playback position',
+      'player.rate': 'Playback speed',
+      'player.chapters': 'Chapters',
+      'player.next': 'Next episode in queue',
+      'player.close': 'Close player',
+      'player.queue': 'Queue ({count})',
+      'player.queueEmpty': 'The queue is empty.',
+      'player.remove': 'Remove from queue',
+      'podcasts.empty': 'No podcasts available right now.',
+      'events.dateUnavailable': 'Date N/A',
+      'events.unknownTeam': 'Unknown Team',
+      'events.date': 'Date',
+      'events.status': 'Status',
+      'events.pending': 'Pending',
+      'events.viewGame': 'View game',
+      'events.subscribe': '📅 Subscribe to calendar',
+      'events.subscribe.aria': 'Subscribe to the {team} game calendar',
+      'events.downloadCalendar': 'Download .ics',
+      'events.addToCalendar': 'Add to calendar',
+      'events.season': 'Season',
+      'events.seasonType': 'Phase',
+      'events.seasonType.pre': 'Preseason',
+      'events.seasonType.regular': 'Regular season',
+      'events.seasonType.post': 'Playoffs',
+      'events.week': 'Week {number}',
+      'events.preWeek': 'Preseason · Week {number}',
+      'events.postWeek.1': 'Wild Card round',
+      'events.postWeek.2': 'Divisional round',
+      'events.postWeek.3': 'Conference championship',
+      'events.postWeek.4': 'Pro Bowl',
+      'events.postWeek.5': 'Super Bowl',
+      'events.bye': 'Bye week',
+      'events.record': 'Record {record}',
+      'events.pointsFor': '{points} points for',
+      'events.pointsAgainst': '{points} against',
+      'events.logoAlt': '{name} logo',
+      'events.empty': 'No {team} games available right now.',
+      'game.loading.aria': 'Loading game',
+      'game.error': 'Error loading the game. Please try again later.',
+      'game.lineScore': 'Line score',
+      'game.team': 'Team',
+      'game.total': 'T',
+      'game.quarter': 'Q{number}',
+      'game.overtime': 'OT',
+      'game.scoringPlays': 'Scoring plays',
+      'game.teamStats': 'Team stats',
+      'game.leaders': 'Game leaders',
+      'game.drives': 'Drives',
+      'game.empty': 'No data available for this game.',
+      'share.button': 'Share',
+      'share.copied': 'Link copied',
+      'share.failed': 'Could not copy the link',
+      'preview.title': 'Next game',
+      'preview.countdown': 'Kickoff in {time}',
+      'preview.countdown.days': '{days}d {hours}h',
+      'preview.countdown.hours': '{hours}h {minutes}m',
+      'preview.countdown.minutes': '{minutes} min',
+      'preview.soon': 'About to start',
+      'preview.tbd': 'Time TBD',
+      'preview.compare': 'Season comparison',
+      'preview.offense': 'Offense',
+      'preview.defense': 'Defense',
+      'preview.stat.record': 'Record',
+      'preview.stat.streak': 'Streak',
+      'preview.stat.pointsPerGame': 'Points per game',
+      'preview.stat.yardsPerGame': 'Yards per game',
+      'preview.stat.passingYardsPerGame': 'Passing yards per game',
+      'preview.stat.rushingYardsPerGame': 'Rushing yards per game',
+      'preview.stat.thirdDownPct': 'Third-down conversion',
+      'preview.stat.giveaways': 'Giveaways',
+      'preview.stat.pointsAllowedPerGame': 'Points allowed per game',
+      'preview.stat.yardsAllowedPerGame': 'Yards allowed per game',
+      'preview.stat.opponentThirdDownPct': 'Opponent third-down conversion',
+      'preview.stat.sacks': 'Sacks',
+      'preview.stat.takeaways': 'Takeaways',
+      'preview.series': 'Head-to-head',
+      'preview.series.allTime': 'Since {since}: {summary} for the {team}',
+      'preview.series.none': 'They have not met since {since}.',
+      'preview.series.incomplete': 'Some seasons are missing, so the series may be incomplete.',
+      'preview.series.recent': 'Recent meetings',
+      'preview.series.home': 'vs {opponent}',
+      'preview.series.away': '@ {opponent}',
+      'preview.result.W': 'W',
+      'preview.result.L': 'L',
+      'preview.result.T': 'T',
+      'preview.empty': 'No preview data is available for this game.',
+      'live.badge': 'Live',
+      'live.final': 'Final',
+      'live.halftime': 'Halftime',
+      'live.possession': 'Possession',
+      'live.lastPlay': 'Last play:',
+      'live.viewGame': 'View game details',
+      'standings.viewLabel': 'Standings view',
+      'standings.fullConference': 'Full {conference}',
+      'standings.summary': '{team}: {wins}-{losses}-{ties} · #{position} in the {division}',
+      'standings.summarySeed': 'Seed {seed}',
+      'standings.empty': 'No standings data available right now.',
+      'standings.columns.seed': '#',
+      'standings.columns.seed.title': 'Playoff seed',
+      'standings.columns.team': 'Team',
+      'standings.columns.team.title': 'Team',
+      'standings.columns.wins': 'W',
+      'standings.columns.wins.title': 'Wins',
+      'standings.columns.losses': 'L',
+      'standings.columns.losses.title': 'Losses',
+      'standings.columns.ties': 'T',
+      'standings.columns.ties.title': 'Ties',
+      'standings.columns.winPercent': 'PCT',
+      'standings.columns.winPercent.title': 'Win percentage',
+      'standings.columns.pointsFor': 'PF',
+      'standings.columns.pointsFor.title': 'Points for',
+      'standings.columns.pointsAgainst': 'PA',
+      'standings.columns.pointsAgainst.title': 'Points against',
+      'standings.columns.differential': 'DIFF',
+      'standings.columns.differential.title': 'Point differential',
+      'standings.columns.streak': 'STRK',
+      'standings.columns.streak.title': 'Streak',
+      'standings.columns.divisionRecord': 'DIV',
+      'standings.columns.divisionRecord.title': 'Division record',
+      'standings.columns.conferenceRecord': 'CONF',
+      'standings.columns.conferenceRecord.title': 'Conference record',
+      'playoffs.empty': 'No playoff data available right now.',
+      'playoffs.caption': '{conference} seeds',
+      'playoffs.columns.seed': '#',
+      'playoffs.columns.team': 'Team',
+      'playoffs.columns.record': 'Record',
+      'playoffs.columns.note': 'Notes',
+      'playoffs.context.today': 'If the season ended today',
+      'playoffs.context.picks': 'With your picks',
+      'playoffs.summary.in': '{context}, the {team} would be the No. {seed} seed in the {conference}.',
+      'playoffs.summary.out': '{context}, the {team} would miss the playoffs (No. {position} in the {conference}).',
+      'playoffs.incomplete': 'Schedules for {count} teams are missing, so the projection may be off.',
+      'playoffs.note.leader': '{division} leader',
+      'playoffs.note.tiebreak': 'Tiebreaker: {reason}',
+      'playoffs.reason.headToHead': 'head-to-head',
+      'playoffs.reason.division': 'division record',
+      'playoffs.reason.common': 'common games',
+      'playoffs.reason.conference': 'conference record',
+      'playoffs.reason.victory': 'strength of victory',
+      'playoffs.reason.coinToss': 'coin toss',
+      'playoffs.marker.*': 'Clinched home-field advantage',
+      'playoffs.marker.z': 'Clinched first-round bye',
+      'playoffs.marker.y': 'Clinched division',
+      'playoffs.marker.x': 'Clinched playoff berth',
+      'playoffs.marker.e': 'Eliminated',
+      'playoffs.simulator.title': 'What if? Pick the winners',
+      'playoffs.simulator.hint': 'Tap a team to give it the win in an unplayed game; tap it again to clear the pick.',
+      'playoffs.pick.tie': 'Tie',
+      'playoffs.pick.aria': '{away} at {home}',
+      'playoffs.reset': 'Clear picks ({count})',
+      'playoffs.unscheduled': 'Unscheduled',
+      'playoffs.noGamesLeft': 'There are no regular-season games left to play.',
+      'push.title': '🔔 Game alerts',
+      'push.title.on': '🔔 Game alerts on',
+      'push.hint': 'Get notifications on this device when the {team} play.',
+      'push.categories': 'Notify me about',
+      'push.category.kickoff': 'Kickoff (one hour before)',
+      'push.category.touchdown': 'Touchdowns',
+      'push.category.halftime': 'Halftime',
+      'push.category.final': 'Final score',
+      'push.enable': 'Turn on alerts',
+      'push.disable': 'Turn off alerts',
+      'push.error.denied': 'Your browser has blocked notifications. Allow them in the site settings to turn on alerts.',
+      'push.error.save': 'Your alerts could not be saved. Please try again later.',
+      'pickem.title': '🏈 Pick\'em: predict the score',
+      'pickem.hint': 'Predict the score of every {team} game until kickoff. Exact score: {exact} points; right winner: {winner}, plus {margin} more for the right margin.',
+      'pickem.nickname': 'Nickname',
+      'pickem.join': 'Join',
+      'pickem.token': 'Token',
+      'pickem.useToken': 'Use a token',
+      'pickem.identity': 'Playing as {nickname}.',
+      'pickem.tokenHint': 'Your token (keep it to play from another device): {token}',
+      'pickem.signOut': 'Sign out',
+      'pickem.upcoming': 'Upcoming games',
+      'pickem.noUpcoming': 'No games are open for predictions.',
+      'pickem.closes': 'Closes at kickoff: {date}',
+      'pickem.count': '{count} predictions',
+      'pickem.score.aria': '{team} points',
+      'pickem.save': 'Save',
+      'pickem.saved': 'Prediction saved',
+      'pickem.results': 'Your results',
+      'pickem.result': 'Final {score} · your pick {prediction}',
+      'pickem.points': '{points} pts',
+      'pickem.leaderboard': '{season} season leaderboard',
+      'pickem.leaderboard.empty': 'No predictions have been scored yet.',
+      'pickem.col.rank': '#',
+      'pickem.col.player': 'Player',
+      'pickem.col.points': 'Pts',
+      'pickem.col.exact': 'Exact',
+      'pickem.col.winners': 'Winners',
+      'pickem.error.nickname_taken': 'That nickname is already taken.',
+      'pickem.error.invalid_nickname': 'Nicknames are 3 to 20 letters, digits, spaces, dots or dashes.',
+      'pickem.error.unauthorized': 'That token is not valid.',
+      'pickem.error.prediction_locked': 'The game has started; predictions are closed.',
+      'pickem.error.save': 'Could not save. Please try again later.',
+      'pickem.error.load': 'Could not load the pick\'em. Please try again later.',
+      'search.label': 'Search the site',
+      'search.placeholder': 'Search articles, games, players…',
+      'search.results': 'Search results',
+      'search.group.articles': 'Articles',
+      'search.group.podcasts': 'Podcasts',
+      'search.group.games': 'Games',
+      'search.group.players': 'Players',
+      'search.loading': 'Searching…',
+      'search.noResults': 'No results for “{query}”.',
+      'search.error': 'The search could not be completed. Please try again later.',
+      'search.unavailable': 'Some results are unavailable right now.',
+      'search.week': 'Week {number}',
+      'roster.search': 'Find a player',
+      'roster.search.placeholder': 'Name or number',
+      'roster.position': 'Position',
+      'roster.position.all': 'All',
+      'roster.position.QB': 'Quarterbacks',
+      'roster.position.RB': 'Running backs',
+      'roster.position.WR': 'Wide receivers',
+      'roster.position.TE': 'Tight ends',
+      'roster.position.OL': 'Offensive line',
+      'roster.position.DL': 'Defensive line',
+      'roster.position.LB': 'Linebackers',
+      'roster.position.DB': 'Secondary',
+      'roster.position.ST': 'Specialists',
+      'roster.unit.offense': 'Offense',
+      'roster.unit.defense': 'Defense',
+      'roster.unit.specialTeams': 'Special teams',
+      'roster.columns.jersey': '#',
+      'roster.columns.name': 'Player',
+      'roster.columns.position': 'Pos.',
+      'roster.columns.age': 'Age',
+      'roster.columns.height': 'Height',
+      'roster.columns.weight': 'Weight',
+      'roster.columns.experience': 'Exp.',
+      'roster.columns.college': 'College',
+      'roster.rookie': 'Rookie',
+      'roster.coach': 'Head coach: {name}',
+      'roster.noMatches': 'No players match your search.',
+      'roster.empty': 'No roster data available right now.',
+      'player.loading.aria': 'Loading player',
+      'player.error': 'Error loading the player. Please try again later.',
+      'player.empty': 'No data available for this player.',
+      'player.bio.age': 'Age',
+      'player.bio.born': 'Born',
+      'player.bio.birthPlace': 'Birthplace',
+      'player.bio.height': 'Height',
+      'player.bio.weight': 'Weight',
+      'player.bio.college': 'College',
+      'player.bio.draft': 'Draft',
+      'player.bio.experience': 'Experience',
+      'player.bio.status': 'Status',
+      'player.stats': 'Stats',
+      'player.noStats': 'This player has no recorded stats.',
+      'player.season': 'Season',
+      'player.career': 'Career',
+      'player.articles': 'Articles about {name}',
+      'footer.rights': '© 2025 Washington Commanders Hub. All rights reserved.',
+      'footer.twitter.aria': 'Washington Commanders on Twitter',
+      'footer.facebook.aria': 'Washington Commanders on Facebook',
+      'footer.instagram.aria': 'Washington Commanders on Instagram',
+    },
+  };
+
+  const TEAM_STORAGE_KEY = 'hub-team';
+
+  // Fallback used until /api/teams (data/teams.json) has been loaded.
+  const DEFAULT_TEAM = {
+    id: '28',
+    abbreviation: 'WSH',
+    location: 'Washington',
+    shortName: 'Commanders',
+    displayName: 'Washington Commanders',
+    conference: 'NFC',
+    division: 'NFC East',
+    colors: { primary: '#5A0025', accent: '#FFB612', highlight: '#FFD700' },
+    logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/wsh.png',
+    divisionTeamIds: ['6', '19', '21', '28'],
+  };
+  const DEFAULT_CONFERENCES = {
+    AFC: 'American Football Conference',
+    NFC: 'National Football Conference',
   };
+  const CLINCH_MARKERS = ['*', 'z', 'y', 'x', 'e'];
+  const GAME_LEADER_CATEGORIES = ['passingYards', 'rushingYards', 'receivingYards'];
 
-  const TEAM_ID = '28';
-  const TEAM_NAME = 'Washington Commanders';
+  // Labels and titles come from the `standings.columns.*` messages.
+  const STANDINGS_COLUMNS = [
+    { key: 'seed', defaultDirection: 'asc', conferenceOnly: true },
+    { key: 'team', defaultDirection: 'asc' },
+    { key: 'wins' },
+    { key: 'losses', defaultDirection: 'asc' },
+    { key: 'ties' },
+    { key: 'winPercent' },
+    { key: 'pointsFor' },
+    { key: 'pointsAgainst', defaultDirection: 'asc' },
+    { key: 'differential' },
+    { key: 'streak' },
+    { key: 'divisionRecord' },
+    { key: 'conferenceRecord' },
+  ];
 
   class FetchDataError extends Error {
-    constructor(message, type, status) {
+    constructor(message, type, status, code) {
       super(message);
       this.name = 'FetchDataError';
       this.type = type;
       this.status = status;
+      this.code = code;
     }
   }
 
@@ -30,6 +891,88 @@
     animationFrameId: null,
     particles: [],
     resizeTimer: null,
+    sections: new Map(),
+    inflight: new Map(),
+    updatedLabelTimer: null,
+    lastData: new Map(),
+    locale: DEFAULT_LOCALE,
+    timeZonePreference: AUTO_TIME_ZONE,
+    team: DEFAULT_TEAM,
+    teams: [DEFAULT_TEAM],
+    conferences: DEFAULT_CONFERENCES,
+    live: {
+      timer: null,
+      game: null,
+      // Bumped by every poll and reset; a response from an older poll is dropped.
+      generation: 0,
+    },
+    // season is null for the current one; seasonType is an ESPN season type ID.
+    schedule: {
+      season: null,
+      seasonType: SEASON_TYPES.regular,
+    },
+    articlesQuery: {
+      page: 1,
+      tag: null,
+    },
+    player: {
+      channel: null,
+      episodes: new Map(),
+      queue: [],
+      current: null,
+      rate: 1,
+      restored: false,
+      lastSavedAt: 0,
+      // Absolute audio URLs stored in AUDIO_CACHE, and slugs being downloaded.
+      downloads: new Set(),
+      downloading: new Set(),
+    },
+    // Simulated results for unplayed games: game ID -> 'home' | 'away' | 'tie'.
+    playoffPicks: new Map(),
+    // position is a ROSTER_POSITIONS key or '' for all.
+    roster: {
+      position: '',
+      query: '',
+    },
+    // Player ID -> display name, for the player links of articles.
+    playerNames: new Map(),
+    // Player ID -> article summaries tagged with that player.
+    playerArticles: new Map(),
+    // Upcoming Game from /api/espn-events shown in the preview card.
+    nextGame: null,
+    // Header search: `status` is idle, loading, done or error; `activeIndex`
+    // is the highlighted option for keyboard navigation.
+    search: {
+      query: '',
+      data: null,
+      status: 'idle',
+      activeIndex: -1,
+      timer: null,
+      requestId: 0,
+    },
+    // `available` once the server has VAPID keys and the browser supports push.
+    push: {
+      available: false,
+      publicKey: null,
+      subscription: null,
+      categories: [...PUSH_CATEGORIES],
+      busy: false,
+      error: null,
+    },
+    // Pick'em of the hub's team: `data` is the last /api/pickem response and
+    // `error` / `notice` are message keys shown in the panel.
+    pickem: {
+      data: null,
+      token: null,
+      busy: false,
+      error: null,
+      notice: null,
+    },
+    standingsView: 'division',
+    standingsSort: {
+      division: { key: 'winPercent', direction: 'desc' },
+      conference: { key: 'seed', direction: 'asc' },
+    },
   };
 
   function $(id) {
@@ -45,6 +988,66 @@
       .replaceAll("'", '&#39;');
   }
 
+  function t(key, params = {}) {
+    const template = MESSAGES[state.locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (template === undefined) {
+      console.warn(`t: Missing message '${key}'.`);
+      return key;
+    }
+
+    const values = { team: state.team.shortName, teamName: state.team.displayName, ...params };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+  }
+
+  function getIntlLocale() {
+    return LOCALES[state.locale]?.intl || LOCALES[DEFAULT_LOCALE].intl;
+  }
+
+  function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  function getTimeZone() {
+    return state.timeZonePreference === AUTO_TIME_ZONE ? getBrowserTimeZone() : state.timeZonePreference;
+  }
+
+  function isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getIntlLocale(), options).format(value);
+  }
+
+  function isSelectedTeam(teamId) {
+    return String(teamId ?? '') === state.team.id;
+  }
+
+  function getSiteTitle() {
+    return `${state.team.displayName} Hub`;
+  }
+
+  function getConferenceName() {
+    return state.conferences[state.team.conference] || state.team.conference;
+  }
+
+  function withTeamParam(url) {
+    return `${url}?team=${encodeURIComponent(state.team.id)}`;
+  }
+
+  function getCalendarUrl({ eventId = null, webcal = false } = {}) {
+    const params = new URLSearchParams({ team: state.team.id, lang: state.locale });
+    if (eventId) params.set('event', eventId);
+    const path = `${ENDPOINTS.calendar}?${params}`;
+    // webcal:// makes calendar apps subscribe instead of importing a copy.
+    return webcal ? `webcal://${window.location.host}${path}` : path;
+  }
+
   function getSectionParts(section) {
     return {
       loader: section?.querySelector('.loader') || null,
@@ -63,14 +1066,16 @@
     if (!section.querySelector('.loader')) {
       const loader = document.createElement('div');
       loader.className = 'loader hidden';
-      loader.textContent = 'Cargando...';
+      loader.dataset.i18n = 'section.loading';
+      loader.textContent = t('section.loading');
       section.prepend(loader);
     }
 
     if (!section.querySelector('.error-message')) {
       const error = document.createElement('p');
       error.className = 'error-message hidden';
-      error.textContent = 'Error al cargar los datos. Inténtalo de nuevo más tarde.';
+      error.dataset.i18n = 'section.error';
+      error.textContent = t('section.error');
       const loader = section.querySelector('.loader');
       if (loader && loader.nextSibling) {
         section.insertBefore(error, loader.nextSibling);
@@ -84,6 +1089,21 @@
       content.className = 'data-content';
       section.appendChild(content);
     }
+
+    if (!section.querySelector('.section-meta')) {
+      const meta = document.createElement('div');
+      meta.className = 'section-meta hidden';
+      meta.innerHTML = `
+        <span class="offline-label hidden" data-i18n="section.offline">${escapeHtml(t('section.offline'))}</span>
+        <span class="updated-label" aria-live="polite"></span>
+        <button type="button" class="refresh-button" data-i18n="section.refresh">${escapeHtml(t('section.refresh'))}</button>
+      `;
+      meta.querySelector('.refresh-button').addEventListener('click', () => {
+        refreshSection(sectionId);
+        resumeLivePolling();
+      });
+      section.prepend(meta);
+    }
   }
 
   function setLoaderVisible(sectionId, visible) {
@@ -120,6 +1140,129 @@
     return area || section;
   }
 
+  function isGameDay(now = new Date()) {
+    const weekday = now.toLocaleDateString('en-US', { timeZone: 'America/New_York', weekday: 'short' });
+    return GAME_DAYS.includes(weekday);
+  }
+
+  function getCacheTtl(cacheKey) {
+    // Per-item keys such as 'game:401547' share the TTL of their prefix.
+    const ttl = CACHE_TTLS[cacheKey.split(':')[0]];
+    if (!ttl) return 0;
+    return isGameDay() ? ttl.gameDay : ttl.default;
+  }
+
+  function readCache(cacheKey) {
+    const storageKey = `${CACHE_PREFIX}${cacheKey}`;
+    try {
+      const raw = localStorage.getItem(storageKey);
+      if (!raw) return null;
+
+      const entry = JSON.parse(raw);
+      if (!entry || entry.version !== CACHE_VERSION || typeof entry.savedAt !== 'number') {
+        localStorage.removeItem(storageKey);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      console.warn(`readCache: Dropping unreadable cache entry '${storageKey}'.`, error);
+      localStorage.removeItem(storageKey);
+      return null;
+    }
+  }
+
+  // Keeps the most recently saved entries of a per-item prefix. Expired ones
+  // stay until then: they are the offline fallback for that game or player.
+  function pruneItemCache(prefix) {
+    const limit = CACHE_ITEM_LIMITS[prefix];
+    if (!limit) return;
+
+    const entries = Object.keys(localStorage)
+      .filter(key => key.startsWith(`${CACHE_PREFIX}${prefix}:`))
+      .map(key => ({ key, entry: readCache(key.slice(CACHE_PREFIX.length)) }))
+      .filter(({ entry }) => entry)
+      .sort((a, b) => b.entry.savedAt - a.entry.savedAt);
+
+    entries.slice(limit).forEach(({ key }) => localStorage.removeItem(key));
+  }
+
+  // Payloads the server answered from its stale fallback (`stale: true`) are
+  // kept for offline use but never count as fresh, so the next load retries.
+  function writeCache(cacheKey, data) {
+    const entry = { version: CACHE_VERSION, savedAt: Date.now(), stale: Boolean(data?.stale), data };
+    const storageKey = `${CACHE_PREFIX}${cacheKey}`;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(entry));
+      pruneItemCache(cacheKey.split(':')[0]);
+    } catch (error) {
+      console.warn(`writeCache: Could not persist cache entry '${cacheKey}'.`, error);
+    }
+    return entry;
+  }
+
+  function isCacheFresh(entry, cacheKey) {
+    return Boolean(entry) && !entry.stale && Date.now() - entry.savedAt < getCacheTtl(cacheKey);
+  }
+
+  function purgeLegacyCache() {
+    try {
+      LEGACY_CACHE_KEYS.forEach(key => localStorage.removeItem(key));
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(CACHE_PREFIX))
+        .forEach(key => readCache(key.slice(CACHE_PREFIX.length)));
+    } catch (error) {
+      console.warn('purgeLegacyCache: localStorage is not available.', error);
+    }
+  }
+
+  function formatUpdatedAgo(savedAt) {
+    const elapsed = Date.now() - savedAt;
+    const formatter = new Intl.RelativeTimeFormat(getIntlLocale(), { numeric: 'auto' });
+    if (elapsed < MINUTE) return formatter.format(0, 'second');
+    if (elapsed < HOUR) return formatter.format(-Math.floor(elapsed / MINUTE), 'minute');
+    if (elapsed < 24 * HOUR) return formatter.format(-Math.floor(elapsed / HOUR), 'hour');
+    return formatter.format(-Math.floor(elapsed / (24 * HOUR)), 'day');
+  }
+
+  function setUpdatedLabel(sectionId, savedAt, { stale = false } = {}) {
+    const meta = $(sectionId)?.querySelector('.section-meta');
+    if (!meta) return;
+
+    const label = meta.querySelector('.updated-label');
+    meta.dataset.savedAt = String(savedAt);
+    meta.classList.toggle('is-stale', stale);
+    meta.classList.remove('hidden');
+    if (label) {
+      label.textContent = t(stale ? 'section.updated.stale' : 'section.updated', { ago: formatUpdatedAgo(savedAt) });
+    }
+  }
+
+  // A section works offline once the service worker controls the page (so
+  // the shell loads) and holds a copy of the section's data.
+  async function updateOfflineLabel(sectionId, url) {
+    const label = $(sectionId)?.querySelector('.offline-label');
+    if (!label || !navigator.serviceWorker?.controller || !('caches' in window)) return;
+    const cached = await caches.match(url).catch(() => null);
+    label.classList.toggle('hidden', !cached);
+  }
+
+  function setRefreshing(sectionId, refreshing) {
+    const button = $(sectionId)?.querySelector('.refresh-button');
+    if (!button) return;
+    button.disabled = refreshing;
+    button.classList.toggle('is-refreshing', refreshing);
+  }
+
+  function refreshUpdatedLabels() {
+    document.querySelectorAll('.section-meta[data-saved-at]').forEach(meta => {
+      const section = meta.parentElement;
+      const savedAt = Number(meta.dataset.savedAt);
+      if (section?.id && savedAt) {
+        setUpdatedLabel(section.id, savedAt, { stale: meta.classList.contains('is-stale') });
+      }
+    });
+  }
+
   async function fetchJson(url) {
     const response = await fetch(url);
     if (!response.ok) {
@@ -143,13 +1286,63 @@
     }
   }
 
-  async function fetchDataAndDisplay({
-    url,
-    sectionId,
-    cacheKey,
-    processData,
-    emptyMessage = 'No data available.',
-  }) {
+  function fetchJsonShared(url) {
+    if (state.inflight.has(url)) return state.inflight.get(url);
+
+    const request = fetchJson(url).finally(() => state.inflight.delete(url));
+    state.inflight.set(url, request);
+    return request;
+  }
+
+  function renderSectionData(sectionId, contentArea, data, processData, emptyMessageKey) {
+    state.lastData.set(sectionId, data);
+    const html = processData(data);
+    if (html && html.trim()) {
+      contentArea.innerHTML = html;
+    } else {
+      contentArea.innerHTML = `<p>${escapeHtml(t(emptyMessageKey))}</p>`;
+    }
+  }
+
+  // A section can be pointed at another URL while a request is in flight
+  // (opening another game, changing the article tag); the older response is
+  // cached but must not replace what the section shows now.
+  function isCurrentRequest(sectionId, url) {
+    return state.sections.get(sectionId)?.url === url;
+  }
+
+  async function revalidateSection(options) {
+    const { url, sectionId, cacheKey, processData, emptyMessageKey } = options;
+    const contentArea = getContentArea(sectionId);
+
+    setRefreshing(sectionId, true);
+    try {
+      const data = await fetchJsonShared(url);
+      const entry = writeCache(cacheKey, data);
+      if (!isCurrentRequest(sectionId, url)) return;
+      if (contentArea) renderSectionData(sectionId, contentArea, data, processData, emptyMessageKey);
+      hideError(sectionId);
+      setUpdatedLabel(sectionId, entry.savedAt, { stale: Boolean(data?.stale) });
+      updateOfflineLabel(sectionId, url);
+    } catch (error) {
+      console.warn(`[${sectionId}] Background refresh failed, keeping cached data.`, error);
+      if (!isCurrentRequest(sectionId, url)) return;
+      const cached = readCache(cacheKey);
+      if (cached) setUpdatedLabel(sectionId, cached.savedAt, { stale: true });
+    } finally {
+      setRefreshing(sectionId, false);
+    }
+  }
+
+  async function fetchDataAndDisplay(options) {
+    const {
+      url,
+      sectionId,
+      cacheKey,
+      processData,
+      emptyMessageKey = 'section.empty',
+      force = false,
+    } = options;
     const section = $(sectionId);
     const contentArea = getContentArea(sectionId);
 
@@ -158,57 +1351,274 @@
       return;
     }
 
+    state.sections.set(sectionId, { ...options, force: false });
+
+    const cached = readCache(cacheKey);
+    if (cached && !force) {
+      renderSectionData(sectionId, contentArea, cached.data, processData, emptyMessageKey);
+      setUpdatedLabel(sectionId, cached.savedAt, { stale: Boolean(cached.stale) });
+      updateOfflineLabel(sectionId, url);
+      if (!isCacheFresh(cached, cacheKey)) {
+        await revalidateSection(options);
+      }
+      return;
+    }
+
+    if (cached && force) {
+      await revalidateSection(options);
+      return;
+    }
+
     try {
       setLoaderVisible(sectionId, true);
       hideError(sectionId);
       contentArea.innerHTML = '';
 
-      const cachedHtml = localStorage.getItem(cacheKey);
-      if (cachedHtml) {
-        contentArea.innerHTML = cachedHtml;
-        return;
-      }
-
-      const data = await fetchJson(url);
-      const html = processData(data);
-
-      if (html && html.trim()) {
-        contentArea.innerHTML = html;
-        localStorage.setItem(cacheKey, html);
-      } else {
-        contentArea.innerHTML = `<p>${escapeHtml(emptyMessage)}</p>`;
-      }
+      const data = await fetchJsonShared(url);
+      const entry = writeCache(cacheKey, data);
+      if (!isCurrentRequest(sectionId, url)) return;
+      renderSectionData(sectionId, contentArea, data, processData, emptyMessageKey);
+      setUpdatedLabel(sectionId, entry.savedAt, { stale: Boolean(data?.stale) });
+      updateOfflineLabel(sectionId, url);
     } catch (error) {
+      if (!isCurrentRequest(sectionId, url)) return;
       const message = error instanceof FetchDataError
-        ? error.message
-        : 'An unexpected error occurred. Please try again.';
+        ? t(`errors.${error.type}`, { status: error.status })
+        : t('errors.unexpected');
 
       console.error(`[${sectionId}]`, error);
       setErrorVisible(sectionId, message);
     } finally {
-      setLoaderVisible(sectionId, false);
+      if (isCurrentRequest(sectionId, url)) setLoaderVisible(sectionId, false);
+    }
+  }
+
+  function rerenderSection(sectionId) {
+    const options = state.sections.get(sectionId);
+    const contentArea = getContentArea(sectionId);
+    if (!options || !contentArea || !state.lastData.has(sectionId)) return;
+    renderSectionData(sectionId, contentArea, state.lastData.get(sectionId), options.processData, options.emptyMessageKey);
+  }
+
+  function refreshSection(sectionId) {
+    const options = state.sections.get(sectionId);
+    if (!options) {
+      console.warn(`refreshSection: Section '${sectionId}' has not been loaded yet.`);
+      return;
     }
+    fetchDataAndDisplay({ ...options, force: true });
+  }
+
+  function formatArticleDate(dateStr) {
+    const date = new Date(dateStr);
+    if (!dateStr || Number.isNaN(date.getTime())) return '';
+
+    // Publish dates are calendar days stored as UTC midnight; formatting them
+    // in the visitor's zone would show the previous day across the Americas.
+    return date.toLocaleDateString(getIntlLocale(), {
+      timeZone: 'UTC',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+    });
+  }
+
+  function renderArticleMeta(article) {
+    const parts = [];
+    const date = formatArticleDate(article.date);
+    if (date) parts.push(`<time datetime="${escapeHtml(article.date)}">${escapeHtml(date)}</time>`);
+    if (article.author) parts.push(escapeHtml(t('articles.byline', { author: article.author })));
+    return parts.length ? `<p class="article-meta">${parts.join(' · ')}</p>` : '';
   }
 
+  function renderArticleTags(tags) {
+    if (!Array.isArray(tags) || !tags.length) return '';
+    return `
+      <ul class="article-tags">
+        ${tags.map(tag => `<li><button type="button" class="tag" data-article-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button></li>`).join('')}
+      </ul>
+    `;
+  }
+
+  function renderArticlePlayers(playerIds) {
+    if (!Array.isArray(playerIds) || !playerIds.length) return '';
+    const links = playerIds.map(playerId => `
+      <li><a class="tag" href="#jugador/${encodeURIComponent(playerId)}">${escapeHtml(state.playerNames.get(playerId) || t('articles.player.fallback', { id: playerId }))}</a></li>
+    `).join('');
+    return `<ul class="article-tags article-players" aria-label="${escapeHtml(t('articles.players'))}">${links}</ul>`;
+  }
+
+  function renderTagFilter(tags) {
+    if (!Array.isArray(tags) || !tags.length) return '';
+    const active = state.articlesQuery.tag;
+    const buttons = [
+      `<button type="button" class="tag" data-article-tag="" aria-pressed="${!active}">${escapeHtml(t('articles.allTags'))}</button>`,
+      ...tags.map(tag => `<button type="button" class="tag" data-article-tag="${escapeHtml(tag)}" aria-pressed="${tag === active}">#${escapeHtml(tag)}</button>`),
+    ];
+    return `<div class="tag-filter" role="group" aria-label="${escapeHtml(t('articles.tags'))}">${buttons.join('')}</div>`;
+  }
+
+  function renderArticlesLoadMore(data) {
+    if (!data.pagination || data.items.length >= Math.min(data.pagination.total, ARTICLES_MAX_ITEMS)) return '';
+    return `
+      <nav class="pagination">
+        <button type="button" data-article-more>${escapeHtml(t('articles.loadMore'))}</button>
+      </nav>
+    `;
+  }
+
+  function renderNewsBadges(item) {
+    const badges = [`<span class="source-badge source-${escapeHtml(item.source)}">${escapeHtml(t(`news.source.${item.source}`))}</span>`];
+    if (item.pinned) badges.push(`<span class="source-badge">${escapeHtml(t('news.pinned'))}</span>`);
+    if (item.premium) badges.push(`<span class="source-badge">${escapeHtml(t('news.premium'))}</span>`);
+    return `<p class="news-badges">${badges.join('')}</p>`;
+  }
+
+  // Our articles open in the app; ESPN stories link out to espn.com.
   function processArticles(data) {
-    const articles = data?.articles;
-    if (!Array.isArray(articles) || !articles.length) {
-      console.warn('processArticles: No articles data found or data is not in the expected format.');
+    const items = data?.items;
+    if (!Array.isArray(items) || !items.length) {
+      console.warn('processArticles: No timeline items found or data is not in the expected format.');
       return null;
     }
 
-    return articles.map(article => {
-      const title = escapeHtml(article.title || 'Untitled Article');
-      const summary = escapeHtml(article.summary || 'No summary available.');
-      const link = article.link || '#';
+    const html = items.map(item => {
+      const external = item.source === 'espn';
+      const link = escapeHtml(item.url || '#articulos');
+      const target = external ? ' target="_blank" rel="noopener"' : '';
+      const title = escapeHtml(item.title || t('articles.untitled'));
+      const summary = escapeHtml(item.summary || t('articles.noSummary'));
+      const image = item.image
+        ? `<img class="news-image" src="${escapeHtml(item.image)}" alt="" loading="lazy">`
+        : '';
 
       return `
-        <article>
-          <h3>${title}</h3>
-          <p>${summary} <a href="${escapeHtml(link)}" rel="noopener" target="_blank">Leer más</a></p>
+        <article class="news-item${item.pinned ? ' is-pinned' : ''}">
+          ${image}
+          <div class="news-body">
+            ${renderNewsBadges(item)}
+            <h3><a href="${link}"${target}>${title}</a></h3>
+            ${renderArticleMeta(item)}
+            <p>${summary} <a href="${link}"${target}>${escapeHtml(t(external ? 'news.readOnEspn' : 'articles.readMore'))}</a></p>
+            ${renderArticleTags(item.tags)}
+          </div>
         </article>
       `;
     }).join('');
+
+    const notice = data.unavailable?.includes('espn') ? `<p class="playoff-note">${escapeHtml(t('news.unavailable'))}</p>` : '';
+    return `${renderTagFilter(data.tags)}${notice}${html}${renderArticlesLoadMore(data)}`;
+  }
+
+  function processArticleDetail(data) {
+    const article = data?.article;
+    if (!article || typeof article.html !== 'string') {
+      console.warn('processArticleDetail: No article data found or data is not in the expected format.');
+      return null;
+    }
+
+    document.title = `${article.title || t('articles.untitled')} | ${getSiteTitle()}`;
+    const hero = article.heroImage
+      ? `<img class="article-hero" src="${escapeHtml(article.heroImage)}" alt="" loading="lazy">`
+      : '';
+
+    // The API renders Markdown server-side and escapes all raw HTML.
+    return `
+      <article class="article-detail">
+        ${hero}
+        <h3 class="article-title">${escapeHtml(article.title || t('articles.untitled'))}</h3>
+        ${renderArticleMeta(article)}
+        ${article.slug ? renderShareButton(`/articles/${encodeURIComponent(article.slug)}`, article.title) : ''}
+        ${renderArticleTags(article.tags)}
+        ${renderArticlePlayers(article.players)}
+        <div class="article-body">${article.html}</div>
+      </article>
+    `;
+  }
+
+  function formatClock(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(Number(totalSeconds) || 0));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+  }
+
+  function renderPodcastChapters(podcast) {
+    if (!Array.isArray(podcast.chapters) || !podcast.chapters.length) return '';
+    const items = podcast.chapters.map(chapter => `
+      <li>
+        <button type="button" class="chapter-link" data-podcast-play="${escapeHtml(podcast.slug)}" data-start="${Number(chapter.start) || 0}">
+          <span class="chapter-time">${escapeHtml(formatClock(chapter.start))}</span> ${escapeHtml(chapter.title)}
+        </button>
+      </li>
+    `).join('');
+
+    return `
+      <details class="podcast-chapters">
+        <summary>${escapeHtml(t('podcasts.chapters'))}</summary>
+        <ol>${items}</ol>
+      </details>
+    `;
+  }
+
+  function canDownloadEpisodes() {
+    return 'caches' in window && 'serviceWorker' in navigator;
+  }
+
+  function getEpisodeUrl(episode) {
+    return new URL(episode.src, window.location.href).href;
+  }
+
+  function renderDownloadButton(podcast, title) {
+    if (!canDownloadEpisodes()) return '';
+    const slug = escapeHtml(podcast.slug);
+    if (state.player.downloading.has(podcast.slug)) {
+      return `<button type="button" data-podcast-download="${slug}" disabled>${escapeHtml(t('podcasts.downloading'))}</button>`;
+    }
+    const downloaded = state.player.downloads.has(getEpisodeUrl(podcast));
+    return `
+      <button type="button" data-podcast-download="${slug}" aria-pressed="${downloaded}" aria-label="${escapeHtml(t(downloaded ? 'podcasts.downloaded.aria' : 'podcasts.download.aria', { title }))}">
+        ${escapeHtml(t(downloaded ? 'podcasts.downloaded' : 'podcasts.download'))}
+      </button>
+    `;
+  }
+
+  async function loadDownloadedEpisodes() {
+    if (!canDownloadEpisodes()) return;
+    try {
+      const cache = await caches.open(AUDIO_CACHE);
+      state.player.downloads = new Set((await cache.keys()).map(request => request.url));
+      rerenderSection('podcast-list');
+    } catch (error) {
+      console.warn('loadDownloadedEpisodes: Could not read downloaded episodes.', error);
+    }
+  }
+
+  // Downloads go straight into AUDIO_CACHE; the service worker plays them
+  // from there, cache first, so they work offline.
+  async function toggleEpisodeDownload(slug) {
+    const episode = state.player.episodes.get(slug);
+    if (!episode || state.player.downloading.has(slug)) return;
+
+    const url = getEpisodeUrl(episode);
+    state.player.downloading.add(slug);
+    rerenderSection('podcast-list');
+    try {
+      const cache = await caches.open(AUDIO_CACHE);
+      if (state.player.downloads.has(url)) {
+        await cache.delete(url);
+        state.player.downloads.delete(url);
+      } else {
+        await cache.add(url);
+        state.player.downloads.add(url);
+      }
+    } catch (error) {
+      console.warn(`toggleEpisodeDownload: Could not update the download of '${slug}'.`, error);
+    } finally {
+      state.player.downloading.delete(slug);
+      rerenderSection('podcast-list');
+    }
   }
 
   function processPodcasts(data) {
@@ -218,204 +1628,1801 @@
       return null;
     }
 
+    registerPodcastEpisodes(data);
+
     return podcasts.map(podcast => {
-      const title = escapeHtml(podcast.title || 'Untitled Podcast');
-      const src = podcast.src || '';
-      if (!src) {
-        console.warn(`processPodcasts: Podcast "${title}" is missing src and will be skipped.`);
+      const title = escapeHtml(podcast.title || t('podcasts.untitled'));
+      if (!podcast.src || !podcast.slug) {
+        console.warn(`processPodcasts: Podcast "${title}" is missing src or slug and will be skipped.`);
         return '';
       }
 
+      const slug = escapeHtml(podcast.slug);
+      const savedPosition = getSavedPosition(podcast.slug);
+      const meta = [
+        formatArticleDate(podcast.publishedAt),
+        podcast.duration ? t('podcasts.duration', { minutes: Math.round(podcast.duration / 60) }) : '',
+      ].filter(Boolean).join(' · ');
+      const queued = state.player.queue.includes(podcast.slug);
+      const titleText = podcast.title || t('podcasts.untitled');
+
       return `
-        <div class="podcast-item">
+        <div class="podcast-item" id="podcast-${slug}">
           <h3>${title}</h3>
-          <audio controls aria-label="Reproducir ${title}">
-            <source src="${escapeHtml(src)}" type="audio/mpeg">
-            Tu navegador no soporta audio HTML5.
-          </audio>
+          ${meta ? `<p class="article-meta">${escapeHtml(meta)}</p>` : ''}
+          ${podcast.description ? `<p>${escapeHtml(podcast.description)}</p>` : ''}
+          <div class="podcast-actions">
+            <button type="button" data-podcast-play="${slug}" aria-label="${escapeHtml(t('podcasts.play', { title: titleText }))}">
+              ▶ ${escapeHtml(savedPosition ? t('podcasts.resume', { time: formatClock(savedPosition) }) : t('podcasts.listen'))}
+            </button>
+            <button type="button" data-podcast-queue="${slug}"${queued ? ' disabled' : ''}>${escapeHtml(queued ? t('podcasts.queued') : t('podcasts.enqueue'))}</button>
+            ${renderDownloadButton(podcast, titleText)}
+          </div>
+          ${renderPodcastChapters(podcast)}
         </div>
       `;
     }).join('');
   }
 
   function formatEventDate(dateStr) {
-    if (!dateStr) return 'Date N/A';
+    if (!dateStr) return t('events.dateUnavailable');
 
     const date = new Date(dateStr);
     if (Number.isNaN(date.getTime())) {
-      return 'Date N/A';
+      return t('events.dateUnavailable');
     }
 
-    return date.toLocaleString('es-ES', {
-      timeZone: 'Europe/Madrid',
+    return date.toLocaleString(getIntlLocale(), {
+      timeZone: getTimeZone(),
       day: '2-digit',
       month: '2-digit',
       year: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
+      timeZoneName: 'short',
     });
   }
 
   function formatTeamInfo(teamData) {
     const team = teamData?.team || {};
-    const name = escapeHtml(team.displayName || team.name || 'Unknown Team');
+    const name = team.displayName || team.name || t('events.unknownTeam');
     const abbreviation = escapeHtml(team.abbreviation || 'N/A');
     const logo = team.logo || '';
 
-    return `${abbreviation} ${logo ? `<img src="${escapeHtml(logo)}" alt="${name} logo" style="height: 20px; vertical-align: middle;">` : ''}`;
+    return `${abbreviation} ${logo ? `<img src="${escapeHtml(logo)}" alt="${escapeHtml(t('events.logoAlt', { name }))}" style="height: 20px; vertical-align: middle;">` : ''}`;
+  }
+
+  function renderScheduleGame(game) {
+    const eventDateStr = formatEventDate(game.date);
+    let score = t('events.pending');
+    if (game.status.completed) {
+      score = `${game.home.score ?? 0} - ${game.away.score ?? 0}`;
+    } else if (game.status.description) {
+      score = game.status.description;
+    }
+
+    const detailLink = ` | <a href="#partido/${encodeURIComponent(game.id)}" class="event-detail-link">${escapeHtml(t('events.viewGame'))}</a>`
+      + ` | <a href="${escapeHtml(getCalendarUrl({ eventId: game.id }))}" class="event-calendar-link" download>${escapeHtml(t('events.addToCalendar'))}</a>`;
+
+    return `<p>${formatTeamInfo(game.away)} @ ${formatTeamInfo(game.home)} | ${escapeHtml(t('events.date'))}: ${escapeHtml(eventDateStr)} | ${escapeHtml(t('events.status'))}: ${escapeHtml(score)}${detailLink}</p>`;
+  }
+
+  function getWeekLabel(week, seasonType) {
+    if (seasonType === SEASON_TYPES.post) {
+      const key = `events.postWeek.${week.number}`;
+      if (MESSAGES[DEFAULT_LOCALE][key]) return t(key);
+      return week.label || t('events.week', { number: week.number });
+    }
+    if (seasonType === SEASON_TYPES.pre) return t('events.preWeek', { number: week.number });
+    return t('events.week', { number: week.number });
+  }
+
+  function renderScheduleRecord(record) {
+    if (!record?.gamesPlayed) return '';
+    return `
+      <p class="schedule-record">
+        <strong>${escapeHtml(t('events.record', { record: record.summary }))}</strong>
+        · ${escapeHtml(t('events.pointsFor', { points: record.pointsFor }))}
+        · ${escapeHtml(t('events.pointsAgainst', { points: record.pointsAgainst }))}
+      </p>
+    `;
   }
 
   function processTeamEventsData(data) {
-    const events = data?.events;
-    if (!Array.isArray(events) || !events.length) {
-      console.warn('processTeamEventsData: No events data found or data is not in the expected format.');
+    if (!hasModelVersion(data, 'processTeamEventsData')) return null;
+    const weeks = data.weeks;
+    if (!Array.isArray(weeks) || !weeks.length) {
+      console.warn('processTeamEventsData: No schedule weeks found or data is not in the expected format.');
       return null;
     }
 
-    const processed = events.map((event, index) => {
-      if (!event || typeof event !== 'object') {
-        console.warn(`processTeamEventsData: Event at index ${index} is not a valid object. Skipping.`);
-        return '';
+    const processed = weeks.map(week => {
+      const heading = `<h3 class="schedule-week">${escapeHtml(getWeekLabel(week, data.seasonType))}</h3>`;
+      if (week.bye || !week.games?.length) {
+        return `${heading}<p class="schedule-bye">${escapeHtml(t('events.bye'))}</p>`;
       }
+      return `${heading}${week.games.map(renderScheduleGame).join('')}`;
+    }).join('');
 
-      const eventDateStr = formatEventDate(event.date);
-      const competition = event.competitions?.[0];
-      const competitors = competition?.competitors;
-
-      if (!competition || !Array.isArray(competitors) || competitors.length < 2) {
-        console.warn(`processTeamEventsData: Event at index ${index} ('${event.name || 'Unnamed Event'}') is missing competition or competitor data. Displaying minimal info.`);
-        return `<p>Evento: ${escapeHtml(event.name || 'Unnamed Event')} - Fecha: ${escapeHtml(eventDateStr)} - Datos de competición incompletos</p>`;
-      }
+    const calendarActions = `
+      <div class="calendar-actions">
+        <a href="${escapeHtml(getCalendarUrl({ webcal: true }))}" class="calendar-subscribe" aria-label="${escapeHtml(t('events.subscribe.aria'))}">${escapeHtml(t('events.subscribe'))}</a>
+        <a href="${escapeHtml(getCalendarUrl())}" download>${escapeHtml(t('events.downloadCalendar'))}</a>
+      </div>
+    `;
 
-      const homeTeamData = competitors.find(team => team?.homeAway === 'home');
-      const awayTeamData = competitors.find(team => team?.homeAway === 'away');
+    return `${calendarActions}${renderScheduleRecord(data.record)}${processed}`;
+  }
 
-      if (!homeTeamData || !awayTeamData || !homeTeamData.team || !awayTeamData.team) {
-        console.warn(`processTeamEventsData: Event at index ${index} ('${event.name || 'Unnamed Event'}') has incomplete team data. Displaying minimal info.`);
-        return `<p>Evento: ${escapeHtml(event.name || 'Unnamed Event')} - Fecha: ${escapeHtml(eventDateStr)} - Datos de equipo incompletos</p>`;
-      }
+  function getGameCompetitors(data) {
+    const competitors = data?.header?.competitions?.[0]?.competitors;
+    if (!Array.isArray(competitors) || competitors.length < 2) return null;
+    const home = competitors.find(team => team?.homeAway === 'home');
+    const away = competitors.find(team => team?.homeAway === 'away');
+    return home && away ? { home, away } : null;
+  }
 
-      let score = 'Pendiente';
-      if (competition.status?.type?.completed) {
-        const homeScore = homeTeamData.score || '0';
-        const awayScore = awayTeamData.score || '0';
-        score = `${homeScore} - ${awayScore}`;
-      } else if (competition.status?.type?.description) {
-        score = competition.status.type.description;
-      }
+  function getTeamLogo(team) {
+    return team?.logos?.[0]?.href || team?.logo || '';
+  }
 
-      return `<p>${formatTeamInfo(awayTeamData)} @ ${formatTeamInfo(homeTeamData)} | Fecha: ${escapeHtml(eventDateStr)} | Estado: ${escapeHtml(score)}</p>`;
-    }).filter(Boolean).join('');
+  function renderGameHeader(data, { home, away }) {
+    const competition = data.header.competitions[0];
+    const status = competition.status?.type?.detail || competition.status?.type?.description || '';
+    const venue = data.gameInfo?.venue?.fullName || '';
+    const showScore = competition.status?.type?.state !== 'pre';
 
-    if (!processed || !processed.trim()) {
-      console.warn('processTeamEventsData: No events could be processed successfully into displayable HTML.');
-      return null;
-    }
+    const side = competitor => {
+      const team = competitor.team || {};
+      const logo = getTeamLogo(team);
+      const record = competitor.record?.[0]?.summary || competitor.record?.[0]?.displayValue || '';
+      return `
+        <div class="game-team${isSelectedTeam(team.id) ? ' is-team' : ''}">
+          ${logo ? `<img src="${escapeHtml(logo)}" alt="" class="game-team-logo">` : ''}
+          <span class="game-team-name">${escapeHtml(team.displayName || team.abbreviation || t('events.unknownTeam'))}</span>
+          ${record ? `<span class="game-team-record">${escapeHtml(record)}</span>` : ''}
+          ${showScore ? `<span class="game-team-score">${escapeHtml(competitor.score ?? '0')}</span>` : ''}
+        </div>
+      `;
+    };
 
-    return processed;
+    return `
+      <div class="game-header">
+        ${side(away)}
+        <span class="game-header-separator">@</span>
+        ${side(home)}
+      </div>
+      <p class="game-meta">${escapeHtml(formatEventDate(competition.date))}${venue ? ` · ${escapeHtml(venue)}` : ''}${status ? ` · ${escapeHtml(status)}` : ''}</p>
+    `;
   }
 
-  function extractTeamRecord(data) {
-    let teamRecord = null;
+  function renderLineScore({ home, away }) {
+    const periods = Math.max(away.linescores?.length || 0, home.linescores?.length || 0);
+    if (!periods) return '';
 
-    if (Array.isArray(data?.children)) {
-      for (const child of data.children) {
-        if (Array.isArray(child?.standings?.entries)) {
-          teamRecord = child.standings.entries.find(entry => entry?.team?.id === TEAM_ID);
-          if (teamRecord) break;
-        }
-      }
-    }
+    const overtime = t('game.overtime');
+    const headers = Array.from({ length: periods }, (_, index) => (
+      `<th scope="col">${escapeHtml(index < 4 ? index + 1 : index === 4 ? overtime : `${overtime}${index - 3}`)}</th>`
+    )).join('');
+    const row = competitor => {
+      const cells = Array.from({ length: periods }, (_, index) => {
+        const period = competitor.linescores?.[index];
+        return `<td>${escapeHtml(period?.displayValue ?? period?.value ?? '-')}</td>`;
+      }).join('');
+      return `<tr><th scope="row">${escapeHtml(competitor.team?.abbreviation || '')}</th>${cells}<td class="line-score-total">${escapeHtml(competitor.score ?? '0')}</td></tr>`;
+    };
 
-    if (!teamRecord && Array.isArray(data?.record?.items) && data.record.items.length > 0) {
-      teamRecord = data.record.items.find(item => item?.type === 'total' || item?.description === 'Overall');
-    }
+    return `
+      <h3>${escapeHtml(t('game.lineScore'))}</h3>
+      <div class="standings-table-wrapper">
+        <table class="game-table line-score">
+          <thead><tr><th scope="col">${escapeHtml(t('game.team'))}</th>${headers}<th scope="col">${escapeHtml(t('game.total'))}</th></tr></thead>
+          <tbody>${row(away)}${row(home)}</tbody>
+        </table>
+      </div>
+    `;
+  }
 
-    if (!teamRecord && Array.isArray(data?.records) && data.records.length > 0) {
-      teamRecord = data.records.find(record => record?.type === 'total' || record?.name === 'Overall');
-    }
+  function renderScoringPlays(data) {
+    const plays = data.scoringPlays;
+    if (!Array.isArray(plays) || !plays.length) return '';
+
+    const items = plays.map(play => {
+      const quarter = play.period?.number ? formatPeriod(play.period.number) : '';
+      const clock = play.clock?.displayValue || '';
+      const team = play.team?.abbreviation || '';
+      const type = play.type?.abbreviation || play.type?.text || '';
+      return `
+        <li class="scoring-play">
+          <span class="scoring-play-time">${escapeHtml(`${quarter} ${clock}`.trim())}</span>
+          <span class="scoring-play-team">${escapeHtml(team)}${type ? ` · ${escapeHtml(type)}` : ''}</span>
+          <span class="scoring-play-text">${escapeHtml(play.text || '')}</span>
+          <span class="scoring-play-score">${escapeHtml(`${play.awayScore ?? ''} - ${play.homeScore ?? ''}`)}</span>
+        </li>
+      `;
+    }).join('');
 
-    return teamRecord;
+    return `<h3>${escapeHtml(t('game.scoringPlays'))}</h3><ol class="scoring-plays">${items}</ol>`;
   }
 
-  function processStandingsData(data) {
-    if (!data || typeof data !== 'object') {
-      console.warn('processStandingsData: No standings data found or data is not a valid object.');
-      return null;
-    }
+  function renderTeamStats(data, { home, away }) {
+    const teams = data.boxscore?.teams;
+    if (!Array.isArray(teams) || teams.length < 2) return '';
 
-    const teamRecord = extractTeamRecord(data);
-    if (!teamRecord) {
-      console.warn('processStandingsData: Target team record or overall record item not found in expected locations within the API response.');
-      return null;
-    }
+    const findTeamStats = competitor => teams.find(entry => String(entry?.team?.id) === String(competitor.team?.id))?.statistics || [];
+    const awayStats = findTeamStats(away);
+    const homeStats = findTeamStats(home);
+    if (!awayStats.length && !homeStats.length) return '';
 
-    let wins = 0;
-    let losses = 0;
-    let ties = 0;
+    const names = [...new Set([...awayStats, ...homeStats].map(stat => stat?.name).filter(Boolean))];
+    const rows = names.map(name => {
+      const awayStat = awayStats.find(stat => stat?.name === name);
+      const homeStat = homeStats.find(stat => stat?.name === name);
+      const label = awayStat?.label || homeStat?.label || name;
+      return `<tr><td>${escapeHtml(awayStat?.displayValue ?? '-')}</td><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(homeStat?.displayValue ?? '-')}</td></tr>`;
+    }).join('');
 
-    if (typeof teamRecord.summary === 'string') {
-      const summaryMatch = teamRecord.summary.match(/^(\d+)-(\d+)(?:-(\d+))?$/);
-      if (summaryMatch) {
-        wins = parseInt(summaryMatch[1], 10) || 0;
-        losses = parseInt(summaryMatch[2], 10) || 0;
-        ties = parseInt(summaryMatch[3], 10) || 0;
-        return `<p>${TEAM_NAME}: ${wins}V - ${losses}D - ${ties}E (Source: Summary String)</p>`;
-      }
-      console.warn('processStandingsData: Could not parse W-L-T record from summary string:', teamRecord.summary);
-    }
+    return `
+      <h3>${escapeHtml(t('game.teamStats'))}</h3>
+      <div class="standings-table-wrapper">
+        <table class="game-table team-stats">
+          <thead><tr><th scope="col">${escapeHtml(away.team?.abbreviation || '')}</th><th scope="col"></th><th scope="col">${escapeHtml(home.team?.abbreviation || '')}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function renderGameLeaders(data) {
+    const teams = data.leaders;
+    if (!Array.isArray(teams) || !teams.length) return '';
+
+    const cards = teams.map(teamLeaders => {
+      const categories = (teamLeaders.leaders || [])
+        .filter(category => GAME_LEADER_CATEGORIES.includes(category?.name))
+        .map(category => {
+          const leader = category.leaders?.[0];
+          if (!leader) return '';
+          return `
+            <li>
+              <span class="leader-category">${escapeHtml(category.displayName || category.name)}</span>
+              <span class="leader-name">${escapeHtml(leader.athlete?.displayName || '')}</span>
+              <span class="leader-line">${escapeHtml(leader.displayValue || '')}</span>
+            </li>
+          `;
+        }).join('');
+      if (!categories) return '';
+      return `<div class="game-leaders-team"><h4>${escapeHtml(teamLeaders.team?.displayName || teamLeaders.team?.abbreviation || '')}</h4><ul>${categories}</ul></div>`;
+    }).join('');
 
-    if (Array.isArray(teamRecord.stats)) {
-      const getStatValue = (name) => {
-        const stat = teamRecord.stats.find(item => item && (item.name === name || item.abbreviation === name.toUpperCase().slice(0, 1)));
-        if (!stat) return 0;
-        if (typeof stat.value === 'number') return stat.value;
-        if (typeof stat.value === 'string') return parseInt(stat.value, 10) || 0;
-        return 0;
-      };
+    return cards ? `<h3>${escapeHtml(t('game.leaders'))}</h3><div class="game-leaders">${cards}</div>` : '';
+  }
+
+  // Converts ESPN field positions such as "WSH 25" into yards from the
+  // offense's own goal line (0-100).
+  function toOffenseYardLine(positionText, offenseAbbreviation) {
+    const match = /^([A-Z]{2,4})?\s*(\d{1,2})$/.exec(String(positionText || '').trim());
+    if (!match) return null;
+    const yards = Number(match[2]);
+    if (!match[1] || yards === 50) return yards;
+    return match[1] === offenseAbbreviation ? yards : 100 - yards;
+  }
 
-      wins = getStatValue('wins');
-      losses = getStatValue('losses');
-      ties = getStatValue('ties');
+  function renderDriveChart(data) {
+    const drives = data.drives?.previous;
+    if (!Array.isArray(drives) || !drives.length) return '';
 
-      if (wins > 0 || losses > 0 || ties > 0 || teamRecord.stats.some(s => s?.name === 'wins')) {
-        return `<p>${TEAM_NAME}: ${wins}V - ${losses}D - ${ties}E (Source: Stats Array)</p>`;
+    const rows = drives.map(drive => {
+      const abbreviation = drive.team?.abbreviation || '';
+      const start = toOffenseYardLine(drive.start?.text, abbreviation);
+      const end = toOffenseYardLine(drive.end?.text, abbreviation);
+      const result = drive.displayResult || drive.result || '';
+      const isScore = Boolean(drive.isScore);
+      let bar = '';
+      if (start !== null && end !== null) {
+        const left = Math.min(start, end);
+        const width = Math.max(Math.abs(end - start), 1);
+        bar = `<span class="drive-bar${isScore ? ' is-score' : ''}${end < start ? ' is-loss' : ''}" style="left: ${left}%; width: ${width}%;"></span>`;
       }
 
-      console.warn("processStandingsData: Found 'stats' array but could not extract meaningful W-L-T values.", teamRecord.stats);
+      return `
+        <li class="drive${isSelectedTeam(drive.team?.id) ? ' is-team' : ''}">
+          <span class="drive-team">${escapeHtml(abbreviation)}</span>
+          <span class="drive-field" role="img" aria-label="${escapeHtml(`${abbreviation}: ${drive.start?.text || '?'} → ${drive.end?.text || '?'}, ${result}`)}">${bar}</span>
+          <span class="drive-result">${escapeHtml(result)}</span>
+          <span class="drive-description">${escapeHtml(drive.description || '')}</span>
+        </li>
+      `;
+    }).join('');
+
+    return `<h3>${escapeHtml(t('game.drives'))}</h3><ol class="drive-chart">${rows}</ol>`;
+  }
+
+  function processGameDetail(data) {
+    const competitors = getGameCompetitors(data);
+    if (!competitors) {
+      console.warn('processGameDetail: Game summary is missing competitor data.');
+      return null;
     }
 
-    console.warn('processStandingsData: Could not determine standings from the available data structure.', data);
-    return null;
+    const { home, away } = competitors;
+    const title = `${away.team?.abbreviation || ''} @ ${home.team?.abbreviation || ''}`;
+    document.title = `${title} | ${getSiteTitle()}`;
+
+    return [
+      renderGameHeader(data, competitors),
+      data.header.id ? renderShareButton(`/games/${encodeURIComponent(data.header.id)}`, title) : '',
+      renderLineScore(competitors),
+      renderScoringPlays(data),
+      renderTeamStats(data, competitors),
+      renderGameLeaders(data),
+      renderDriveChart(data),
+    ].join('');
   }
 
-  async function fetchArticles() {
+  async function showGameDetail(eventId) {
     await fetchDataAndDisplay({
-      url: ENDPOINTS.content,
-      sectionId: 'articles-list',
-      cacheKey: CACHE_KEYS.articles,
-      processData: processArticles,
-      emptyMessage: 'No hay artículos disponibles en este momento.',
+      url: `${ENDPOINTS.game}?id=${encodeURIComponent(eventId)}`,
+      sectionId: 'game-detail-data',
+      cacheKey: `${CACHE_KEYS.game}:${eventId}`,
+      processData: processGameDetail,
+      emptyMessageKey: 'game.empty',
     });
   }
 
-  async function fetchPodcasts() {
-    await fetchDataAndDisplay({
-      url: ENDPOINTS.content,
+  // Shares the cache entry of the player view, so names of tagged players
+  // cost nothing once a profile has been opened.
+  async function fetchPlayer(playerId) {
+    const cacheKey = `${CACHE_KEYS.player}:${playerId}`;
+    const cached = readCache(cacheKey);
+    if (isCacheFresh(cached, cacheKey)) return cached.data;
+    const data = await fetchJsonShared(`${ENDPOINTS.player}?id=${encodeURIComponent(playerId)}`);
+    writeCache(cacheKey, data);
+    return data;
+  }
+
+  function renderPlayerBio(player) {
+    const born = formatArticleDate(player.dateOfBirth);
+    const items = [
+      ['age', player.age === null ? '' : formatNumber(player.age)],
+      ['born', born],
+      ['birthPlace', player.birthPlace],
+      ['height', player.height],
+      ['weight', player.weight],
+      ['college', player.college],
+      ['draft', player.draft],
+      ['experience', player.experience],
+      ['status', player.status],
+    ].filter(([, value]) => value);
+    if (!items.length) return '';
+    return `
+      <dl class="player-bio">
+        ${items.map(([key, value]) => `<div><dt>${escapeHtml(t(`player.bio.${key}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}
+      </dl>
+    `;
+  }
+
+  function renderPlayerStats(categories) {
+    if (!Array.isArray(categories) || !categories.length) {
+      return `<h3>${escapeHtml(t('player.stats'))}</h3><p class="playoff-note">${escapeHtml(t('player.noStats'))}</p>`;
+    }
+
+    const tables = categories.map(category => {
+      const header = category.columns.map(column => (
+        `<th scope="col"${column.description ? ` title="${escapeHtml(column.description)}"` : ''}>${escapeHtml(column.label)}</th>`
+      )).join('');
+      // Newest season first; ESPN lists them oldest first.
+      const rows = [...category.seasons].reverse().map(row => `
+        <tr>
+          <th scope="row">${escapeHtml(row.label)}</th>
+          ${row.values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}
+        </tr>
+      `).join('');
+      const career = category.career.length
+        ? `<tfoot><tr><th scope="row">${escapeHtml(t('player.career'))}</th>${category.career.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr></tfoot>`
+        : '';
+      return `
+        <div class="standings-table-wrapper">
+          <table class="standings-table player-stats">
+            <caption>${escapeHtml(category.label)}</caption>
+            <thead><tr><th scope="col">${escapeHtml(t('player.season'))}</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+            ${career}
+          </table>
+        </div>
+      `;
+    }).join('');
+    return `<h3>${escapeHtml(t('player.stats'))}</h3>${tables}`;
+  }
+
+  function renderPlayerArticles(player) {
+    const articles = state.playerArticles.get(player.id);
+    if (!articles?.length) return '';
+    const items = articles.map(article => `
+      <li><a href="#articulo/${encodeURIComponent(article.slug)}">${escapeHtml(article.title || t('articles.untitled'))}</a></li>
+    `).join('');
+    return `<h3>${escapeHtml(t('player.articles', { name: player.displayName }))}</h3><ul class="player-articles">${items}</ul>`;
+  }
+
+  function processPlayerDetail(data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('processPlayerDetail: No player data found or data is not a valid object.');
+      return null;
+    }
+    if (!hasModelVersion(data, 'processPlayerDetail')) return null;
+    const { player } = data;
+    if (!player?.id) {
+      console.warn('processPlayerDetail: Player payload is missing the athlete.');
+      return null;
+    }
+
+    document.title = `${player.displayName} | ${getSiteTitle()}`;
+    const headshot = player.headshot
+      ? `<img class="player-headshot" src="${escapeHtml(player.headshot)}" alt="" width="120" height="120">`
+      : '';
+    const jersey = player.jersey ? ` <span class="player-jersey">#${escapeHtml(player.jersey)}</span>` : '';
+    const subtitle = [player.position.name, player.team?.displayName].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+      <div class="player-header">
+        ${headshot}
+        <div>
+          <h3 class="player-name">${escapeHtml(player.displayName)}${jersey}</h3>
+          ${subtitle ? `<p class="player-position">${subtitle}</p>` : ''}
+        </div>
+      </div>
+      ${renderPlayerBio(player)}
+      ${renderPlayerStats(data.stats)}
+      ${renderPlayerArticles(player)}
+    `;
+  }
+
+  async function loadPlayerArticles(playerId) {
+    if (state.playerArticles.has(playerId)) return;
+    try {
+      const params = new URLSearchParams({ type: 'articles', player: playerId, pageSize: 5 });
+      const data = await fetchJsonShared(`${ENDPOINTS.content}?${params}`);
+      state.playerArticles.set(playerId, Array.isArray(data?.articles) ? data.articles : []);
+      rerenderSection('player-detail-data');
+    } catch (error) {
+      console.warn(`loadPlayerArticles: Could not load the articles about player ${playerId}.`, error);
+    }
+  }
+
+  async function showPlayer(playerId) {
+    loadPlayerArticles(playerId);
+    await fetchDataAndDisplay({
+      url: `${ENDPOINTS.player}?id=${encodeURIComponent(playerId)}`,
+      sectionId: 'player-detail-data',
+      cacheKey: `${CACHE_KEYS.player}:${playerId}`,
+      processData: processPlayerDetail,
+      emptyMessageKey: 'player.empty',
+    });
+  }
+
+  async function loadArticlePlayerNames(playerIds) {
+    const missing = playerIds.filter(playerId => !state.playerNames.has(playerId));
+    if (!missing.length) return;
+    const results = await Promise.allSettled(missing.map(fetchPlayer));
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value?.player?.displayName) {
+        state.playerNames.set(missing[index], result.value.player.displayName);
+      } else if (result.status === 'rejected') {
+        console.warn(`loadArticlePlayerNames: Could not load player ${missing[index]}.`, result.reason);
+      }
+    });
+    rerenderSection('article-detail-data');
+  }
+
+  async function showArticle(slug) {
+    await fetchDataAndDisplay({
+      url: `${ENDPOINTS.content}?slug=${encodeURIComponent(slug)}`,
+      sectionId: 'article-detail-data',
+      cacheKey: `${CACHE_KEYS.article}:${slug}`,
+      processData: processArticleDetail,
+      emptyMessageKey: 'article.empty',
+    });
+    const players = state.lastData.get('article-detail-data')?.article?.players;
+    if (Array.isArray(players) && players.length) loadArticlePlayerNames(players);
+  }
+
+  function formatSearchDetail(type, result) {
+    if (type === 'games') {
+      const parts = [formatEventDate(result.date)];
+      if (result.week?.number && result.seasonType !== 3) parts.unshift(t('search.week', { number: result.week.number }));
+      if (result.seasonType === 3) parts.unshift(result.week?.label || t('events.seasonType.post'));
+      if (result.score) parts.push(`${formatNumber(result.score.away)}-${formatNumber(result.score.home)}`);
+      return parts.join(' · ');
+    }
+    if (type === 'players') {
+      return [result.position?.name, result.jersey ? `#${result.jersey}` : ''].filter(Boolean).join(' · ');
+    }
+    return formatArticleDate(result.date);
+  }
+
+  function getSearchOptions() {
+    return [...($('site-search-results')?.querySelectorAll('[role="option"]') || [])];
+  }
+
+  function renderSearchResults() {
+    const input = $('site-search');
+    const container = $('site-search-results');
+    if (!input || !container) return;
+
+    const { status, data, query } = state.search;
+    let html = '';
+    if (status === 'loading' && !data) {
+      html = `<p class="site-search-message">${escapeHtml(t('search.loading'))}</p>`;
+    } else if (status === 'error') {
+      html = `<p class="site-search-message">${escapeHtml(t('search.error'))}</p>`;
+    } else if (data && !data.groups.length) {
+      html = `<p class="site-search-message">${escapeHtml(t('search.noResults', { query }))}</p>`;
+    } else if (data) {
+      let optionIndex = 0;
+      html = data.groups.map(group => {
+        const options = group.results.map(result => {
+          const index = optionIndex;
+          optionIndex += 1;
+          const detail = formatSearchDetail(group.type, result);
+          return `
+            <li role="option" id="site-search-option-${index}" class="site-search-option" aria-selected="${index === state.search.activeIndex}">
+              <a href="${escapeHtml(result.url)}" tabindex="-1">
+                <span class="site-search-title">${escapeHtml(result.title)}</span>
+                ${detail ? `<span class="site-search-detail">${escapeHtml(detail)}</span>` : ''}
+              </a>
+            </li>
+          `;
+        }).join('');
+        const label = t(`search.group.${group.type}`);
+        return `
+          <ul role="group" aria-label="${escapeHtml(label)}">
+            <li role="presentation" class="site-search-group">${escapeHtml(label)} (${formatNumber(group.total)})</li>
+            ${options}
+          </ul>
+        `;
+      }).join('');
+      if (data.unavailable?.length) html += `<p class="site-search-message">${escapeHtml(t('search.unavailable'))}</p>`;
+    }
+
+    container.setAttribute('aria-label', t('search.results'));
+    container.innerHTML = html;
+    container.classList.toggle('hidden', !html);
+    input.setAttribute('aria-expanded', String(Boolean(html)));
+    const active = getSearchOptions()[state.search.activeIndex];
+    if (active) {
+      input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function closeSearch() {
+    state.search.activeIndex = -1;
+    $('site-search-results')?.classList.add('hidden');
+    $('site-search')?.setAttribute('aria-expanded', 'false');
+    $('site-search')?.removeAttribute('aria-activedescendant');
+  }
+
+  async function runSearch(query) {
+    const requestId = state.search.requestId + 1;
+    state.search.requestId = requestId;
+    state.search.query = query;
+    state.search.activeIndex = -1;
+    if (query.length < SEARCH_MIN_LENGTH) {
+      state.search.status = 'idle';
+      state.search.data = null;
+      closeSearch();
+      return;
+    }
+
+    state.search.status = 'loading';
+    renderSearchResults();
+    try {
+      const params = new URLSearchParams({ q: query, team: state.team.id });
+      const data = await fetchJsonShared(`${ENDPOINTS.search}?${params}`);
+      // A slower response for an older query must not replace newer results.
+      if (requestId !== state.search.requestId) return;
+      state.search.data = { groups: Array.isArray(data?.groups) ? data.groups : [], unavailable: data?.unavailable || [] };
+      state.search.status = 'done';
+    } catch (error) {
+      if (requestId !== state.search.requestId) return;
+      console.warn(`runSearch: Search for "${query}" failed.`, error);
+      state.search.data = null;
+      state.search.status = 'error';
+    }
+    renderSearchResults();
+  }
+
+  function moveSearchSelection(offset) {
+    const options = getSearchOptions();
+    if (!options.length) return;
+    const current = state.search.activeIndex;
+    state.search.activeIndex = current === -1 && offset < 0
+      ? options.length - 1
+      : (current + offset + options.length) % options.length;
+    renderSearchResults();
+  }
+
+  function handleSearchKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if ($('site-search-results')?.classList.contains('hidden') && state.search.data) renderSearchResults();
+        moveSearchSelection(1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        moveSearchSelection(-1);
+        break;
+      case 'Enter': {
+        const options = getSearchOptions();
+        const option = options[state.search.activeIndex] || (options.length === 1 ? options[0] : null);
+        if (!option) return;
+        event.preventDefault();
+        option.querySelector('a')?.click();
+        break;
+      }
+      case 'Escape':
+        if ($('site-search-results')?.classList.contains('hidden')) {
+          clearTimeout(state.search.timer);
+          event.target.value = '';
+          runSearch('');
+        } else {
+          closeSearch();
+        }
+        break;
+      default:
+    }
+  }
+
+  function setupSearch() {
+    const form = $('site-search-form');
+    const input = $('site-search');
+    if (!form || !input) return;
+
+    input.addEventListener('input', () => {
+      clearTimeout(state.search.timer);
+      const query = input.value.trim();
+      state.search.timer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+    });
+    input.addEventListener('keydown', handleSearchKeydown);
+    input.addEventListener('focus', () => {
+      if (state.search.query.length < SEARCH_MIN_LENGTH) return;
+      if (state.search.data) renderSearchResults();
+      else runSearch(state.search.query);
+    });
+    form.addEventListener('submit', event => event.preventDefault());
+    form.addEventListener('focusout', event => {
+      if (!form.contains(event.relatedTarget)) closeSearch();
+    });
+    // Keeps focus in the input while a result is clicked, so the list is
+    // still there when the click lands.
+    $('site-search-results')?.addEventListener('mousedown', event => event.preventDefault());
+    $('site-search-results')?.addEventListener('click', event => {
+      if (!event.target.closest('a')) return;
+      closeSearch();
+      input.blur();
+    });
+  }
+
+  function handleRoute() {
+    const hash = window.location.hash;
+    const route = ROUTES.find(item => item.pattern.test(hash));
+
+    document.querySelectorAll('.route-view').forEach(view => {
+      view.classList.toggle('hidden', view.id !== route?.viewId);
+    });
+    document.body.classList.toggle('has-route-view', Boolean(route));
+
+    if (!route) {
+      document.title = getSiteTitle();
+      // Anchors such as #partidos were hidden while a detail view was open.
+      const target = hash.length > 1 ? $(hash.slice(1)) : null;
+      if (target) target.scrollIntoView();
+      return;
+    }
+
+    const params = hash.match(route.pattern).slice(1).map(decodeURIComponent);
+    window.scrollTo(0, 0);
+    route.render(...params);
+  }
+
+  function getLivePollDelay(game) {
+    // Stopped after the final whistle until the tab is shown again or a
+    // section is refreshed; with no game at all (bye weeks) it keeps checking.
+    if (game?.state === 'post') return null;
+    if (!game) return LIVE_POLL_INTERVALS.idle;
+    if (game.state === 'in') {
+      return game.halftime ? LIVE_POLL_INTERVALS.halftime : LIVE_POLL_INTERVALS.play;
+    }
+
+    const untilKickoff = Date.parse(game.date) - Date.now();
+    if (!Number.isFinite(untilKickoff) || untilKickoff <= HOUR) return LIVE_POLL_INTERVALS.pregame;
+    return Math.min(untilKickoff - HOUR, LIVE_POLL_INTERVALS.idle);
+  }
+
+  function formatPeriod(period) {
+    return period > 4 ? t('game.overtime') : t('game.quarter', { number: period });
+  }
+
+  function formatLiveStatus(game) {
+    if (game.state === 'post') return t('live.final');
+    if (game.halftime) return t('live.halftime');
+    return `${formatPeriod(game.period)} · ${game.clock}`;
+  }
+
+  function renderLiveSide(game, side) {
+    const team = game[side];
+    const hasBall = game.state === 'in' && game.situation?.possession === team.id;
+    return `
+      <div class="live-team${isSelectedTeam(team.id) ? ' is-team' : ''}" data-side="${side}">
+        ${team.logo ? `<img src="${escapeHtml(team.logo)}" alt="" class="live-team-logo">` : ''}
+        <span class="live-team-name">${escapeHtml(team.abbreviation)}${hasBall ? ` <span class="live-possession" title="${escapeHtml(t('live.possession'))}">🏈</span>` : ''}</span>
+        <span class="live-score">${escapeHtml(team.score)}</span>
+      </div>
+    `;
+  }
+
+  function renderLiveGame(game) {
+    const card = $('live-game');
+    if (!card) return;
+
+    const previous = state.live.game;
+    const wasLive = previous?.eventId === game?.eventId && previous?.state === 'in';
+    const visible = Boolean(game) && (game.state === 'in' || (game.state === 'post' && wasLive));
+    card.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const situation = game.state === 'in' && !game.halftime ? game.situation : null;
+    card.classList.toggle('is-final', game.state === 'post');
+    card.innerHTML = `
+      <div class="live-card-header">
+        <span class="live-badge">${escapeHtml(game.state === 'post' ? t('live.final') : t('live.badge'))}</span>
+        <span class="live-status">${escapeHtml(formatLiveStatus(game))}</span>
+      </div>
+      <div class="live-scoreboard">
+        ${renderLiveSide(game, 'away')}
+        <span class="live-separator">@</span>
+        ${renderLiveSide(game, 'home')}
+      </div>
+      ${situation?.downDistanceText ? `<p class="live-situation${situation.isRedZone ? ' is-red-zone' : ''}">${escapeHtml(situation.downDistanceText)}</p>` : ''}
+      ${situation?.lastPlay ? `<p class="live-last-play"><strong>${escapeHtml(t('live.lastPlay'))}</strong> ${escapeHtml(situation.lastPlay)}</p>` : ''}
+      <a href="#partido/${encodeURIComponent(game.eventId)}" class="live-detail-link">${escapeHtml(t('live.viewGame'))}</a>
+    `;
+
+    if (previous?.eventId === game.eventId) {
+      ['home', 'away'].forEach(side => {
+        if (previous[side].score === game[side].score) return;
+        const score = card.querySelector(`[data-side="${side}"] .live-score`);
+        if (!score) return;
+        score.classList.add('score-changed');
+        setTimeout(() => score.classList.remove('score-changed'), SCORE_CHANGE_ANIMATION_MS);
+      });
+    }
+  }
+
+  async function pollLiveGame() {
+    clearTimeout(state.live.timer);
+    state.live.timer = null;
+    if (document.hidden) return;
+
+    let delay;
+    const generation = ++state.live.generation;
+    try {
+      const data = await fetchJson(withTeamParam(ENDPOINTS.live));
+      // Another poll started (the tab was shown again) or the visitor switched
+      // teams while this request was in flight; that poll owns the timer now.
+      if (generation !== state.live.generation) return;
+      const game = data?.game || null;
+      const previous = state.live.game;
+
+      renderLiveGame(game);
+      state.live.game = game;
+      delay = getLivePollDelay(game);
+
+      const scoreChanged = previous && game && previous.eventId === game.eventId
+        && (previous.home.score !== game.home.score || previous.away.score !== game.away.score);
+      const justEnded = previous?.state === 'in' && game?.state === 'post';
+      if (scoreChanged || justEnded) refreshSection('teams-data');
+      if (justEnded) fetchNextGame({ force: true });
+    } catch (error) {
+      if (generation !== state.live.generation) return;
+      console.warn('pollLiveGame: Could not refresh the live scoreboard.', error);
+      delay = LIVE_POLL_INTERVALS.error;
+    }
+
+    if (delay !== null) state.live.timer = setTimeout(pollLiveGame, delay);
+  }
+
+  // Restarts a poll chain that stopped after a final. A request in flight has
+  // no timer yet, but a new poll supersedes it through the generation check.
+  function resumeLivePolling() {
+    if (!state.live.timer) pollLiveGame();
+  }
+
+  function setupLiveMode() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        clearTimeout(state.live.timer);
+        state.live.timer = null;
+      } else {
+        pollLiveGame();
+      }
+    });
+    pollLiveGame();
+  }
+
+  // Comparison rows: `lowerIsBetter` flips which side gets highlighted.
+  const PREVIEW_STATS = {
+    offense: [
+      { key: 'pointsPerGame', get: side => side.pointsPerGame },
+      { key: 'yardsPerGame', get: side => side.stats?.offense.yardsPerGame },
+      { key: 'passingYardsPerGame', get: side => side.stats?.offense.passingYardsPerGame },
+      { key: 'rushingYardsPerGame', get: side => side.stats?.offense.rushingYardsPerGame },
+      { key: 'thirdDownPct', get: side => side.stats?.offense.thirdDownPct, percent: true },
+      { key: 'giveaways', get: side => side.stats?.offense.giveaways, lowerIsBetter: true, integer: true },
+    ],
+    defense: [
+      { key: 'pointsAllowedPerGame', get: side => side.pointsAllowedPerGame, lowerIsBetter: true },
+      { key: 'yardsAllowedPerGame', get: side => side.stats?.defense.yardsAllowedPerGame, lowerIsBetter: true },
+      { key: 'opponentThirdDownPct', get: side => side.stats?.defense.opponentThirdDownPct, lowerIsBetter: true, percent: true },
+      { key: 'sacks', get: side => side.stats?.defense.sacks, integer: true },
+      { key: 'takeaways', get: side => side.stats?.defense.takeaways, integer: true },
+    ],
+  };
+
+  function isUpcomingGame(game) {
+    return !game.status.completed && game.status.state === 'pre'
+      && !['STATUS_POSTPONED', 'STATUS_CANCELED'].includes(game.status.name);
+  }
+
+  function findNextGame(data) {
+    const games = (Array.isArray(data?.weeks) ? data.weeks : []).flatMap(week => week.games || []);
+    return games
+      .filter(isUpcomingGame)
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))[0] || null;
+  }
+
+  function formatCountdown(game, now = Date.now()) {
+    if (!game.timeValid) return t('preview.tbd');
+    const remaining = Date.parse(game.date) - now;
+    if (!Number.isFinite(remaining) || remaining < MINUTE) return t('preview.soon');
+
+    const days = Math.floor(remaining / (24 * HOUR));
+    const hours = Math.floor((remaining % (24 * HOUR)) / HOUR);
+    const minutes = Math.floor((remaining % HOUR) / MINUTE);
+    let time;
+    if (days) time = t('preview.countdown.days', { days, hours });
+    else if (hours) time = t('preview.countdown.hours', { hours, minutes });
+    else time = t('preview.countdown.minutes', { minutes });
+    return t('preview.countdown', { time });
+  }
+
+  function refreshCountdowns() {
+    const countdown = document.querySelector('.next-game-countdown');
+    if (countdown && state.nextGame) countdown.textContent = formatCountdown(state.nextGame);
+  }
+
+  function formatPreviewValue(stat, value) {
+    if (value === null || value === undefined) return '—';
+    if (stat.percent) return formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 1 });
+    return formatNumber(value, { maximumFractionDigits: stat.integer ? 0 : 1 });
+  }
+
+  function renderPreviewRow(stat, us, them) {
+    const ours = stat.get(us);
+    const theirs = stat.get(them);
+    let better = null;
+    if (typeof ours === 'number' && typeof theirs === 'number' && ours !== theirs) {
+      better = (ours > theirs) !== Boolean(stat.lowerIsBetter) ? 'us' : 'them';
+    }
+    return `
+      <tr>
+        <td${better === 'us' ? ' class="is-better"' : ''}>${escapeHtml(formatPreviewValue(stat, ours))}</td>
+        <th scope="row">${escapeHtml(t(`preview.stat.${stat.key}`))}</th>
+        <td${better === 'them' ? ' class="is-better"' : ''}>${escapeHtml(formatPreviewValue(stat, theirs))}</td>
+      </tr>
+    `;
+  }
+
+  function renderPreviewComparison(us, them) {
+    const groupRows = group => `
+      <tr class="next-game-group"><th scope="rowgroup" colspan="3">${escapeHtml(t(`preview.${group}`))}</th></tr>
+      ${PREVIEW_STATS[group].map(stat => renderPreviewRow(stat, us, them)).join('')}
+    `;
+    return `
+      <div class="standings-table-wrapper">
+        <table class="standings-table next-game-compare">
+          <caption>${escapeHtml(t('preview.compare'))}</caption>
+          <thead><tr><th scope="col">${escapeHtml(us.team.abbreviation)}</th><td></td><th scope="col">${escapeHtml(them.team.abbreviation)}</th></tr></thead>
+          <tbody>
+            <tr><td>${escapeHtml(us.record?.summary || '—')}</td><th scope="row">${escapeHtml(t('preview.stat.record'))}</th><td>${escapeHtml(them.record?.summary || '—')}</td></tr>
+            <tr><td>${escapeHtml(us.streak?.label || '—')}</td><th scope="row">${escapeHtml(t('preview.stat.streak'))}</th><td>${escapeHtml(them.streak?.label || '—')}</td></tr>
+            ${groupRows('offense')}
+            ${groupRows('defense')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Unlike article dates, kickoffs are real instants: a Thursday night game
+  // is already Friday in UTC.
+  function formatGameDay(dateStr) {
+    const date = new Date(dateStr);
+    if (!dateStr || Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString(getIntlLocale(), { timeZone: getTimeZone(), day: 'numeric', month: 'short', year: 'numeric' });
+  }
+
+  function renderPreviewSeries(series, us, them) {
+    if (!series) return '';
+    const since = series.since ?? '';
+    const played = series.wins + series.losses + series.ties;
+    const summary = played
+      ? t('preview.series.allTime', { since, summary: series.summary, team: us.team.displayName })
+      : t('preview.series.none', { since });
+    const meetings = series.recent.map(meeting => {
+      const venue = t(meeting.home ? 'preview.series.home' : 'preview.series.away', { opponent: them.team.abbreviation });
+      return `
+        <li>
+          <span class="next-game-result is-${meeting.result.toLowerCase()}">${escapeHtml(t(`preview.result.${meeting.result}`))}</span>
+          <a href="#partido/${encodeURIComponent(meeting.id)}">${escapeHtml(`${meeting.score}-${meeting.opponentScore} ${venue}`)}</a>
+          <span class="article-meta">${escapeHtml(formatGameDay(meeting.date))}</span>
+        </li>
+      `;
+    }).join('');
+    return `
+      <h4>${escapeHtml(t('preview.series'))}</h4>
+      <p>${escapeHtml(summary)}</p>
+      ${series.complete === false ? `<p class="playoff-note">${escapeHtml(t('preview.series.incomplete'))}</p>` : ''}
+      ${meetings ? `<p class="next-game-recent-title">${escapeHtml(t('preview.series.recent'))}</p><ul class="next-game-recent">${meetings}</ul>` : ''}
+    `;
+  }
+
+  // Schedules do not always carry logos; data/teams.json (via the stats payload) does.
+  function renderPreviewSide(side, data) {
+    const { team } = side;
+    const logo = team.logo || [data.team, data.opponent].find(item => item.team.id === team.id)?.team.logo;
+    return `
+      <div class="live-team${isSelectedTeam(team.id) ? ' is-team' : ''}">
+        ${logo ? `<img src="${escapeHtml(logo)}" alt="" class="live-team-logo">` : ''}
+        <span class="live-team-name">${escapeHtml(team.abbreviation)}</span>
+      </div>
+    `;
+  }
+
+  function processNextGame(data) {
+    const game = state.nextGame;
+    if (!game || !data || typeof data !== 'object') {
+      console.warn('processNextGame: No upcoming game or preview data.');
+      return null;
+    }
+    if (!hasModelVersion(data, 'processNextGame')) return null;
+    if (!data.team || !data.opponent) {
+      console.warn('processNextGame: The preview payload is missing one of the teams.');
+      return null;
+    }
+
+    const venue = game.venue ? [game.venue.name, game.venue.city].filter(Boolean).join(', ') : '';
+    const meta = [formatEventDate(game.date), venue, game.broadcasts.join(', ')].filter(Boolean);
+    return `
+      <div class="live-card-header">
+        <span class="live-badge">${escapeHtml(t('preview.title'))}</span>
+        <span class="next-game-countdown">${escapeHtml(formatCountdown(game))}</span>
+      </div>
+      <div class="live-scoreboard">
+        ${renderPreviewSide(game.away, data)}
+        <span class="live-separator">@</span>
+        ${renderPreviewSide(game.home, data)}
+      </div>
+      <p class="game-meta">${meta.map(escapeHtml).join(' · ')}</p>
+      ${renderPreviewComparison(data.team, data.opponent)}
+      ${renderPreviewSeries(data.headToHead, data.team, data.opponent)}
+      <a href="#partido/${encodeURIComponent(game.id)}" class="live-detail-link">${escapeHtml(t('live.viewGame'))}</a>
+    `;
+  }
+
+  async function loadCurrentSchedule(type, { force = false } = {}) {
+    const cacheKey = `${CACHE_KEYS.events}:${state.team.id}:current:${type}`;
+    const cached = readCache(cacheKey);
+    if (!force && isCacheFresh(cached, cacheKey)) return cached.data;
+    const data = await fetchJsonShared(`${withTeamParam(ENDPOINTS.events)}&seasontype=${type}`);
+    writeCache(cacheKey, data);
+    return data;
+  }
+
+  /**
+   * Finds the next game in the current regular season (or playoffs once it is
+   * over) and loads the comparison with that opponent. The card stays hidden
+   * when nothing is scheduled.
+   */
+  async function fetchNextGame({ force = false } = {}) {
+    const teamId = state.team.id;
+    let game = null;
+    let season = null;
+    try {
+      for (const type of ['regular', 'post']) {
+        const data = await loadCurrentSchedule(type, { force });
+        if (teamId !== state.team.id) return;
+        game = findNextGame(data);
+        if (game) {
+          season = data.season;
+          break;
+        }
+      }
+    } catch (error) {
+      console.warn('fetchNextGame: Could not load the schedule for the game preview.', error);
+    }
+
+    state.nextGame = game;
+    $('next-game')?.classList.toggle('hidden', !game);
+    if (!game) return;
+
+    const opponent = game.home.team.id === teamId ? game.away.team : game.home.team;
+    const params = new URLSearchParams({ team: teamId, opponent: opponent.id });
+    if (season) params.set('season', String(season));
+    await fetchDataAndDisplay({
+      url: `${ENDPOINTS.teamStats}?${params}`,
+      sectionId: 'next-game-data',
+      cacheKey: `${CACHE_KEYS.teamStats}:${teamId}:${opponent.id}:${season || 'current'}`,
+      processData: processNextGame,
+      emptyMessageKey: 'preview.empty',
+      force,
+    });
+  }
+
+  function readJsonPreference(key, fallback) {
+    try {
+      return JSON.parse(readPreference(key)) ?? fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  function getSavedPosition(slug) {
+    return Number(readJsonPreference(PLAYER_POSITIONS_KEY, {})[slug]) || 0;
+  }
+
+  function savePosition(slug, seconds, duration) {
+    const positions = readJsonPreference(PLAYER_POSITIONS_KEY, {});
+    const finished = duration && seconds >= duration - FINISHED_THRESHOLD_SECONDS;
+    if (finished || seconds < 1) {
+      delete positions[slug];
+    } else {
+      positions[slug] = Math.floor(seconds);
+    }
+    savePreference(PLAYER_POSITIONS_KEY, JSON.stringify(positions));
+  }
+
+  function persistPlayerState() {
+    const { current, queue, rate } = state.player;
+    savePreference(PLAYER_STORAGE_KEY, JSON.stringify({ current, queue, rate }));
+  }
+
+  function getPlayerAudio() {
+    return $('podcast-audio');
+  }
+
+  function saveCurrentPosition() {
+    const audio = getPlayerAudio();
+    if (!audio || !state.player.current) return;
+    savePosition(state.player.current, audio.currentTime, audio.duration);
+    state.player.lastSavedAt = Date.now();
+  }
+
+  function getCurrentChapter(episode, time) {
+    if (!Array.isArray(episode?.chapters)) return null;
+    return episode.chapters.reduce((current, chapter) => (
+      chapter.start <= time ? chapter : current
+    ), null);
+  }
+
+  function renderPlayerQueue() {
+    const queue = $('player-queue');
+    if (!queue) return;
+
+    const items = state.player.queue
+      .map(slug => state.player.episodes.get(slug))
+      .filter(Boolean);
+    $('player-queue-label').textContent = t('player.queue', { count: items.length });
+    queue.innerHTML = items.length
+      ? items.map(episode => `
+        <li>
+          <span>${escapeHtml(episode.title)}</span>
+          <button type="button" data-queue-remove="${escapeHtml(episode.slug)}" aria-label="${escapeHtml(t('player.remove'))}" title="${escapeHtml(t('player.remove'))}">✕</button>
+        </li>
+      `).join('')
+      : `<li>${escapeHtml(t('player.queueEmpty'))}</li>`;
+    $('player-next').disabled = !items.length;
+  }
+
+  function renderPlayerProgress() {
+    const audio = getPlayerAudio();
+    const episode = state.player.episodes.get(state.player.current);
+    if (!audio || !episode) return;
+
+    const duration = Number.isFinite(audio.duration) ? audio.duration : episode.duration || 0;
+    const seek = $('player-seek');
+    seek.max = String(Math.floor(duration));
+    if (document.activeElement !== seek) seek.value = String(Math.floor(audio.currentTime));
+    $('player-time').textContent = `${formatClock(audio.currentTime)} / ${formatClock(duration)}`;
+
+    const chapter = getCurrentChapter(episode, audio.currentTime);
+    $('player-chapter').textContent = chapter?.title || '';
+    const chapterSelect = $('player-chapters');
+    if (chapter && document.activeElement !== chapterSelect) chapterSelect.value = String(chapter.start);
+  }
+
+  function renderPlayer() {
+    const player = $('podcast-player');
+    const audio = getPlayerAudio();
+    const episode = state.player.episodes.get(state.player.current);
+    if (!player || !audio) return;
+
+    player.classList.toggle('hidden', !episode);
+    document.body.classList.toggle('has-podcast-player', Boolean(episode));
+    if (!episode) return;
+
+    $('player-title').textContent = episode.title;
+    const toggle = $('player-toggle');
+    const playing = !audio.paused;
+    toggle.textContent = playing ? '⏸' : '▶';
+    toggle.setAttribute('aria-label', t(playing ? 'player.pause' : 'player.play'));
+    toggle.title = t(playing ? 'player.pause' : 'player.play');
+
+    $('player-rate').innerHTML = PLAYBACK_RATES.map(rate => (
+      `<option value="${rate}"${rate === state.player.rate ? ' selected' : ''}>${escapeHtml(formatNumber(rate))}×</option>`
+    )).join('');
+
+    const chapters = Array.isArray(episode.chapters) ? episode.chapters : [];
+    const chapterSelect = $('player-chapters');
+    chapterSelect.classList.toggle('hidden', !chapters.length);
+    chapterSelect.innerHTML = chapters.map(chapter => (
+      `<option value="${Number(chapter.start) || 0}">${escapeHtml(`${formatClock(chapter.start)} · ${chapter.title}`)}</option>`
+    )).join('');
+
+    renderPlayerQueue();
+    renderPlayerProgress();
+  }
+
+  function updateMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+    const episode = state.player.episodes.get(state.player.current);
+    if (!episode || typeof MediaMetadata === 'undefined') return;
+
+    const channel = state.player.channel || {};
+    const artwork = episode.image || channel.image;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: episode.title,
+      artist: channel.author || getSiteTitle(),
+      album: channel.title || getSiteTitle(),
+      artwork: artwork ? [{ src: new URL(artwork, window.location.href).href, sizes: '512x512' }] : [],
+    });
+  }
+
+  function updateMediaPositionState() {
+    const audio = getPlayerAudio();
+    if (!audio || !('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    if (!Number.isFinite(audio.duration)) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration),
+      });
+    } catch (error) {
+      console.warn('updateMediaPositionState: Could not update the media session position.', error);
+    }
+  }
+
+  function loadEpisode(slug, { autoplay = true, startAt = null } = {}) {
+    const audio = getPlayerAudio();
+    const episode = state.player.episodes.get(slug);
+    if (!audio || !episode) return;
+
+    if (state.player.current && state.player.current !== slug) saveCurrentPosition();
+    state.player.current = slug;
+    state.player.queue = state.player.queue.filter(item => item !== slug);
+    persistPlayerState();
+
+    const resumeAt = startAt ?? getSavedPosition(slug);
+    audio.src = episode.src;
+    audio.playbackRate = state.player.rate;
+    audio.addEventListener('loadedmetadata', () => {
+      if (resumeAt) audio.currentTime = Math.min(resumeAt, audio.duration || resumeAt);
+      // Setting src resets the rate to its default.
+      audio.playbackRate = state.player.rate;
+      renderPlayerProgress();
+    }, { once: true });
+
+    if (autoplay) {
+      audio.play().catch(error => console.warn('loadEpisode: Playback did not start.', error));
+    }
+    updateMediaSession();
+    renderPlayer();
+    rerenderSection('podcast-list');
+  }
+
+  function playEpisode(slug, startAt = null) {
+    const audio = getPlayerAudio();
+    if (!audio) return;
+
+    if (state.player.current !== slug) {
+      loadEpisode(slug, { startAt });
+      return;
+    }
+    if (startAt !== null) audio.currentTime = startAt;
+    audio.play().catch(error => console.warn('playEpisode: Playback did not start.', error));
+  }
+
+  function enqueueEpisode(slug) {
+    if (!state.player.episodes.has(slug) || state.player.queue.includes(slug)) return;
+    if (!state.player.current) {
+      loadEpisode(slug, { autoplay: false });
+      return;
+    }
+    if (slug === state.player.current) return;
+
+    state.player.queue.push(slug);
+    persistPlayerState();
+    renderPlayerQueue();
+    rerenderSection('podcast-list');
+  }
+
+  function playNextEpisode() {
+    const [next] = state.player.queue;
+    if (next) loadEpisode(next);
+  }
+
+  function closePlayer() {
+    const audio = getPlayerAudio();
+    saveCurrentPosition();
+    if (audio) {
+      audio.pause();
+      audio.removeAttribute('src');
+      audio.load();
+    }
+    state.player.current = null;
+    persistPlayerState();
+    renderPlayer();
+    rerenderSection('podcast-list');
+  }
+
+  function skipBy(seconds) {
+    const audio = getPlayerAudio();
+    if (!audio || !state.player.current) return;
+    const duration = Number.isFinite(audio.duration) ? audio.duration : Infinity;
+    audio.currentTime = Math.min(Math.max(audio.currentTime + seconds, 0), duration);
+  }
+
+  function setPlaybackRate(rate) {
+    if (!PLAYBACK_RATES.includes(rate)) return;
+    state.player.rate = rate;
+    const audio = getPlayerAudio();
+    if (audio) audio.playbackRate = rate;
+    persistPlayerState();
+    updateMediaPositionState();
+  }
+
+  // Called whenever the podcast list renders. The first call restores the
+  // episode and queue from the previous visit, paused at the saved position.
+  function registerPodcastEpisodes(data) {
+    state.player.channel = data.podcast || state.player.channel;
+    data.podcasts.forEach(episode => {
+      if (episode?.slug && episode.src) state.player.episodes.set(episode.slug, episode);
+    });
+    if (state.player.restored) return;
+
+    state.player.restored = true;
+    const saved = readJsonPreference(PLAYER_STORAGE_KEY, {});
+    state.player.rate = PLAYBACK_RATES.includes(saved.rate) ? saved.rate : 1;
+    state.player.queue = Array.isArray(saved.queue)
+      ? saved.queue.filter(slug => state.player.episodes.has(slug))
+      : [];
+    if (saved.current && state.player.episodes.has(saved.current)) {
+      // Deferred so the list that triggered this render is not re-entered.
+      setTimeout(() => loadEpisode(saved.current, { autoplay: false }), 0);
+    }
+  }
+
+  function setupMediaSessionHandlers() {
+    if (!('mediaSession' in navigator)) return;
+    const audio = getPlayerAudio();
+    const handlers = {
+      play: () => audio.play(),
+      pause: () => audio.pause(),
+      seekbackward: details => skipBy(-(details.seekOffset || SKIP_BACK_SECONDS)),
+      seekforward: details => skipBy(details.seekOffset || SKIP_FORWARD_SECONDS),
+      seekto: details => {
+        audio.currentTime = details.seekTime;
+        updateMediaPositionState();
+      },
+      nexttrack: () => playNextEpisode(),
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        // Older browsers throw for actions they do not support.
+      }
+    });
+  }
+
+  function setupPodcastPlayer() {
+    const audio = getPlayerAudio();
+    if (!audio) return;
+
+    audio.addEventListener('timeupdate', () => {
+      renderPlayerProgress();
+      if (Date.now() - state.player.lastSavedAt >= POSITION_SAVE_INTERVAL) saveCurrentPosition();
+    });
+    ['play', 'pause'].forEach(type => audio.addEventListener(type, () => {
+      saveCurrentPosition();
+      renderPlayer();
+      updateMediaPositionState();
+      if ('mediaSession' in navigator) navigator.mediaSession.playbackState = audio.paused ? 'paused' : 'playing';
+    }));
+    audio.addEventListener('ended', () => {
+      saveCurrentPosition();
+      if (state.player.queue.length) {
+        playNextEpisode();
+      } else {
+        renderPlayer();
+        rerenderSection('podcast-list');
+      }
+    });
+    audio.addEventListener('error', () => {
+      console.warn(`setupPodcastPlayer: Could not load audio for '${state.player.current}'.`, audio.error);
+    });
+
+    $('player-toggle')?.addEventListener('click', () => {
+      if (audio.paused) {
+        audio.play().catch(error => console.warn('setupPodcastPlayer: Playback did not start.', error));
+      } else {
+        audio.pause();
+      }
+    });
+    $('player-back')?.addEventListener('click', () => skipBy(-SKIP_BACK_SECONDS));
+    $('player-forward')?.addEventListener('click', () => skipBy(SKIP_FORWARD_SECONDS));
+    $('player-next')?.addEventListener('click', playNextEpisode);
+    $('player-close')?.addEventListener('click', closePlayer);
+    $('player-seek')?.addEventListener('change', event => {
+      audio.currentTime = Number(event.target.value);
+      updateMediaPositionState();
+    });
+    $('player-rate')?.addEventListener('change', event => setPlaybackRate(Number(event.target.value)));
+    $('player-chapters')?.addEventListener('change', event => {
+      audio.currentTime = Number(event.target.value);
+    });
+    $('player-queue')?.addEventListener('click', event => {
+      const slug = event.target.closest('[data-queue-remove]')?.dataset.queueRemove;
+      if (!slug) return;
+      state.player.queue = state.player.queue.filter(item => item !== slug);
+      persistPlayerState();
+      renderPlayerQueue();
+      rerenderSection('podcast-list');
+    });
+
+    $('podcast-list')?.addEventListener('click', event => {
+      const playButton = event.target.closest('[data-podcast-play]');
+      if (playButton) {
+        const startAt = playButton.dataset.start !== undefined ? Number(playButton.dataset.start) : null;
+        playEpisode(playButton.dataset.podcastPlay, startAt);
+        return;
+      }
+      const queueButton = event.target.closest('[data-podcast-queue]');
+      if (queueButton) {
+        enqueueEpisode(queueButton.dataset.podcastQueue);
+        return;
+      }
+      const downloadButton = event.target.closest('[data-podcast-download]');
+      if (downloadButton) toggleEpisodeDownload(downloadButton.dataset.podcastDownload);
+    });
+
+    window.addEventListener('pagehide', saveCurrentPosition);
+    setupMediaSessionHandlers();
+  }
+
+  function recordWinPercent(summary) {
+    const match = /^(\d+)-(\d+)(?:-(\d+))?$/.exec(summary || '');
+    if (!match) return -1;
+    const wins = Number(match[1]);
+    const losses = Number(match[2]);
+    const ties = Number(match[3] || 0);
+    const games = wins + losses + ties;
+    return games ? (wins + ties / 2) / games : 0;
+  }
+
+  function hasModelVersion(data, caller) {
+    if (data?.version === API_MODEL_VERSION) return true;
+    console.warn(`${caller}: Unsupported payload version ${data?.version}; expected ${API_MODEL_VERSION}.`);
+    return false;
+  }
+
+  // Rows arrive as StandingsRow objects from /api/espn-standings, already
+  // tagged with their conference and division.
+  function extractStandingsTables(data) {
+    const rows = Array.isArray(data?.rows) ? data.rows.filter(row => row?.team?.id) : [];
+    return {
+      division: rows.filter(row => row.division === state.team.division),
+      conference: rows.filter(row => row.conference === state.team.conference),
+    };
+  }
+
+  function getSortValue(row, key) {
+    if (key === 'team') return row.team.displayName;
+    if (key === 'streak') return row.streak.value;
+    if (key === 'divisionRecord' || key === 'conferenceRecord') return recordWinPercent(row[key]);
+    if (key === 'seed') return row.seed ?? Number.POSITIVE_INFINITY;
+    return row[key];
+  }
+
+  function sortStandingsRows(rows, { key, direction }) {
+    const factor = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const valueA = getSortValue(a, key);
+      const valueB = getSortValue(b, key);
+      if (typeof valueA === 'string' || typeof valueB === 'string') {
+        return String(valueA).localeCompare(String(valueB), getIntlLocale()) * factor;
+      }
+      if (valueA === valueB) return (b.winPercent - a.winPercent) || a.team.displayName.localeCompare(b.team.displayName);
+      return (valueA - valueB) * factor;
+    });
+  }
+
+  function formatWinPercent(value) {
+    const formatted = formatNumber(value, { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+    // US convention drops the leading zero (.750); Spanish keeps it (0,750).
+    return state.locale === 'en' ? formatted.replace(/^0(?=\.)/, '') : formatted;
+  }
+
+  function formatDifferential(value) {
+    return formatNumber(value, { signDisplay: 'exceptZero' });
+  }
+
+  function renderStandingsCell(row, column) {
+    switch (column.key) {
+      case 'team': {
+        const logo = row.team.logo
+          ? `<img src="${escapeHtml(row.team.logo)}" alt="" class="standings-logo" loading="lazy">`
+          : '';
+        return `${logo}<span class="standings-team-name">${escapeHtml(row.team.displayName)}</span>`;
+      }
+      case 'streak':
+        return escapeHtml(row.streak.label || '—');
+      case 'seed':
+        return row.seed === null ? '—' : String(row.seed);
+      case 'winPercent':
+        return formatWinPercent(row.winPercent);
+      case 'differential':
+        return formatDifferential(row.differential);
+      case 'pointsFor':
+      case 'pointsAgainst':
+        return formatNumber(row[column.key]);
+      default:
+        return escapeHtml(row[column.key] === '' ? '—' : row[column.key]);
+    }
+  }
+
+  function renderStandingsTable(rows, view) {
+    const columns = STANDINGS_COLUMNS.filter(column => !column.conferenceOnly || view === 'conference');
+    const { key, direction } = state.standingsSort[view];
+    const sortedRows = sortStandingsRows(rows, state.standingsSort[view]);
+    const showPlayoffLine = view === 'conference' && key === 'seed' && direction === 'asc';
+
+    const header = columns.map(column => {
+      const isSorted = column.key === key;
+      const ariaSort = isSorted ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+      const indicator = isSorted ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+      return `
+        <th scope="col" aria-sort="${ariaSort}" title="${escapeHtml(t(`standings.columns.${column.key}.title`))}">
+          <button type="button" class="standings-sort" data-sort-key="${column.key}">${escapeHtml(t(`standings.columns.${column.key}`))}${indicator}</button>
+        </th>
+      `;
+    }).join('');
+
+    const body = sortedRows.map(row => {
+      const classes = [];
+      if (isSelectedTeam(row.team.id)) classes.push('is-team');
+      if (showPlayoffLine && row.seed === PLAYOFF_SEEDS) classes.push('playoff-cutoff');
+      const cells = columns.map(column => (
+        column.key === 'team'
+          ? `<th scope="row">${renderStandingsCell(row, column)}</th>`
+          : `<td>${renderStandingsCell(row, column)}</td>`
+      )).join('');
+      return `<tr class="${classes.join(' ')}"${isSelectedTeam(row.team.id) ? ' aria-current="true"' : ''}>${cells}</tr>`;
+    }).join('');
+
+    return `
+      <div class="standings-table-wrapper">
+        <table class="standings-table">
+          <caption>${view === 'division' ? escapeHtml(state.team.division) : escapeHtml(getConferenceName())}</caption>
+          <thead><tr>${header}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function processStandingsData(data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('processStandingsData: No standings data found or data is not a valid object.');
+      return null;
+    }
+    if (!hasModelVersion(data, 'processStandingsData')) return null;
+
+    const tables = extractStandingsTables(data);
+    if (!tables || !tables.division.length) {
+      console.warn('processStandingsData: No standings rows found for the selected division.');
+      return null;
+    }
+
+    const view = state.standingsView === 'conference' && tables.conference.length ? 'conference' : 'division';
+    const rows = tables[view];
+    const teamRow = tables.division.find(row => isSelectedTeam(row.team.id));
+    const divisionPosition = sortStandingsRows(tables.division, { key: 'winPercent', direction: 'desc' })
+      .findIndex(row => isSelectedTeam(row.team.id)) + 1;
+
+    const summary = teamRow
+      ? `<p class="standings-summary">${escapeHtml(t('standings.summary', {
+        team: state.team.displayName,
+        wins: teamRow.wins,
+        losses: teamRow.losses,
+        ties: teamRow.ties,
+        position: divisionPosition,
+        division: state.team.division,
+      }))}${teamRow.seed ? ` · ${escapeHtml(t('standings.summarySeed', { seed: teamRow.seed }))}` : ''}</p>`
+      : '';
+
+    const toggle = `
+      <div class="standings-toggle" role="group" aria-label="${escapeHtml(t('standings.viewLabel'))}">
+        <button type="button" data-standings-view="division" aria-pressed="${view === 'division'}">${escapeHtml(state.team.division)}</button>
+        <button type="button" data-standings-view="conference" aria-pressed="${view === 'conference'}"${tables.conference.length ? '' : ' disabled'}>${escapeHtml(t('standings.fullConference', { conference: state.team.conference }))}</button>
+      </div>
+    `;
+
+    return `${summary}${toggle}${renderStandingsTable(rows, view)}`;
+  }
+
+  function setupStandingsControls() {
+    const container = $('temporada-data');
+    if (!container) return;
+
+    container.addEventListener('click', event => {
+      const viewButton = event.target.closest('[data-standings-view]');
+      if (viewButton) {
+        state.standingsView = viewButton.dataset.standingsView;
+        rerenderSection('temporada-data');
+        return;
+      }
+
+      const sortButton = event.target.closest('[data-sort-key]');
+      if (sortButton) {
+        const view = state.standingsView;
+        const key = sortButton.dataset.sortKey;
+        const current = state.standingsSort[view];
+        const column = STANDINGS_COLUMNS.find(item => item.key === key);
+        const direction = current.key === key
+          ? (current.direction === 'asc' ? 'desc' : 'asc')
+          : column?.defaultDirection || 'desc';
+        state.standingsSort[view] = { key, direction };
+        rerenderSection('temporada-data');
+      }
+    });
+  }
+
+  function formatTeamRecord({ wins, losses, ties }) {
+    return `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+  }
+
+  function renderClinchMarker(code) {
+    if (!code) return '';
+    return ` <abbr class="playoff-marker" title="${escapeHtml(t(`playoffs.marker.${code}`))}">${escapeHtml(code)}</abbr>`;
+  }
+
+  function renderPlayoffTable(picture, conference) {
+    const body = picture.map(entry => {
+      const classes = [];
+      if (isSelectedTeam(entry.team.id)) classes.push('is-team');
+      if (entry.seed === PLAYOFF_SEEDS) classes.push('playoff-cutoff');
+      const logo = entry.team.logo
+        ? `<img src="${escapeHtml(entry.team.logo)}" alt="" class="standings-logo" loading="lazy">`
+        : '';
+      const notes = [
+        entry.divisionLeader ? t('playoffs.note.leader', { division: entry.division }) : '',
+        entry.reason ? t('playoffs.note.tiebreak', { reason: t(`playoffs.reason.${entry.reason}`) }) : '',
+      ].filter(Boolean).join(' · ');
+      return `
+        <tr class="${classes.join(' ')}"${isSelectedTeam(entry.team.id) ? ' aria-current="true"' : ''}>
+          <td>${entry.seed ?? '—'}</td>
+          <th scope="row">${logo}<span class="standings-team-name">${escapeHtml(entry.team.displayName)}</span>${renderClinchMarker(entry.clincher)}</th>
+          <td>${escapeHtml(formatTeamRecord(entry.record))}</td>
+          <td class="playoff-note">${escapeHtml(notes)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="standings-table-wrapper">
+        <table class="standings-table playoff-table">
+          <caption>${escapeHtml(t('playoffs.caption', { conference }))}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${escapeHtml(t('playoffs.columns.seed'))}</th>
+              <th scope="col">${escapeHtml(t('playoffs.columns.team'))}</th>
+              <th scope="col">${escapeHtml(t('playoffs.columns.record'))}</th>
+              <th scope="col">${escapeHtml(t('playoffs.columns.note'))}</th>
+            </tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+      <dl class="playoff-legend">
+        ${CLINCH_MARKERS.map(code => `<dt>${escapeHtml(code)}</dt><dd>${escapeHtml(t(`playoffs.marker.${code}`))}</dd>`).join('')}
+      </dl>
+    `;
+  }
+
+  function getTeamAbbreviation(data, teamId) {
+    const row = data.teams.find(item => item?.team?.id === teamId);
+    return row?.team.abbreviation || state.teams.find(team => team.id === teamId)?.abbreviation || teamId;
+  }
+
+  function renderPlayoffSimulator(data) {
+    const open = data.games.filter(game => !game.completed);
+    if (!open.length) return `<p class="playoff-note">${escapeHtml(t('playoffs.noGamesLeft'))}</p>`;
+
+    const weeks = new Map();
+    open.forEach(game => weeks.set(game.week, [...(weeks.get(game.week) || []), game]));
+
+    const rows = [...weeks.entries()].map(([week, games]) => {
+      const items = games.map(game => {
+        const away = getTeamAbbreviation(data, game.away);
+        const home = getTeamAbbreviation(data, game.home);
+        const pick = state.playoffPicks.get(game.id);
+        const options = [['away', away], ['tie', t('playoffs.pick.tie')], ['home', home]].map(([side, label]) => (
+          `<button type="button" data-pick-game="${escapeHtml(game.id)}" data-pick="${side}" aria-pressed="${pick === side}">${escapeHtml(label)}</button>`
+        )).join('');
+        return `
+          <li class="playoff-pick">
+            <span>${escapeHtml(`${away} @ ${home}`)}</span>
+            <span class="standings-toggle" role="group" aria-label="${escapeHtml(t('playoffs.pick.aria', { away, home }))}">${options}</span>
+          </li>
+        `;
+      }).join('');
+      const heading = week ? t('events.week', { number: week }) : t('playoffs.unscheduled');
+      return `<h4 class="schedule-week">${escapeHtml(heading)}</h4><ul class="playoff-picks">${items}</ul>`;
+    }).join('');
+
+    return `
+      <div class="playoff-simulator">
+        <h3>${escapeHtml(t('playoffs.simulator.title'))}</h3>
+        <p>${escapeHtml(t('playoffs.simulator.hint'))}</p>
+        <button type="button" class="refresh-button" data-pick-reset${state.playoffPicks.size ? '' : ' disabled'}>${escapeHtml(t('playoffs.reset', { count: state.playoffPicks.size }))}</button>
+        ${rows}
+      </div>
+    `;
+  }
+
+  function processPlayoffsData(data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('processPlayoffsData: No playoff data found or data is not a valid object.');
+      return null;
+    }
+    if (!hasModelVersion(data, 'processPlayoffsData')) return null;
+    if (!Array.isArray(data.teams) || !Array.isArray(data.games)
+      || !data.teams.some(row => row?.conference === data.conference)) {
+      console.warn('processPlayoffsData: No standings rows found for the conference.');
+      return null;
+    }
+
+    const picture = buildPlayoffPicture(data, state.playoffPicks);
+    const teamEntry = picture.find(entry => isSelectedTeam(entry.team.id));
+    const context = t(state.playoffPicks.size ? 'playoffs.context.picks' : 'playoffs.context.today');
+    const summary = teamEntry
+      ? `<p class="standings-summary">${escapeHtml(t(teamEntry.seed ? 'playoffs.summary.in' : 'playoffs.summary.out', {
+        context,
+        team: state.team.displayName,
+        seed: teamEntry.seed,
+        position: teamEntry.position,
+        conference: data.conference,
+      }))}</p>`
+      : '';
+    const incomplete = data.missingTeams?.length
+      ? `<p class="playoff-note">${escapeHtml(t('playoffs.incomplete', { count: data.missingTeams.length }))}</p>`
+      : '';
+
+    return `${summary}${incomplete}${renderPlayoffTable(picture, data.conference)}${renderPlayoffSimulator(data)}`;
+  }
+
+  function setupPlayoffControls() {
+    const container = $('playoffs-data');
+    if (!container) return;
+
+    container.addEventListener('click', event => {
+      if (event.target.closest('[data-pick-reset]')) {
+        state.playoffPicks.clear();
+        rerenderSection('playoffs-data');
+        return;
+      }
+
+      const pickButton = event.target.closest('[data-pick-game]');
+      if (!pickButton) return;
+      const { pickGame, pick } = pickButton.dataset;
+      // Choosing the current pick again clears it.
+      if (state.playoffPicks.get(pickGame) === pick) {
+        state.playoffPicks.delete(pickGame);
+      } else {
+        state.playoffPicks.set(pickGame, pick);
+      }
+      rerenderSection('playoffs-data');
+    });
+  }
+
+  // "Load more" asks for the first page * ARTICLES_PAGE_SIZE items again, so
+  // the list stays one response that re-renders on language changes.
+  async function fetchArticles() {
+    const { page, tag } = state.articlesQuery;
+    const params = new URLSearchParams({ pageSize: String(Math.min(page * ARTICLES_PAGE_SIZE, ARTICLES_MAX_ITEMS)) });
+    if (tag) params.set('tag', tag);
+
+    await fetchDataAndDisplay({
+      url: `${withTeamParam(ENDPOINTS.news)}&${params}`,
+      sectionId: 'articles-list',
+      cacheKey: `${CACHE_KEYS.news}:${state.team.id}:${page}:${tag || ''}`,
+      processData: processArticles,
+      emptyMessageKey: 'articles.empty',
+    });
+  }
+
+  // Tag filtering and paging happen server-side, so each change refetches
+  // the list. Tag buttons inside an open article jump back to the list.
+  function setupArticleControls() {
+    const handleClick = event => {
+      if (event.target.closest('[data-article-more]')) {
+        state.articlesQuery = { ...state.articlesQuery, page: state.articlesQuery.page + 1 };
+        fetchArticles();
+        return;
+      }
+      const tagButton = event.target.closest('[data-article-tag]');
+      if (!tagButton) return;
+      state.articlesQuery = { page: 1, tag: tagButton.dataset.articleTag || null };
+
+      fetchArticles();
+      if (window.location.hash !== '#articulos') {
+        window.location.hash = '#articulos';
+      } else {
+        $('articulos')?.scrollIntoView();
+      }
+    };
+
+    ['articles-list', 'article-detail-data'].forEach(id => $(id)?.addEventListener('click', handleClick));
+  }
+
+  async function fetchPodcasts() {
+    await fetchDataAndDisplay({
+      url: `${ENDPOINTS.content}?type=podcasts`,
       sectionId: 'podcast-list',
-      cacheKey: CACHE_KEYS.podcasts,
+      cacheKey: `${CACHE_KEYS.content}:podcasts`,
       processData: processPodcasts,
-      emptyMessage: 'No hay podcasts disponibles en este momento.',
+      emptyMessageKey: 'podcasts.empty',
     });
   }
 
   async function fetchTeamEvents() {
+    const { season, seasonType } = state.schedule;
+    const type = Object.keys(SEASON_TYPES).find(key => SEASON_TYPES[key] === seasonType);
+    const params = new URLSearchParams({ seasontype: type });
+    if (season) params.set('season', String(season));
+
     await fetchDataAndDisplay({
-      url: ENDPOINTS.events,
+      url: `${withTeamParam(ENDPOINTS.events)}&${params}`,
       sectionId: 'teams-data',
-      cacheKey: CACHE_KEYS.events,
+      cacheKey: `${CACHE_KEYS.events}:${state.team.id}:${season || 'current'}:${type}`,
       processData: processTeamEventsData,
-      emptyMessage: 'No hay partidos disponibles para los Commanders en este momento.',
+      emptyMessageKey: 'events.empty',
     });
   }
 
@@ -425,8 +3432,382 @@
       sectionId: 'temporada-data',
       cacheKey: CACHE_KEYS.standings,
       processData: processStandingsData,
-      emptyMessage: 'No hay datos de clasificación disponibles en este momento.',
+      emptyMessageKey: 'standings.empty',
+    });
+  }
+
+  async function fetchPlayoffs() {
+    await fetchDataAndDisplay({
+      url: withTeamParam(ENDPOINTS.playoffs),
+      sectionId: 'playoffs-data',
+      cacheKey: `${CACHE_KEYS.playoffs}:${state.team.conference}`,
+      processData: processPlayoffsData,
+      emptyMessageKey: 'playoffs.empty',
+    });
+  }
+
+  // Lowercase without accents, so "jose" finds "José".
+  function normalizeSearchText(value) {
+    return String(value || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase().trim();
+  }
+
+  function matchesRosterFilters(athlete) {
+    const { position, query } = state.roster;
+    if (position && !ROSTER_POSITIONS[position]?.includes(athlete.position.abbreviation)) return false;
+    const needle = normalizeSearchText(query);
+    if (!needle) return true;
+    return /^\d+$/.test(needle)
+      ? athlete.jersey === needle
+      : normalizeSearchText(athlete.displayName).includes(needle);
+  }
+
+  function formatExperience(years) {
+    if (years === null || years === undefined) return '—';
+    return years === 0 ? t('roster.rookie') : formatNumber(years);
+  }
+
+  function renderRosterRow(athlete) {
+    const headshot = athlete.headshot
+      ? `<img src="${escapeHtml(athlete.headshot)}" alt="" class="roster-headshot" loading="lazy" width="32" height="32">`
+      : '';
+    const injury = athlete.injury ? ` <span class="roster-injury">${escapeHtml(athlete.injury)}</span>` : '';
+    const status = athlete.status && athlete.status !== 'Active' ? ` <span class="roster-status">${escapeHtml(athlete.status)}</span>` : '';
+    return `
+      <tr>
+        <td>${escapeHtml(athlete.jersey || '—')}</td>
+        <th scope="row">${headshot}<a href="#jugador/${encodeURIComponent(athlete.id)}">${escapeHtml(athlete.displayName)}</a>${injury}${status}</th>
+        <td><abbr title="${escapeHtml(athlete.position.name)}">${escapeHtml(athlete.position.abbreviation || '—')}</abbr></td>
+        <td>${athlete.age === null ? '—' : formatNumber(athlete.age)}</td>
+        <td>${escapeHtml(athlete.height || '—')}</td>
+        <td>${escapeHtml(athlete.weight || '—')}</td>
+        <td>${escapeHtml(formatExperience(athlete.experience))}</td>
+        <td>${escapeHtml(athlete.college || '—')}</td>
+      </tr>
+    `;
+  }
+
+  function renderRosterGroup(group) {
+    const athletes = group.athletes.filter(matchesRosterFilters);
+    if (!athletes.length) return '';
+    const columns = ['jersey', 'name', 'position', 'age', 'height', 'weight', 'experience', 'college'];
+    return `
+      <div class="standings-table-wrapper">
+        <table class="standings-table roster-table">
+          <caption>${escapeHtml(t(`roster.unit.${group.unit}`))} (${formatNumber(athletes.length)})</caption>
+          <thead><tr>${columns.map(column => `<th scope="col">${escapeHtml(t(`roster.columns.${column}`))}</th>`).join('')}</tr></thead>
+          <tbody>${athletes.map(renderRosterRow).join('')}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function processRosterData(data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('processRosterData: No roster data found or data is not a valid object.');
+      return null;
+    }
+    if (!hasModelVersion(data, 'processRosterData')) return null;
+    if (!Array.isArray(data.groups) || !data.groups.some(group => group?.athletes?.length)) {
+      console.warn('processRosterData: The roster has no players.');
+      return null;
+    }
+
+    const coach = data.coach ? `<p class="standings-summary">${escapeHtml(t('roster.coach', { name: data.coach.name }))}</p>` : '';
+    const tables = data.groups.map(renderRosterGroup).join('');
+    return `${coach}${tables || `<p class="playoff-note">${escapeHtml(t('roster.noMatches'))}</p>`}`;
+  }
+
+  function renderRosterControls() {
+    const select = $('roster-position');
+    if (!select) return;
+    const options = ['', ...Object.keys(ROSTER_POSITIONS)].map(position => (
+      `<option value="${position}"${position === state.roster.position ? ' selected' : ''}>${escapeHtml(t(position ? `roster.position.${position}` : 'roster.position.all'))}</option>`
+    ));
+    select.innerHTML = options.join('');
+  }
+
+  function setupRosterControls() {
+    renderRosterControls();
+    $('roster-position')?.addEventListener('change', event => {
+      state.roster.position = ROSTER_POSITIONS[event.target.value] ? event.target.value : '';
+      rerenderSection('roster-data');
+    });
+    $('roster-search')?.addEventListener('input', event => {
+      state.roster.query = event.target.value;
+      rerenderSection('roster-data');
+    });
+  }
+
+  async function fetchRoster() {
+    await fetchDataAndDisplay({
+      url: withTeamParam(ENDPOINTS.roster),
+      sectionId: 'roster-data',
+      cacheKey: `${CACHE_KEYS.roster}:${state.team.id}`,
+      processData: processRosterData,
+      emptyMessageKey: 'roster.empty',
+    });
+  }
+
+  function readPreference(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function savePreference(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      console.warn(`savePreference: Could not persist '${key}'.`, error);
+    }
+  }
+
+  function removePreference(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.warn(`removePreference: Could not remove '${key}'.`, error);
+    }
+  }
+
+  function loadLocalePreferences() {
+    const savedLocale = readPreference(LOCALE_STORAGE_KEY);
+    const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+    state.locale = [savedLocale, browserLocale].find(locale => locale && LOCALES[locale]) || DEFAULT_LOCALE;
+
+    const savedTimeZone = readPreference(TIME_ZONE_STORAGE_KEY);
+    state.timeZonePreference = savedTimeZone && (savedTimeZone === AUTO_TIME_ZONE || isValidTimeZone(savedTimeZone))
+      ? savedTimeZone
+      : AUTO_TIME_ZONE;
+  }
+
+  function applyTranslations(root = document) {
+    document.documentElement.lang = state.locale;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+
+    // data-i18n-attr="aria-label:nav.events.aria;title:other.key"
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) element.setAttribute(attribute, t(key));
+      });
+    });
+  }
+
+  function renderLocaleSwitchers() {
+    const localeSelect = $('locale-switcher');
+    if (localeSelect) {
+      localeSelect.innerHTML = Object.entries(LOCALES).map(([code, { label }]) => (
+        `<option value="${code}"${code === state.locale ? ' selected' : ''}>${escapeHtml(label)}</option>`
+      )).join('');
+    }
+
+    const timeZoneSelect = $('timezone-switcher');
+    if (timeZoneSelect) {
+      const browserZone = getBrowserTimeZone();
+      const zones = [...new Set([...TIME_ZONES, browserZone, state.timeZonePreference])]
+        .filter(zone => zone !== AUTO_TIME_ZONE);
+      const options = [
+        `<option value="${AUTO_TIME_ZONE}"${state.timeZonePreference === AUTO_TIME_ZONE ? ' selected' : ''}>${escapeHtml(t('settings.timeZone.auto', { zone: browserZone }))}</option>`,
+        ...zones.map(zone => `<option value="${escapeHtml(zone)}"${zone === state.timeZonePreference ? ' selected' : ''}>${escapeHtml(zone.replaceAll('_', ' '))}</option>`),
+      ];
+      timeZoneSelect.innerHTML = options.join('');
+    }
+  }
+
+  // The NFL season is named after the year it starts; January and February
+  // games still belong to the previous season.
+  function getCurrentSeason(now = new Date()) {
+    return now.getMonth() < 2 ? now.getFullYear() - 1 : now.getFullYear();
+  }
+
+  function renderScheduleControls() {
+    const currentSeason = getCurrentSeason();
+    const seasonSelect = $('schedule-season');
+    if (seasonSelect) {
+      const selected = state.schedule.season || currentSeason;
+      seasonSelect.innerHTML = Array.from({ length: SCHEDULE_SEASONS_SHOWN }, (item, offset) => currentSeason - offset)
+        .map(season => `<option value="${season}"${season === selected ? ' selected' : ''}>${season}</option>`)
+        .join('');
+    }
+
+    const typeSelect = $('schedule-type');
+    if (typeSelect) {
+      typeSelect.innerHTML = Object.entries(SEASON_TYPES).map(([key, id]) => (
+        `<option value="${id}"${id === state.schedule.seasonType ? ' selected' : ''}>${escapeHtml(t(`events.seasonType.${key}`))}</option>`
+      )).join('');
+    }
+  }
+
+  function setupScheduleControls() {
+    renderScheduleControls();
+
+    $('schedule-season')?.addEventListener('change', event => {
+      const season = Number(event.target.value);
+      state.schedule.season = season === getCurrentSeason() ? null : season;
+      fetchTeamEvents();
+    });
+    $('schedule-type')?.addEventListener('change', event => {
+      state.schedule.seasonType = Number(event.target.value);
+      fetchTeamEvents();
+    });
+  }
+
+  function rerenderAllSections() {
+    state.sections.forEach((options, sectionId) => rerenderSection(sectionId));
+    refreshUpdatedLabels();
+    if (state.live.game) renderLiveGame(state.live.game);
+    renderPlayer();
+    renderPushSettings();
+    renderPickem();
+  }
+
+  function setLocale(locale) {
+    if (!LOCALES[locale] || locale === state.locale) return;
+    state.locale = locale;
+    savePreference(LOCALE_STORAGE_KEY, locale);
+    applyTranslations();
+    renderLocaleSwitchers();
+    renderScheduleControls();
+    renderRosterControls();
+    rerenderAllSections();
+    if (!$('site-search-results')?.classList.contains('hidden')) renderSearchResults();
+    updatePushSubscription({ lang: locale });
+  }
+
+  function setTimeZonePreference(timeZone) {
+    if (timeZone !== AUTO_TIME_ZONE && !isValidTimeZone(timeZone)) return;
+    state.timeZonePreference = timeZone;
+    savePreference(TIME_ZONE_STORAGE_KEY, timeZone);
+    rerenderAllSections();
+  }
+
+  function setupLocaleSwitchers() {
+    renderLocaleSwitchers();
+    $('locale-switcher')?.addEventListener('change', event => setLocale(event.target.value));
+    $('timezone-switcher')?.addEventListener('change', event => setTimeZonePreference(event.target.value));
+  }
+
+  function readSavedTeamId() {
+    try {
+      return localStorage.getItem(TEAM_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function saveTeamId(teamId) {
+    try {
+      localStorage.setItem(TEAM_STORAGE_KEY, teamId);
+    } catch (error) {
+      console.warn('saveTeamId: Could not persist the selected team.', error);
+    }
+  }
+
+  async function loadTeams() {
+    const cached = readCache(CACHE_KEYS.teams);
+    let data = cached?.data;
+
+    if (!isCacheFresh(cached, CACHE_KEYS.teams)) {
+      try {
+        data = (await fetchJsonShared(ENDPOINTS.teams)) || data;
+        writeCache(CACHE_KEYS.teams, data);
+      } catch (error) {
+        console.warn('loadTeams: Could not load the team list, using cached or default team.', error);
+      }
+    }
+
+    if (Array.isArray(data?.teams) && data.teams.length) {
+      state.teams = data.teams;
+      state.conferences = data.conferences || DEFAULT_CONFERENCES;
+    }
+
+    const savedId = readSavedTeamId();
+    const defaultId = data?.defaultTeamId || DEFAULT_TEAM.id;
+    state.team = state.teams.find(team => team.id === savedId)
+      || state.teams.find(team => team.id === defaultId)
+      || DEFAULT_TEAM;
+  }
+
+  function applyTeamTheme() {
+    const { team } = state;
+    const root = document.documentElement;
+    root.style.setProperty('--team-primary', team.colors.primary);
+    root.style.setProperty('--team-accent', team.colors.accent);
+    root.style.setProperty('--team-highlight', team.colors.highlight);
+    root.dataset.team = team.abbreviation;
+
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', team.colors.accent);
+    document.querySelectorAll('[data-team-text]').forEach(element => {
+      const value = team[element.dataset.teamText];
+      if (value) element.textContent = value;
     });
+
+    const logo = $('team-logo');
+    if (logo) logo.src = team.logo;
+    applyTranslations();
+
+    if (!document.body.classList.contains('has-route-view')) {
+      document.title = getSiteTitle();
+    }
+  }
+
+  function renderTeamSwitcher() {
+    const select = $('team-switcher');
+    if (!select) return;
+
+    const divisions = [...new Set(state.teams.map(team => team.division))].sort();
+    select.innerHTML = divisions.map(division => {
+      const options = state.teams
+        .filter(team => team.division === division)
+        .sort((a, b) => a.displayName.localeCompare(b.displayName))
+        .map(team => `<option value="${escapeHtml(team.id)}"${team.id === state.team.id ? ' selected' : ''}>${escapeHtml(team.displayName)}</option>`)
+        .join('');
+      return `<optgroup label="${escapeHtml(division)}">${options}</optgroup>`;
+    }).join('');
+  }
+
+  function resetLiveMode() {
+    clearTimeout(state.live.timer);
+    state.live.timer = null;
+    state.live.game = null;
+    state.live.generation += 1;
+    $('live-game')?.classList.add('hidden');
+  }
+
+  function selectTeam(teamId) {
+    const team = state.teams.find(item => item.id === teamId);
+    if (!team || team.id === state.team.id) return;
+
+    // Picks are per conference; the other one has none of the same games.
+    if (team.conference !== state.team.conference) state.playoffPicks.clear();
+    state.team = team;
+    saveTeamId(team.id);
+    applyTeamTheme();
+    resetLiveMode();
+    fetchTeamEvents();
+    rerenderSection('temporada-data');
+    fetchPlayoffs();
+    fetchRoster();
+    fetchNextGame();
+    fetchArticles();
+    // Games and players depend on the team; the next focus searches again.
+    state.search.requestId += 1;
+    state.search.data = null;
+    closeSearch();
+    pollLiveGame();
+    updatePushSubscription({ team: team.id });
+    renderPickem();
+  }
+
+  function setupTeamSwitcher() {
+    renderTeamSwitcher();
+    $('team-switcher')?.addEventListener('change', event => selectTeam(event.target.value));
   }
 
   function resizeCanvas(canvas, header) {
@@ -443,7 +3824,7 @@
     const ctx = canvas.getContext('2d');
     if (!ctx) return;
 
-    const particleColors = ['#FFB612', '#FFFFFF', '#FFD700'];
+    const getParticleColors = () => [state.team.colors.accent, '#FFFFFF', state.team.colors.highlight];
     const numberOfParticles = 50;
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
@@ -457,6 +3838,7 @@
         this.y = initial ? Math.random() * canvas.height : canvas.height + this.size;
         this.size = Math.random() * 2.5 + 0.5;
         this.speedY = -(Math.random() * 0.4 + 0.1);
+        const particleColors = getParticleColors();
         this.color = particleColors[Math.floor(Math.random() * particleColors.length)];
         this.opacity = Math.random() * 0.4 + 0.1;
         this.initialOpacity = this.opacity;
@@ -529,13 +3911,510 @@
     }
   }
 
-  function init() {
-    ['teams-data', 'temporada-data', 'articles-list', 'podcast-list'].forEach(ensureSectionShell);
+  function registerServiceWorker() {
+    // sw.js is generated by the build; the dev server has no usable worker.
+    if (!('serviceWorker' in navigator) || import.meta.env.DEV) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      state.sections.forEach((options, sectionId) => updateOfflineLabel(sectionId, options.url));
+    });
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('registerServiceWorker: Could not register the service worker.', error);
+    });
+  }
+
+  function canUsePush() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window && !import.meta.env.DEV;
+  }
+
+  // VAPID keys are base64url; pushManager.subscribe() wants the raw bytes.
+  function decodeBase64Url(value) {
+    const base64 = value.replaceAll('-', '+').replaceAll('_', '/');
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+  }
+
+  async function sendPushRequest(method, body) {
+    const response = await fetch(ENDPOINTS.push, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new FetchDataError(`Push subscription request failed with ${response.status}.`, 'HttpError', response.status);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  function buildPushSubscriptionBody(subscription) {
+    return {
+      subscription: subscription.toJSON(),
+      team: state.team.id,
+      lang: state.locale,
+      categories: state.push.categories,
+    };
+  }
+
+  function renderPushSettings() {
+    const container = $('push-settings');
+    if (!container || !state.push.available) return;
+
+    const { subscription, busy, error } = state.push;
+    const open = container.querySelector('details')?.open;
+    const categories = PUSH_CATEGORIES.map(category => `
+      <label class="push-category">
+        <input type="checkbox" data-push-category="${category}"${state.push.categories.includes(category) ? ' checked' : ''}${busy ? ' disabled' : ''}>
+        ${escapeHtml(t(`push.category.${category}`))}
+      </label>
+    `).join('');
+    container.innerHTML = `
+      <details class="push-panel"${open ? ' open' : ''}>
+        <summary>${escapeHtml(t(subscription ? 'push.title.on' : 'push.title'))}</summary>
+        <p class="push-hint">${escapeHtml(t('push.hint'))}</p>
+        <fieldset class="push-categories">
+          <legend>${escapeHtml(t('push.categories'))}</legend>
+          ${categories}
+        </fieldset>
+        <button type="button" class="refresh-button" data-push-toggle aria-pressed="${Boolean(subscription)}"${busy ? ' disabled' : ''}>
+          ${escapeHtml(t(subscription ? 'push.disable' : 'push.enable'))}
+        </button>
+        ${error ? `<p class="push-status" role="status">${escapeHtml(t(`push.error.${error}`))}</p>` : ''}
+      </details>
+    `;
+    container.classList.remove('hidden');
+  }
+
+  // Team and language changes follow the visitor to the server so alerts
+  // match what the page shows.
+  async function updatePushSubscription(changes) {
+    const { subscription } = state.push;
+    if (subscription) {
+      try {
+        await sendPushRequest('PUT', { endpoint: subscription.endpoint, ...changes });
+        state.push.error = null;
+      } catch (error) {
+        console.warn('updatePushSubscription: Could not update the notification preferences.', error);
+        state.push.error = 'save';
+      }
+    }
+    renderPushSettings();
+  }
+
+  function setPushCategory(category, enabled) {
+    const selected = new Set(state.push.categories);
+    if (enabled) selected.add(category);
+    else selected.delete(category);
+    state.push.categories = PUSH_CATEGORIES.filter(item => selected.has(item));
+    savePreference(PUSH_CATEGORIES_STORAGE_KEY, state.push.categories.join(','));
+    updatePushSubscription({ categories: state.push.categories });
+  }
+
+  async function togglePushSubscription() {
+    if (state.push.busy) return;
+    state.push.busy = true;
+    state.push.error = null;
+    renderPushSettings();
+
+    try {
+      const current = state.push.subscription;
+      if (current) {
+        await sendPushRequest('DELETE', { endpoint: current.endpoint }).catch(error => {
+          if (error.status !== 404) throw error;
+        });
+        await current.unsubscribe();
+        state.push.subscription = null;
+      } else if (await Notification.requestPermission() !== 'granted') {
+        state.push.error = 'denied';
+      } else {
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: decodeBase64Url(state.push.publicKey),
+        });
+        await sendPushRequest('POST', buildPushSubscriptionBody(subscription));
+        state.push.subscription = subscription;
+      }
+    } catch (error) {
+      console.warn('togglePushSubscription: Could not change the notification subscription.', error);
+      state.push.error = 'save';
+    } finally {
+      state.push.busy = false;
+      renderPushSettings();
+    }
+  }
+
+  // The browser keeps its subscription even if the server store lost it, so
+  // an unknown endpoint is registered again with the local preferences.
+  async function restorePushSubscription(subscription) {
+    try {
+      const data = await fetchJson(`${ENDPOINTS.push}?endpoint=${encodeURIComponent(subscription.endpoint)}`);
+      state.push.categories = data.subscription.categories;
+      state.push.subscription = subscription;
+      if (data.subscription.team !== state.team.id || data.subscription.lang !== state.locale) {
+        await sendPushRequest('PUT', { endpoint: subscription.endpoint, team: state.team.id, lang: state.locale });
+      }
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      await sendPushRequest('POST', buildPushSubscriptionBody(subscription));
+      state.push.subscription = subscription;
+    }
+  }
+
+  async function setupPushNotifications() {
+    const container = $('push-settings');
+    if (!container || !canUsePush()) return;
+
+    const saved = readPreference(PUSH_CATEGORIES_STORAGE_KEY);
+    if (saved !== null) state.push.categories = saved.split(',').filter(category => PUSH_CATEGORIES.includes(category));
+
+    container.addEventListener('click', event => {
+      if (event.target.closest('[data-push-toggle]')) togglePushSubscription();
+    });
+    container.addEventListener('change', event => {
+      const input = event.target.closest('[data-push-category]');
+      if (input) setPushCategory(input.dataset.pushCategory, input.checked);
+    });
+
+    try {
+      // Answers 503 when the server has no VAPID keys; the panel stays hidden.
+      const config = await fetchJson(ENDPOINTS.push);
+      state.push.publicKey = config.publicKey;
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription();
+      if (subscription) await restorePushSubscription(subscription);
+      state.push.available = true;
+      renderPushSettings();
+    } catch (error) {
+      console.warn('setupPushNotifications: Game alerts are not available.', error);
+    }
+  }
+
+  // Requests to the pick'em API. Error responses carry a `code` that picks
+  // the message shown in the panel.
+  async function sendPickemRequest(url, { method = 'GET', body } = {}) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (state.pickem.token) headers.Authorization = `Bearer ${state.pickem.token}`;
+    const response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new FetchDataError(`Pick'em request failed with ${response.status}.`, 'HttpError', response.status, error.code);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  function getPickemErrorKey(error, fallback) {
+    const key = `pickem.error.${error.code}`;
+    return MESSAGES[DEFAULT_LOCALE][key] ? key : fallback;
+  }
+
+  function formatPickemScore(game, score) {
+    return `${game.away.team.abbreviation} ${formatNumber(score.away)}-${formatNumber(score.home)} ${game.home.team.abbreviation}`;
+  }
+
+  function renderPickemIdentity(player) {
+    const { busy } = state.pickem;
+    if (player) {
+      return `
+        <p class="push-hint">
+          ${escapeHtml(t('pickem.identity', { nickname: player.nickname }))}
+          <button type="button" class="refresh-button" data-pickem-sign-out>${escapeHtml(t('pickem.signOut'))}</button>
+        </p>
+        <details class="pickem-token">
+          <summary>${escapeHtml(t('pickem.token'))}</summary>
+          <p><code>${escapeHtml(t('pickem.tokenHint', { token: state.pickem.token }))}</code></p>
+        </details>
+      `;
+    }
+    return `
+      <form class="pickem-join" data-pickem-join>
+        <label>${escapeHtml(t('pickem.nickname'))} <input type="text" name="nickname" minlength="3" maxlength="20" required autocomplete="nickname"${busy ? ' disabled' : ''}></label>
+        <button type="submit" class="refresh-button"${busy ? ' disabled' : ''}>${escapeHtml(t('pickem.join'))}</button>
+      </form>
+      <form class="pickem-join" data-pickem-token>
+        <label>${escapeHtml(t('pickem.useToken'))} <input type="text" name="token" required autocomplete="off"${busy ? ' disabled' : ''}></label>
+        <button type="submit" class="refresh-button"${busy ? ' disabled' : ''}>${escapeHtml(t('pickem.join'))}</button>
+      </form>
+    `;
+  }
+
+  function renderPickemGame({ game, prediction, predictionCount }, player) {
+    const disabled = !player || state.pickem.busy ? ' disabled' : '';
+    const input = (side, value) => `
+      <label class="pickem-side">
+        <span>${escapeHtml(game[side].team.abbreviation)}</span>
+        <input type="number" name="${side}" min="0" max="99" step="1" required inputmode="numeric" value="${value ?? ''}" aria-label="${escapeHtml(t('pickem.score.aria', { team: game[side].team.displayName }))}"${disabled}>
+      </label>
+    `;
+    return `
+      <form class="pickem-game" data-pickem-event="${escapeHtml(game.id)}">
+        ${input('away', prediction?.away)}
+        <span aria-hidden="true">@</span>
+        ${input('home', prediction?.home)}
+        <button type="submit" class="refresh-button"${disabled}>${escapeHtml(t('pickem.save'))}</button>
+        <small>${escapeHtml(t('pickem.closes', { date: formatEventDate(game.date) }))} · ${escapeHtml(t('pickem.count', { count: formatNumber(predictionCount) }))}</small>
+      </form>
+    `;
+  }
+
+  function renderPickemResults(games) {
+    const scored = games.filter(item => item.prediction?.score);
+    if (!scored.length) return '';
+    return `
+      <h3>${escapeHtml(t('pickem.results'))}</h3>
+      <ul class="pickem-results">
+        ${scored.map(({ game, prediction }) => `
+          <li>
+            <a href="#partido/${encodeURIComponent(game.id)}">${escapeHtml(t('pickem.result', {
+              score: formatPickemScore(game, { home: game.home.score, away: game.away.score }),
+              prediction: formatPickemScore(game, prediction),
+            }))}</a>
+            <strong>${escapeHtml(t('pickem.points', { points: formatNumber(prediction.score.points) }))}</strong>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  function renderPickemLeaderboard(data) {
+    const rows = data.leaderboard.map(row => `
+      <tr${row.nickname === data.player?.nickname ? ' class="is-team"' : ''}>
+        <td>${formatNumber(row.rank)}</td>
+        <th scope="row">${escapeHtml(row.nickname)}</th>
+        <td>${formatNumber(row.points)}</td>
+        <td>${formatNumber(row.exact)}</td>
+        <td>${formatNumber(row.winners)}</td>
+      </tr>
+    `).join('');
+    return `
+      <h3>${escapeHtml(t('pickem.leaderboard', { season: data.season }))}</h3>
+      ${rows ? `
+        <div class="standings-table-wrapper">
+          <table class="standings-table">
+            <thead><tr>${['rank', 'player', 'points', 'exact', 'winners'].map(key => `<th scope="col">${escapeHtml(t(`pickem.col.${key}`))}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      ` : `<p class="push-hint">${escapeHtml(t('pickem.leaderboard.empty'))}</p>`}
+    `;
+  }
+
+  // Pick'em is for the hub's own team, so the panel only shows while it is
+  // the selected team.
+  function renderPickem() {
+    const container = $('pickem');
+    const { data, error, notice } = state.pickem;
+    if (!container) return;
+    if (!data || !isSelectedTeam(data.team.id)) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    const open = container.querySelector('details.push-panel')?.open;
+    const upcoming = data.games.filter(item => !item.locked);
+    container.innerHTML = `
+      <details class="push-panel"${open ? ' open' : ''}>
+        <summary>${escapeHtml(t('pickem.title'))}</summary>
+        <p class="push-hint">${escapeHtml(t('pickem.hint', data.scoring))}</p>
+        ${renderPickemIdentity(data.player)}
+        <h3>${escapeHtml(t('pickem.upcoming'))}</h3>
+        ${upcoming.length
+          ? upcoming.map(item => renderPickemGame(item, data.player)).join('')
+          : `<p class="push-hint">${escapeHtml(t('pickem.noUpcoming'))}</p>`}
+        ${error || notice ? `<p class="push-status" role="status">${escapeHtml(t(error || notice))}</p>` : ''}
+        ${renderPickemResults(data.games)}
+        ${renderPickemLeaderboard(data)}
+      </details>
+    `;
+    container.classList.remove('hidden');
+  }
+
+  function setPickemToken(token) {
+    state.pickem.token = token;
+    if (token) savePreference(PICKEM_TOKEN_STORAGE_KEY, token);
+    else removePreference(PICKEM_TOKEN_STORAGE_KEY);
+  }
+
+  async function fetchPickem() {
+    try {
+      state.pickem.data = await sendPickemRequest(ENDPOINTS.pickem);
+    } catch (error) {
+      // A token the server no longer knows is dropped; the games still load.
+      if (error.status !== 401 || !state.pickem.token) throw error;
+      setPickemToken(null);
+      state.pickem.data = await sendPickemRequest(ENDPOINTS.pickem);
+    }
+  }
+
+  // Runs a change against the API, then reloads the panel data so counts,
+  // lock states and the leaderboard stay current.
+  async function runPickemAction(action, { notice = null, fallbackError = 'pickem.error.save' } = {}) {
+    if (state.pickem.busy) return;
+    state.pickem.busy = true;
+    state.pickem.error = null;
+    state.pickem.notice = null;
+    renderPickem();
+    try {
+      await action();
+      await fetchPickem();
+      state.pickem.notice = notice;
+    } catch (error) {
+      console.warn('runPickemAction: The pick\'em request failed.', error);
+      state.pickem.error = getPickemErrorKey(error, fallbackError);
+    } finally {
+      state.pickem.busy = false;
+      renderPickem();
+    }
+  }
+
+  function handlePickemSubmit(form) {
+    const values = new FormData(form);
+    if (form.matches('[data-pickem-join]')) {
+      runPickemAction(async () => {
+        const { token } = await sendPickemRequest(ENDPOINTS.pickemPlayers, { method: 'POST', body: { nickname: values.get('nickname') } });
+        setPickemToken(token);
+      });
+    } else if (form.matches('[data-pickem-token]')) {
+      const previous = state.pickem.token;
+      runPickemAction(async () => {
+        state.pickem.token = String(values.get('token')).trim();
+        try {
+          await sendPickemRequest(ENDPOINTS.pickemPlayers);
+        } catch (error) {
+          state.pickem.token = previous;
+          throw error;
+        }
+        setPickemToken(state.pickem.token);
+      });
+    } else if (form.dataset.pickemEvent) {
+      const url = `${ENDPOINTS.pickem}?event=${encodeURIComponent(form.dataset.pickemEvent)}`;
+      const body = { home: Number(values.get('home')), away: Number(values.get('away')) };
+      runPickemAction(() => sendPickemRequest(url, { method: 'PUT', body }), { notice: 'pickem.saved' });
+    }
+  }
+
+  async function setupPickem() {
+    const container = $('pickem');
+    if (!container) return;
+    state.pickem.token = readPreference(PICKEM_TOKEN_STORAGE_KEY);
+
+    container.addEventListener('submit', event => {
+      const form = event.target.closest('form');
+      if (!form) return;
+      event.preventDefault();
+      handlePickemSubmit(form);
+    });
+    container.addEventListener('click', event => {
+      if (!event.target.closest('[data-pickem-sign-out]')) return;
+      runPickemAction(async () => setPickemToken(null), { fallbackError: 'pickem.error.load' });
+    });
+
+    try {
+      await fetchPickem();
+      renderPickem();
+    } catch (error) {
+      console.warn('setupPickem: The pick\'em is not available.', error);
+    }
+  }
+
+  // /games/<id> and /articles/<slug> are served with the item's preview meta
+  // (api/page.js) so shared links get their own card; in the app they are
+  // the same views as the hash routes below.
+  const SHARE_PATHS = [
+    { pattern: /^\/games\/(\d+)\/?$/, hash: id => `#partido/${id}` },
+    { pattern: /^\/articles\/([a-z0-9-]+)\/?$/, hash: slug => `#articulo/${slug}` },
+  ];
+
+  function renderShareButton(path, title) {
+    return `
+      <p class="share-actions">
+        <button type="button" class="refresh-button" data-share-path="${escapeHtml(path)}" data-share-title="${escapeHtml(title || '')}">${escapeHtml(t('share.button'))}</button>
+      </p>
+    `;
+  }
+
+  async function shareLink(button) {
+    const url = new URL(button.dataset.sharePath, window.location.origin).href;
+    const title = button.dataset.shareTitle || getSiteTitle();
+    if (navigator.share) {
+      try {
+        await navigator.share({ title, url });
+      } catch (error) {
+        if (error.name !== 'AbortError') console.warn('shareLink: Could not open the share sheet.', error);
+      }
+      return;
+    }
+
+    let label = t('share.copied');
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (error) {
+      console.warn('shareLink: Could not copy the link.', error);
+      label = t('share.failed');
+    }
+    button.textContent = label;
+    setTimeout(() => {
+      button.textContent = t('share.button');
+    }, 2000);
+  }
+
+  function setupShareLinks() {
+    document.addEventListener('click', event => {
+      const button = event.target.closest('[data-share-path]');
+      if (button) shareLink(button);
+    });
+  }
+
+  function adoptSharePath() {
+    const match = SHARE_PATHS
+      .map(item => ({ item, params: window.location.pathname.match(item.pattern) }))
+      .find(({ params }) => params);
+    if (match && !window.location.hash) {
+      window.history.replaceState(null, '', `/${match.item.hash(match.params[1])}`);
+    }
+  }
+
+  const ROUTES = [
+    { pattern: /^#partido\/(\d+)$/, viewId: 'partido-detalle', render: showGameDetail },
+    { pattern: /^#articulo\/([a-z0-9-]+)$/, viewId: 'articulo-detalle', render: showArticle },
+    { pattern: /^#jugador\/(\d+)$/, viewId: 'jugador-detalle', render: showPlayer },
+  ];
+
+  async function init() {
+    adoptSharePath();
+    purgeLegacyCache();
+    loadLocalePreferences();
+    applyTranslations();
+    ['next-game-data', 'teams-data', 'temporada-data', 'playoffs-data', 'roster-data', 'articles-list', 'podcast-list', 'game-detail-data', 'article-detail-data', 'player-detail-data'].forEach(ensureSectionShell);
+    state.updatedLabelTimer = setInterval(() => {
+      refreshUpdatedLabels();
+      refreshCountdowns();
+    }, MINUTE);
+    await loadTeams();
+    applyTeamTheme();
+    setupTeamSwitcher();
+    setupLocaleSwitchers();
     fetchTeamEvents();
+    fetchNextGame();
     fetchStandingsData();
+    fetchPlayoffs();
+    fetchRoster();
     fetchArticles();
     fetchPodcasts();
+    setupStandingsControls();
+    setupPlayoffControls();
+    setupRosterControls();
+    setupSearch();
+    setupScheduleControls();
+    setupArticleControls();
+    setupShareLinks();
+    setupPodcastPlayer();
+    loadDownloadedEpisodes();
+    registerServiceWorker();
+    setupPushNotifications();
+    setupPickem();
+    setupLiveMode();
     setupParticles();
+    window.addEventListener('hashchange', handleRoute);
+    handleRoute();
   }
 
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,193 @@
+// Service worker for the hub. The build (see vite.config.js) fills in
+// BUILD_ID and the list of bundled files, so every deploy installs a new
+// worker and the caches of the previous one are removed on activation.
+const BUILD_ID = '__BUILD_ID__';
+const BUILD_ASSETS = [/* __BUILD_ASSETS__ */];
+
+const SHELL_CACHE = `hub-shell-${BUILD_ID}`;
+const API_CACHE = `hub-api-${BUILD_ID}`;
+const IMAGE_CACHE = `hub-images-${BUILD_ID}`;
+// Episodes the visitor downloads on purpose; kept across deploys and only
+// filled or emptied from the page (see scripts.js).
+const AUDIO_CACHE = 'hub-audio';
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE, IMAGE_CACHE, AUDIO_CACHE];
+
+const OFFLINE_PAGE = '/offline.html';
+const SHELL_URLS = [
+  '/',
+  OFFLINE_PAGE,
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  ...BUILD_ASSETS,
+];
+const MAX_IMAGE_ENTRIES = 80;
+// Every game, player and search URL gets its own entry; re-fetched ones move
+// to the end, so trimming drops the ones not seen for longest.
+const MAX_API_ENTRIES = 120;
+// Only public, cacheable JSON; the admin API and feeds always go to the network.
+const API_PATTERN = /^\/api\/(espn-|content|teams$)/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('hub-') && !CURRENT_CACHES.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// Pages: the network first so a deploy shows up on the next visit; offline,
+// the cached shell (the site is a single page) or the offline page.
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && new URL(request.url).pathname === '/') {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE);
+    const pathname = new URL(request.url).pathname;
+    const shell = pathname === '/' || pathname === '/index.html' ? await cache.match('/') : null;
+    return shell || (await cache.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+// API data: the network first, falling back to the last good response.
+async function handleApi(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(API_CACHE, MAX_API_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cross-origin images (ESPN logos and headshots) are asked for with CORS so
+// the response can be checked and cached. Opaque responses are never cached:
+// browsers count each one as several MB of quota. A host without CORS headers
+// still gets its image, just not offline.
+async function fetchReadable(request) {
+  if (new URL(request.url).origin === self.location.origin || request.mode !== 'no-cors') return fetch(request);
+  try {
+    return await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+// Built files have hashed names and never change, so the cache wins.
+async function handleCacheFirst(request, cacheName, maxEntries = 0) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetchReadable(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (maxEntries) await trimCache(cacheName, maxEntries);
+  }
+  return response;
+}
+
+// Audio elements ask for byte ranges; a downloaded episode is stored whole,
+// so the requested slice is cut from it.
+async function handleAudio(request) {
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!range) return cached;
+
+  const blob = await cached.blob();
+  const start = range[1] ? Number(range[1]) : Math.max(0, blob.size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes',
+    },
+  });
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (sameOrigin && API_PATTERN.test(url.pathname)) {
+    event.respondWith(handleApi(request));
+  } else if (request.destination === 'audio') {
+    event.respondWith(handleAudio(request));
+  } else if (sameOrigin && BUILD_ASSETS.includes(url.pathname)) {
+    event.respondWith(handleCacheFirst(request, SHELL_CACHE));
+  } else if (request.destination === 'image') {
+    event.respondWith(handleCacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  }
+});
+
+// Game-day notifications sent by api/push-notify.js.
+self.addEventListener('push', event => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+  event.waitUntil(self.registration.showNotification(payload.title || 'Commanders Hub', {
+    body: payload.body || '',
+    icon: '/icons/icon-192.png',
+    badge: '/icons/icon-192.png',
+    tag: payload.tag,
+    renotify: Boolean(payload.tag),
+    data: { url: payload.url || '/' },
+  }));
+});
+
+// Opens the game's detail view, reusing an open tab of the site if there is one.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(item => new URL(item.url).origin === self.location.origin);
+    if (!client) return self.clients.openWindow(url);
+    await client.focus();
+    // navigate() is only allowed on pages this worker controls.
+    return client.navigate(url).catch(() => self.clients.openWindow(url));
+  })());
+});
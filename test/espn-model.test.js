@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { toNumber, normalizeGame, normalizeGames, buildTeamRecord, buildStreak } = require('../api/espn-model.js');
+const { buildStandingsPayload } = require('../api/standings-utils.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'espn');
+const TEAM_ID = '28';
+
+// Same lookup as the fixtures source in api/espn-api-utils.js: a scenario
+// only has the files it changes, the rest come from default.
+function readFixture(scenario, name) {
+  const scenarioPath = path.join(FIXTURES_DIR, scenario, name);
+  const filePath = fs.existsSync(scenarioPath) ? scenarioPath : path.join(FIXTURES_DIR, 'default', name);
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function loadFixture(scenario, name) {
+  return JSON.parse(readFixture(scenario, name));
+}
+
+function loadGames(scenario) {
+  return normalizeGames(loadFixture(scenario, 'teams-28-schedule.json').events);
+}
+
+function loadStandingsRow(scenario, teamId) {
+  return buildStandingsPayload(loadFixture(scenario, 'standings.json')).rows.find(row => row.team.id === teamId);
+}
+
+test('toNumber reads numbers, numeric strings and { value, displayValue }', () => {
+  assert.equal(toNumber(21), 21);
+  assert.equal(toNumber('21'), 21);
+  assert.equal(toNumber({ value: 21, displayValue: '21' }), 21);
+  assert.equal(toNumber({ displayValue: '21' }), 21);
+  assert.equal(toNumber(''), null);
+  assert.equal(toNumber('abc'), null);
+  assert.equal(toNumber(null), null);
+});
+
+test('default: normalizes the whole 2024 schedule into Games', () => {
+  const games = loadGames('default');
+  assert.equal(games.length, 17);
+
+  const opener = games.find(game => game.id === '401671701');
+  assert.equal(opener.date, '2024-09-08T17:00Z');
+  assert.equal(opener.timeValid, true);
+  assert.deepEqual(opener.week, { number: 1, label: 'Week 1' });
+  assert.equal(opener.seasonType, 2);
+  assert.equal(opener.status.state, 'post');
+  assert.equal(opener.status.completed, true);
+  assert.equal(opener.away.team.id, TEAM_ID);
+  assert.equal(opener.away.team.abbreviation, 'WSH');
+  assert.equal(typeof opener.home.score, 'number');
+  assert.ok(Array.isArray(opener.broadcasts));
+});
+
+test('default: TeamRecord and streak from the schedule', () => {
+  const games = loadGames('default');
+  assert.deepEqual(buildTeamRecord(games, TEAM_ID), {
+    wins: 12,
+    losses: 5,
+    ties: 0,
+    pointsFor: 485,
+    pointsAgainst: 391,
+    gamesPlayed: 17,
+    summary: '12-5',
+  });
+  assert.deepEqual(buildStreak(games, TEAM_ID), { label: 'W5', value: 5 });
+});
+
+test('default: StandingsRow for every team with stats and alignment', () => {
+  const { version, season, rows } = buildStandingsPayload(loadFixture('default', 'standings.json'));
+  assert.equal(version, 1);
+  assert.equal(season, 2024);
+  assert.equal(rows.length, 32);
+  assert.equal(new Set(rows.map(row => row.team.id)).size, 32);
+
+  assert.deepEqual(loadStandingsRow('default', TEAM_ID), {
+    team: {
+      id: TEAM_ID,
+      abbreviation: 'WSH',
+      displayName: 'Washington Commanders',
+      shortName: 'Commanders',
+      logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/wsh.png',
+    },
+    conference: 'NFC',
+    division: 'NFC East',
+    wins: 12,
+    losses: 5,
+    ties: 0,
+    winPercent: 0.706,
+    pointsFor: 485,
+    pointsAgainst: 391,
+    differential: 94,
+    streak: { label: 'W2', value: 2 },
+    divisionRecord: '4-2',
+    conferenceRecord: '8-4',
+    seed: 6,
+    clincher: '',
+  });
+});
+
+test('tie: a drawn game counts as a tie in the record and the standings', () => {
+  const games = loadGames('tie');
+  const tie = games.find(game => game.id === '401671709');
+  assert.equal(tie.home.score, tie.away.score);
+  assert.equal(tie.home.winner, false);
+  assert.equal(tie.away.winner, false);
+
+  const record = buildTeamRecord(games, TEAM_ID);
+  assert.equal(record.summary, '11-5-1');
+  assert.equal(record.ties, 1);
+  assert.equal(record.gamesPlayed, 17);
+
+  const row = loadStandingsRow('tie', TEAM_ID);
+  assert.deepEqual([row.wins, row.losses, row.ties], [11, 5, 1]);
+  // Stats are matched by `type` and abbreviation when ESPN sends no `name`.
+  assert.equal(row.winPercent, 0.706);
+  assert.equal(loadStandingsRow('tie', '19').streak.value, -3);
+});
+
+test('postponed: postponed and TBD games stay in the schedule without a result', () => {
+  const games = loadGames('postponed');
+  assert.equal(games.length, 17);
+
+  const postponed = games.find(game => game.id === '401671705');
+  assert.equal(postponed.status.name, 'STATUS_POSTPONED');
+  assert.equal(postponed.status.completed, false);
+  assert.equal(postponed.home.score, null);
+  assert.equal(postponed.home.winner, null);
+
+  const tbd = games.find(game => game.id === '401671717');
+  assert.equal(tbd.timeValid, false);
+  assert.equal(tbd.status.state, 'pre');
+
+  const record = buildTeamRecord(games, TEAM_ID);
+  assert.equal(record.gamesPlayed, 15);
+  assert.equal(record.summary, '10-5');
+});
+
+test('empty: no games and no standings rows', () => {
+  const games = loadGames('empty');
+  assert.deepEqual(games, []);
+  assert.equal(buildTeamRecord(games, TEAM_ID).summary, '0-0');
+  assert.deepEqual(buildStreak(games, TEAM_ID), { label: '', value: 0 });
+  assert.deepEqual(normalizeGames(loadFixture('empty', 'scoreboard.json').events), []);
+
+  const { season, rows } = buildStandingsPayload(loadFixture('empty', 'standings.json'));
+  assert.equal(season, null);
+  assert.deepEqual(rows, []);
+});
+
+test('malformed: broken events are dropped and odd values tolerated', () => {
+  const events = loadFixture('malformed', 'teams-28-schedule.json').events;
+  const games = normalizeGames(events);
+  const byId = new Map(games.map(game => [game.id, game]));
+  assert.equal(events.length, 18);
+  assert.equal(games.length, 14);
+
+  // No competition, a missing side, a null team and no ID at all.
+  ['401671701', '401671702', '401671703'].forEach(id => assert.equal(byId.has(id), false));
+  assert.equal(normalizeGame(events.find(event => !event.id)), null);
+
+  // Week as a bare number, scores as strings or empty strings.
+  assert.deepEqual(byId.get('401671704').week, { number: 4, label: '' });
+  assert.deepEqual([byId.get('401671705').home.score, byId.get('401671705').away.score], [34, 13]);
+  assert.deepEqual([byId.get('401671706').home.score, byId.get('401671706').away.score], [null, null]);
+  // An unparseable date is passed through rather than dropping the game.
+  assert.equal(byId.get('401671708').date, 'not a date');
+
+  // Games without scores or not completed do not count.
+  const record = buildTeamRecord(games, TEAM_ID);
+  assert.equal(record.gamesPlayed, 12);
+  assert.equal(record.summary, '9-3');
+});
+
+test('malformed: a scoreboard whose events are not an array gives no games', () => {
+  const scoreboard = loadFixture('malformed', 'scoreboard.json');
+  assert.equal(Array.isArray(scoreboard.events), false);
+  assert.deepEqual(normalizeGames(scoreboard.events), []);
+});
+
+test('malformed: standings that are not JSON fail to parse, partial entries get zeroed stats', () => {
+  assert.throws(() => loadFixture('malformed', 'standings.json'), SyntaxError);
+
+  assert.deepEqual(buildStandingsPayload(null).rows, []);
+  assert.deepEqual(buildStandingsPayload({ children: [{ standings: { entries: [null, { team: null }, { team: { id: '28' } }] } }] }).rows.map(row => [
+    row.team.id,
+    row.wins,
+    row.winPercent,
+    row.seed,
+    row.streak.label,
+  ]), [['28', 0, 0, null, '']]);
+});
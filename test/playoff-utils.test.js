@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { normalizeGames, toMatchup } = require('../api/espn-model.js');
+const { buildStandingsPayload } = require('../api/standings-utils.js');
+const { TEAMS } = require('../api/team-utils.js');
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'fixtures', 'espn', 'playoff-race');
+const IDS = Object.fromEntries(TEAMS.map(team => [team.abbreviation, team.id]));
+
+// playoff-utils.mjs is an ES module shared with the page.
+const loadEngine = () => import('../playoff-utils.mjs');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, name), 'utf8'));
+}
+
+// Same payload as /api/espn-playoffs?team=28: league standings and every
+// game of the 16 NFC clubs, two weeks before the end of the season.
+function loadPlayoffData() {
+  const games = new Map();
+  TEAMS.filter(team => team.conference === 'NFC').forEach(team => {
+    normalizeGames(loadFixture(`teams-${team.id}-schedule.json`).events).forEach(game => games.set(game.id, toMatchup(game)));
+  });
+  return {
+    conference: 'NFC',
+    teams: buildStandingsPayload(loadFixture('standings.json')).rows,
+    games: [...games.values()],
+    missingTeams: [],
+  };
+}
+
+function summarize(picture) {
+  return picture.map(entry => [entry.team.abbreviation, entry.seed, entry.reason, entry.clincher]);
+}
+
+test('playoff-race: seeds the NFC with division leaders first and tiebreak reasons', async () => {
+  const { buildPlayoffPicture } = await loadEngine();
+  const picture = buildPlayoffPicture(loadPlayoffData(), new Map());
+
+  assert.deepEqual(summarize(picture), [
+    ['WSH', 1, null, ''],
+    ['TB', 2, null, ''],
+    ['CHI', 3, null, ''],
+    ['SF', 4, null, ''],
+    // 9-5 division rivals: Philadelphia swept Dallas.
+    ['PHI', 5, 'headToHead', ''],
+    ['DAL', 6, 'headToHead', ''],
+    ['GB', 7, null, ''],
+    ['MIN', null, null, ''],
+    // Three 8-6 clubs: Seattle wins the West pair on division record, then
+    // Atlanta beats Seattle on conference record.
+    ['ATL', null, 'conference', ''],
+    ['SEA', null, 'division', ''],
+    ['LAR', null, 'division', ''],
+    ['DET', null, null, ''],
+    ['ARI', null, null, 'e'],
+    ['CAR', null, 'headToHead', 'e'],
+    ['NO', null, 'conference', 'e'],
+    ['NYG', null, 'conference', 'e'],
+  ]);
+  assert.deepEqual(picture.filter(entry => entry.divisionLeader).map(entry => entry.team.abbreviation), ['WSH', 'TB', 'CHI', 'SF']);
+  assert.deepEqual(picture[0].record, { wins: 10, losses: 3, ties: 1, winPercent: 10.5 / 14, remaining: 3 });
+});
+
+test('playoff-race: picks that tie a division are settled by its tiebreakers', async () => {
+  const { buildPlayoffPicture } = await loadEngine();
+  // Tampa Bay goes 1-2 and Atlanta 3-0, both 11-6. They split their games,
+  // so the division record decides.
+  const picks = new Map([
+    ['401772235', 'home'], // TB @ CHI
+    ['401772254', 'home'], // NYJ @ TB
+    ['401772266', 'away'], // ATL @ TB
+    ['401772237', 'away'], // ATL @ DAL
+    ['401772253', 'away'], // ATL @ DEN
+  ]);
+  const picture = buildPlayoffPicture(loadPlayoffData(), picks);
+  const atlanta = picture.find(entry => entry.team.abbreviation === 'ATL');
+  const tampaBay = picture.find(entry => entry.team.abbreviation === 'TB');
+
+  assert.deepEqual([atlanta.record.wins, atlanta.record.losses], [11, 6]);
+  assert.deepEqual([tampaBay.record.wins, tampaBay.record.losses], [11, 6]);
+  assert.equal(atlanta.divisionLeader, true);
+  assert.equal(atlanta.reason, 'division');
+  assert.equal(atlanta.seed, 3);
+  assert.equal(tampaBay.divisionLeader, false);
+  assert.equal(tampaBay.seed, 5);
+});
+
+test('playoff-race: head-to-head between three wild-card clubs needs a sweep', async () => {
+  const { createRecordBook, TIEBREAKERS, pickBest } = await loadEngine();
+  const book = createRecordBook(loadPlayoffData(), new Map());
+
+  // Dallas beat both Chicago and Seattle.
+  const sweep = [IDS.DAL, IDS.CHI, IDS.SEA];
+  assert.deepEqual(TIEBREAKERS.headToHead(sweep, book, 'wildCard'), new Map([[IDS.DAL, 1], [IDS.CHI, 0], [IDS.SEA, 0]]));
+  assert.deepEqual(pickBest(sweep, book, 'wildCard'), { teamId: IDS.DAL, reason: 'headToHead' });
+
+  // Seattle beat Green Bay and Green Bay beat Atlanta, but Seattle never
+  // played Atlanta: no sweep, so head-to-head is skipped for conference record.
+  const noSweep = [IDS.SEA, IDS.GB, IDS.ATL];
+  assert.deepEqual(TIEBREAKERS.headToHead(noSweep, book, 'division'), new Map([[IDS.SEA, 1], [IDS.GB, 0.5], [IDS.ATL, 0]]));
+  assert.deepEqual(TIEBREAKERS.headToHead(noSweep, book, 'wildCard'), new Map([[IDS.SEA, 0], [IDS.GB, 0], [IDS.ATL, 0]]));
+  assert.deepEqual(pickBest(noSweep, book, 'wildCard'), { teamId: IDS.ATL, reason: 'conference' });
+});
+
+test('playoff-race: winning out clinches the #1 seed (*) for Washington', async () => {
+  const { buildPlayoffPicture, createRecordBook, computeClinchMarker } = await loadEngine();
+  const data = loadPlayoffData();
+  const picks = new Map([
+    ['401772233', 'away'], // WSH @ PHI
+    ['401772245', 'away'], // WSH @ DAL
+    ['401772264', 'home'], // PHI @ WSH
+  ]);
+
+  // 13.5 wins against at most 13 for Tampa Bay.
+  assert.equal(computeClinchMarker(IDS.WSH, createRecordBook(data, picks)), '*');
+  assert.equal(computeClinchMarker(IDS.WSH, createRecordBook(data, new Map())), '');
+
+  const picture = buildPlayoffPicture(data, picks);
+  assert.deepEqual(summarize(picture)[0], ['WSH', 1, null, '*']);
+  assert.equal(picture.find(entry => entry.team.abbreviation === 'PHI').seed, null);
+});
+
+test('playoff-race: with every game picked only ties on record stay unmarked', async () => {
+  const { buildPlayoffPicture } = await loadEngine();
+  const data = loadPlayoffData();
+  const picks = new Map(data.games.filter(game => !game.completed).map(game => [game.id, 'home']));
+  const picture = buildPlayoffPicture(data, picks);
+
+  picture.forEach(entry => assert.equal(entry.record.remaining, 0));
+  // Markers are conservative: San Francisco wins the West over 11-6 Seattle
+  // on a tiebreaker, so it only gets `x`, and Philadelphia and the Rams
+  // share 10-7 for the last seed.
+  assert.deepEqual(summarize(picture).slice(0, 9), [
+    ['TB', 1, null, '*'],
+    ['WSH', 2, null, 'y'],
+    ['SF', 3, 'conference', 'x'],
+    ['CHI', 4, null, 'y'],
+    ['DAL', 5, 'headToHead', 'x'],
+    ['SEA', 6, 'headToHead', 'x'],
+    ['PHI', 7, 'headToHead', ''],
+    ['LAR', null, 'headToHead', ''],
+    ['GB', null, null, 'e'],
+  ]);
+  assert.ok(picture.slice(8).every(entry => entry.clincher === 'e'));
+});
+
+test('playoff-race: ESPN clinch markers win over the computed ones', async () => {
+  const { buildPlayoffPicture } = await loadEngine();
+  const data = loadPlayoffData();
+  data.teams = data.teams.map(row => (row.team.id === IDS.WSH ? { ...row, clincher: 'z' } : row));
+  assert.equal(buildPlayoffPicture(data, new Map())[0].clincher, 'z');
+});
@@ -1,12 +1,229 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { sep } from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const API_DIR = fileURLToPath(new URL('./api/', import.meta.url));
+const DATA_DIR = fileURLToPath(new URL('./data/', import.meta.url));
+
+// Emits sw.js with the bundled files of the public site to precache. The
+// build ID is a hash of that list, so each deploy gets fresh cache names.
+function serviceWorker() {
+    return {
+        name: 'hub-service-worker',
+        apply: 'build',
+        generateBundle(options, bundle) {
+            const assets = Object.values(bundle)
+                .filter(file => !/\.(map|html|xml|txt)$/.test(file.fileName))
+                .filter(file => file.type !== 'chunk' || file.name !== 'admin')
+                .map(file => `/${file.fileName}`)
+                .sort();
+            const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+            const source = readFileSync(fileURLToPath(new URL('./sw.js', import.meta.url)), 'utf8')
+                .replace("'__BUILD_ID__'", JSON.stringify(buildId))
+                .replace('[/* __BUILD_ASSETS__ */]', JSON.stringify(assets));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        }
+    };
+}
+
+// Rewrites from vercel.json that end in a function ("/api/content/:slug",
+// "/games/:id"), so dev and production share one routing table.
+function readApiRewrites() {
+    const { rewrites = [] } = JSON.parse(readFileSync(fileURLToPath(new URL('./vercel.json', import.meta.url)), 'utf8'));
+    return rewrites
+        .filter(rewrite => rewrite.destination.startsWith('/api/'))
+        .map(rewrite => {
+            const names = [];
+            const pattern = rewrite.source
+                .split(/(:\w+)/)
+                .map(part => {
+                    if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                    names.push(part.slice(1));
+                    return '([^/]+)';
+                })
+                .join('');
+            return { pattern: new RegExp(`^${pattern}$`), names, destination: rewrite.destination };
+        });
+}
+
+function rewriteApiUrl(url, rewrites) {
+    for (const { pattern, names, destination } of rewrites) {
+        const match = pattern.exec(url.pathname);
+        if (!match) continue;
+        const target = new URL(names.reduce((value, name, index) => value.replace(`:${name}`, match[index + 1]), destination), url);
+        url.searchParams.forEach((value, key) => target.searchParams.append(key, value));
+        return target;
+    }
+    return url;
+}
+
+// Like Vercel: a repeated parameter becomes an array.
+function toQueryObject(searchParams) {
+    const query = {};
+    searchParams.forEach((value, key) => {
+        if (query[key] === undefined) query[key] = value;
+        else query[key] = [].concat(query[key], value);
+    });
+    return query;
+}
+
+// Like Vercel: JSON bodies are parsed; invalid JSON is left as text so the
+// handlers answer 400 themselves.
+async function readRequestBody(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') return undefined;
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) return undefined;
+    if (!/application\/json/.test(req.headers['content-type'] || '')) return text;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// The response helpers Vercel adds to Node's ServerResponse.
+function addResponseHelpers(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = body => {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(body));
+        return res;
+    };
+    res.send = body => {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+        if (typeof body === 'string' && !res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(body);
+        return res;
+    };
+}
+
+// Handlers read their settings (ESPN_SOURCE, ESPN_API_KEY...) from
+// process.env when they are first required.
+function loadApiEnvironment(config) {
+    Object.entries(loadEnv(config.mode, config.root, '')).forEach(([key, value]) => {
+        if (value !== '' && process.env[key] === undefined) process.env[key] = value;
+    });
+}
+
+// Runs the api/ functions under `npm run dev` and `vite preview` the way
+// Vercel does, so there is no proxy to a deployed copy and no second set of
+// routes. Edits to api/ or data/ are picked up on the next request.
+function apiRoutes() {
+    const rewrites = readApiRewrites();
+
+    async function handle(req, res, next) {
+        const url = new URL(req.url, 'http://localhost');
+        const target = rewriteApiUrl(url, rewrites);
+        if (!target.pathname.startsWith('/api/')) {
+            next();
+            return;
+        }
+
+        const name = target.pathname.slice('/api/'.length);
+        const file = `${API_DIR}${name}.js`;
+        const handler = /^[a-z0-9-]+$/.test(name) && existsSync(file) ? require(file) : null;
+        const { sendError } = require(`${API_DIR}http-utils.js`);
+        addResponseHelpers(res);
+        if (typeof handler !== 'function') {
+            sendError(res, 404, `No API route for ${url.pathname}.`);
+            return;
+        }
+
+        try {
+            req.query = toQueryObject(target.searchParams);
+            req.body = await readRequestBody(req);
+            await handler(req, res);
+        } catch (error) {
+            console.error(`Error in ${url.pathname}:`, error);
+            if (!res.headersSent) sendError(res, 500, 'Unexpected server error.');
+        }
+    }
+
+    return {
+        name: 'hub-api-routes',
+        configureServer(server) {
+            loadApiEnvironment(server.config);
+            server.watcher.on('change', changed => {
+                if (!changed.startsWith(API_DIR) && !changed.startsWith(DATA_DIR)) return;
+                Object.keys(require.cache)
+                    .filter(cached => cached.startsWith(API_DIR) || cached.startsWith(DATA_DIR))
+                    .forEach(cached => delete require.cache[cached]);
+            });
+            server.middlewares.use(handle);
+        },
+        configurePreviewServer(server) {
+            loadApiEnvironment(server.config);
+            server.middlewares.use(handle);
+        }
+    };
+}
+
+// Prerenders the schedule, standings, articles and podcasts of the default
+// team into index.html with JSON-LD and page meta (api/prerender-utils.js),
+// and emits sitemap.xml and robots.txt. A source that fails (no ESPN access
+// during the build) keeps its loader; the page still works as before.
+function prerender() {
+    let siteUrl = '';
+    let result = null;
+    return {
+        name: 'hub-prerender',
+        apply: 'build',
+        configResolved(config) {
+            loadApiEnvironment(config);
+        },
+        async buildStart() {
+            const { getBuildSiteUrl } = require(`${API_DIR}seo-utils.js`);
+            const { prerenderHome } = require(`${API_DIR}prerender-utils.js`);
+            siteUrl = getBuildSiteUrl();
+            const html = readFileSync(fileURLToPath(new URL('./index.html', import.meta.url)), 'utf8');
+            result = await prerenderHome(html, { siteUrl });
+
+            // Sitemaps need absolute URLs; without SITE_URL only robots.txt is written.
+            if (siteUrl) {
+                const { buildSitemap } = require(`${API_DIR}seo-utils.js`);
+                this.emitFile({ type: 'asset', fileName: 'sitemap.xml', source: buildSitemap(result.sitemap) });
+            } else {
+                this.warn('SITE_URL is not set; sitemap.xml is skipped and structured data uses relative URLs.');
+            }
+            this.emitFile({
+                type: 'asset',
+                fileName: 'robots.txt',
+                source: `User-agent: *\nDisallow: /api/\nAllow: /api/og\n${siteUrl ? `\nSitemap: ${siteUrl}/sitemap.xml\n` : ''}`,
+            });
+        },
+        transformIndexHtml: {
+            order: 'pre',
+            handler(html, context) {
+                if (!result || !context.filename.endsWith(`${sep}index.html`)) return html;
+                return result.html;
+            }
+        }
+    };
+}
 
 export default defineConfig({
+    plugins: [serviceWorker(), apiRoutes(), prerender()],
     server: {
         open: true,
         port: 3000
     },
     build: {
         outDir: 'dist',
-        sourcemap: true
+        sourcemap: true,
+        rollupOptions: {
+            input: {
+                main: fileURLToPath(new URL('./index.html', import.meta.url)),
+                admin: fileURLToPath(new URL('./admin.html', import.meta.url))
+            }
+        }
     }
 });
\ No newline at end of file